@@ -2,10 +2,13 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const { RateLimiterMemory } = require('rate-limiter-flexible');
+const multer = require('multer');
 
 const EmailSender = require('../src/emailSender');
 const CSVService = require('../src/services/csvService');
 const { logger, apiLogger, logError } = require('../src/utils/logger');
+const { parseAgentQuery } = require('../src/utils/agentQueryUtils');
+const { renderUnsubscribePage } = require('../src/utils/suppressionUtils');
 const config = require('../src/config/config');
 
 // Conditionally import scraper to handle serverless environment
@@ -17,6 +20,11 @@ try {
   ScraperOrchestrator = null;
 }
 
+const upload = multer({ storage: multer.memoryStorage() });
+// Serverless functions stop when the response is sent (maxDuration is 30 s in
+// vercel.json), so each send request drains the queue itself for at most this long
+const SEND_TIME_BUDGET = 20 * 1000;
+
 class RealEstateScraperAPI {
   constructor() {
     this.app = express();
@@ -27,6 +35,11 @@ class RealEstateScraperAPI {
     this.setupMiddleware();
     this.setupRateLimiting();
     this.setupRoutes();
+
+    // Serverless functions have no start(), so this is checked on each cold start
+    if (!config.server.publicUrl) {
+      logger.warn('PUBLIC_URL is not set: campaign emails will not be sent, as they cannot carry an unsubscribe link');
+    }
   }
 
   setupMiddleware() {
@@ -87,7 +100,14 @@ class RealEstateScraperAPI {
             scraping: 'GET /api/stats/scraping',
             email: 'GET /api/stats/email'
           },
-          agents: 'GET /api/agents'
+          agents: 'GET /api/agents',
+          suppressions: 'GET /api/suppressions',
+          addSuppressions: 'POST /api/suppressions',
+          importSuppressions: 'POST /api/suppressions/import',
+          exportSuppressions: 'GET /api/suppressions/export',
+          checkSuppression: 'GET /api/suppressions/check',
+          deleteSuppression: 'DELETE /api/suppressions/:value',
+          unsubscribe: 'GET /unsubscribe/:token'
         },
         documentation: 'Check README.md for detailed usage instructions'
       });
@@ -138,13 +158,21 @@ class RealEstateScraperAPI {
       try {
         const { maxEmails } = req.body;
         logger.info('Starting email sending via API');
-        
-        const result = await this.emailSender.run(maxEmails);
-        
+        const deadline = Date.now() + SEND_TIME_BUDGET;
+
+        // There is no queue worker here: emails queued earlier are sent along with new ones
+        const result = await this.emailSender.run(maxEmails, { drain: false });
+        const sent = await this.emailSender.drainQueue({ deadline });
+        const queue = await this.emailSender.emailService.getQueueStats();
+
         res.json({
-          success: result.success !== false,
-          message: result.success !== false ? 'Emails sent successfully' : result.reason,
-          result
+          success: !sent.error && (result.success !== false || sent.total > 0),
+          message: `${result.success !== false ? `Queued ${result.queued} emails` : result.reason}. ` +
+            `Sent ${sent.successful}, ${sent.failed} failed; ${queue.depth} still queued` +
+            (queue.depth > 0 ? ', call again to send more' : ''),
+          result,
+          sent,
+          queue
         });
       } catch (error) {
         logError('api', error, { context: 'POST /api/email/send' });
@@ -182,6 +210,165 @@ class RealEstateScraperAPI {
       }
     });
 
+    // Suppression list routes
+    this.app.get('/api/suppressions', async (req, res) => {
+      try {
+        const { type, q } = req.query;
+        if (type && !['email', 'domain'].includes(type)) {
+          return res.status(400).json({ success: false, error: 'type must be email or domain' });
+        }
+
+        const entries = await this.emailSender.emailService.suppressions.listEntries({ type, q });
+        res.json({ success: true, total: entries.length, entries });
+      } catch (error) {
+        logError('api', error, { context: 'GET /api/suppressions' });
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    this.app.post('/api/suppressions', async (req, res) => {
+      try {
+        const { values, reason = null } = req.body || {};
+        if (!Array.isArray(values) || values.length === 0) {
+          return res.status(400).json({ success: false, error: 'values must be a non-empty list of email addresses or domains' });
+        }
+        if (reason !== null && typeof reason !== 'string') {
+          return res.status(400).json({ success: false, error: 'reason must be a string' });
+        }
+
+        const result = await this.emailSender.emailService.suppressions.addEntries(values, { reason, source: 'api' });
+        await this.stopSuppressedSequences(result.added);
+        res.json({ success: true, ...result });
+      } catch (error) {
+        logError('api', error, { context: 'POST /api/suppressions' });
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    this.app.post('/api/suppressions/import', upload.single('file'), async (req, res) => {
+      try {
+        if (!req.file) {
+          return res.status(400).json({ success: false, error: 'No file uploaded' });
+        }
+
+        const suppressions = this.emailSender.emailService.suppressions;
+        const values = await suppressions.parseImport(req.file.buffer);
+        if (values.length === 0) {
+          return res.status(400).json({ success: false, error: 'The file has no rows' });
+        }
+
+        const result = await suppressions.addEntries(values, { reason: req.body.reason || null, source: 'import' });
+        await this.stopSuppressedSequences(result.added);
+        res.json({
+          success: true,
+          message: `Imported ${values.length} rows: ${result.added.length} added, ${result.existing.length} already suppressed, ${result.invalid.length} invalid`,
+          ...result
+        });
+      } catch (error) {
+        logError('api', error, { context: 'POST /api/suppressions/import' });
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    this.app.get('/api/suppressions/export', async (req, res) => {
+      try {
+        const { format = 'csv' } = req.query;
+        if (!['csv', 'json'].includes(format)) {
+          return res.status(400).json({ success: false, error: 'format must be csv or json' });
+        }
+
+        const suppressions = this.emailSender.emailService.suppressions;
+        const date = new Date().toISOString().slice(0, 10);
+        res.setHeader('Content-Disposition', `attachment; filename="suppressions-${date}.${format}"`);
+        if (format === 'json') {
+          res.json(await suppressions.load());
+        } else {
+          res.type('text/csv').send(await suppressions.exportCsv());
+        }
+      } catch (error) {
+        logError('api', error, { context: 'GET /api/suppressions/export' });
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    this.app.get('/api/suppressions/check', async (req, res) => {
+      try {
+        const { email } = req.query;
+        if (!email) {
+          return res.status(400).json({ success: false, error: 'email is required' });
+        }
+
+        const entry = await this.emailSender.emailService.suppressions.findEntry(email);
+        res.json({ success: true, email, suppressed: Boolean(entry), entry });
+      } catch (error) {
+        logError('api', error, { context: 'GET /api/suppressions/check' });
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    this.app.delete('/api/suppressions/:value', async (req, res) => {
+      try {
+        const removed = await this.emailSender.emailService.suppressions.removeEntry(req.params.value);
+        if (!removed) {
+          return res.status(404).json({ success: false, error: 'Not on the suppression list' });
+        }
+        res.json({ success: true, deleted: req.params.value });
+      } catch (error) {
+        logError('api', error, { context: 'DELETE /api/suppressions/:value' });
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // One-click unsubscribe: the link shows a confirmation form, and mail
+    // clients using List-Unsubscribe-Post POST to it directly
+    this.app.get('/unsubscribe/:token', async (req, res) => {
+      try {
+        const email = await this.emailSender.emailService.suppressions.verifyToken(req.params.token);
+        if (!email) {
+          return res.status(400).send(renderUnsubscribePage('This unsubscribe link is not valid.'));
+        }
+        res.send(renderUnsubscribePage(`Stop all emails to ${email}?`, { confirm: true }));
+      } catch (error) {
+        logError('api', error, { context: 'GET /unsubscribe/:token' });
+        res.status(500).send(renderUnsubscribePage('Something went wrong. Please try again later.'));
+      }
+    });
+
+    this.app.post('/unsubscribe/:token', async (req, res) => {
+      try {
+        const email = await this.emailSender.emailService.suppressions.verifyToken(req.params.token);
+        if (!email) {
+          return res.status(400).send(renderUnsubscribePage('This unsubscribe link is not valid.'));
+        }
+
+        await this.emailSender.emailService.suppressions.addEntries([email], { reason: 'Unsubscribed', source: 'unsubscribe_link' });
+        await this.emailSender.emailService.campaigns.stopSequences([email], 'unsubscribed');
+        apiLogger.info(`Unsubscribed ${email}`);
+        res.send(renderUnsubscribePage(`${email} is unsubscribed and will not be emailed again.`));
+      } catch (error) {
+        logError('api', error, { context: 'POST /unsubscribe/:token' });
+        res.status(500).send(renderUnsubscribePage('Something went wrong. Please try again later.'));
+      }
+    });
+
     // Statistics routes
     this.app.get('/api/stats/scraping', async (req, res) => {
       try {
@@ -199,9 +386,9 @@ class RealEstateScraperAPI {
       }
     });
 
-    this.app.get('/api/stats/email', (req, res) => {
+    this.app.get('/api/stats/email', async (req, res) => {
       try {
-        const stats = this.emailSender.getEmailStats();
+        const stats = await this.emailSender.getEmailStats();
         res.json({
           success: true,
           stats
@@ -218,22 +405,23 @@ class RealEstateScraperAPI {
     // Data routes
     this.app.get('/api/agents', async (req, res) => {
       try {
-        const { limit = 100, offset = 0, withEmails = false } = req.query;
-        
-        let agents = await this.csvService.readAgentsFromCSV();
-        
-        if (withEmails === 'true') {
-          agents = agents.filter(agent => agent.email && agent.email.trim() !== '');
+        const { query, error } = parseAgentQuery(req.query);
+        if (error) {
+          return res.status(400).json({
+            success: false,
+            error
+          });
         }
-        
-        const paginatedAgents = agents.slice(parseInt(offset), parseInt(offset) + parseInt(limit));
-        
+
+        const { agents, total, nextCursor } = await this.csvService.searchAgents(req.query);
+
         res.json({
           success: true,
-          agents: paginatedAgents,
-          total: agents.length,
-          limit: parseInt(limit),
-          offset: parseInt(offset)
+          agents,
+          total,
+          limit: query.limit,
+          offset: query.offset,
+          nextCursor
         });
       } catch (error) {
         logError('api', error, { context: 'GET /api/agents' });
@@ -245,9 +433,9 @@ class RealEstateScraperAPI {
     });
 
     // Management routes
-    this.app.post('/api/email/reset', (req, res) => {
+    this.app.post('/api/email/reset', async (req, res) => {
       try {
-        this.emailSender.resetDailyCounter();
+        await this.emailSender.resetDailyCounter();
         res.json({
           success: true,
           message: 'Daily email counter reset successfully'
@@ -261,9 +449,9 @@ class RealEstateScraperAPI {
       }
     });
 
-    this.app.post('/api/email/clear-log', (req, res) => {
+    this.app.post('/api/email/clear-log', async (req, res) => {
       try {
-        const success = this.emailSender.clearEmailLog();
+        const success = await this.emailSender.clearEmailLog();
         res.json({
           success,
           message: success ? 'Email log cleared successfully' : 'Failed to clear email log'
@@ -279,10 +467,11 @@ class RealEstateScraperAPI {
 
     this.app.post('/api/csv/backup', async (req, res) => {
       try {
-        const success = await this.csvService.backupCSV();
+        const snapshot = await this.csvService.snapshots.createSnapshot({ label: 'backup' });
         res.json({
-          success,
-          message: success ? 'CSV backed up successfully' : 'Failed to backup CSV'
+          success: true,
+          message: `Snapshot ${snapshot.id} created with ${snapshot.agentCount} agents`,
+          snapshot
         });
       } catch (error) {
         logError('api', error, { context: 'POST /api/csv/backup' });
@@ -295,11 +484,22 @@ class RealEstateScraperAPI {
 
     this.app.post('/api/csv/remove-duplicates', async (req, res) => {
       try {
-        const agents = await this.csvService.removeDuplicates();
+        const dryRun = req.body.dryRun ?? req.query.dryRun === 'true';
+        if (typeof dryRun !== 'boolean') {
+          return res.status(400).json({
+            success: false,
+            error: 'dryRun must be a boolean'
+          });
+        }
+
+        const report = await this.csvService.removeDuplicates({ dryRun });
         res.json({
           success: true,
-          message: 'Duplicates removed successfully',
-          agentsCount: agents.length
+          message: dryRun
+            ? `Found ${report.deletedIds.length} duplicates in ${report.duplicateGroups} groups`
+            : `Removed ${report.deletedIds.length} duplicates`,
+          agentsCount: report.remaining,
+          report
         });
       } catch (error) {
         logError('api', error, { context: 'POST /api/csv/remove-duplicates' });
@@ -438,8 +638,8 @@ class RealEstateScraperAPI {
                         const result = await response.json();
                         
                         if (result.success) {
-                            log('Emails sent successfully');
-                            showStatus('Emails sent successfully!', 'success');
+                            log(result.message);
+                            showStatus(result.message, 'success');
                         } else {
                             log('Email sending failed: ' + result.message, 'error');
                             showStatus('Email sending failed: ' + result.message, 'error');
@@ -491,6 +691,15 @@ class RealEstateScraperAPI {
     });
   }
 
+  /**
+   * Stop the follow-ups of addresses just suppressed. Suppressed domains
+   * stop their sequences when the next follow-up is skipped.
+   */
+  async stopSuppressedSequences(entries) {
+    const emails = entries.filter(entry => entry.type === 'email').map(entry => entry.value);
+    if (emails.length > 0) await this.emailSender.emailService.campaigns.stopSequences(emails, 'suppressed');
+  }
+
   start() {
     const port = process.env.PORT || config.server.port;
     this.app.listen(port, () => {
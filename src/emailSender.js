@@ -1,65 +1,248 @@
 const EmailService = require('./services/emailService');
-const CSVService = require('./services/csvService');
+const SuppressionService = require('./services/suppressionService');
+const { getStorage } = require('./storage');
 const { logger, emailLogger, logError } = require('./utils/logger');
+const config = require('./config/config');
+
+// How often the queue worker looks for emails it can send
+const WORKER_INTERVAL = 60 * 1000;
 
 class EmailSender {
-  constructor() {
-    this.emailService = new EmailService();
-    this.csvService = new CSVService();
+  /**
+   * @param {BaseStorage} [storage] - Defaults to the shared storage
+   */
+  constructor(storage = getStorage()) {
+    this.emailService = new EmailService(storage);
+    // The queue worker and test emails share one transporter, so only one sends at a time
+    this.sending = false;
+    this.draining = null;
   }
 
   /**
-   * Initialize and run email sending process
+   * Queue a campaign's next emails: the agents in its audience it has not
+   * tried yet. The queue worker sends them within the daily limits.
+   * @param {number} [maxEmails] - Defaults to the daily limit
+   * @param {Object} [options]
+   * @param {string} [options.campaignId] - Defaults to the built-in campaign emailing every agent
+   * @param {boolean} [options.drain] - false leaves the queue to a drainQueue call of the caller's own
    */
-  async run(maxEmails = null) {
+  async run(maxEmails = null, { campaignId = 'default', drain = true } = {}) {
     try {
-      logger.info('Starting email sending process');
+      logger.info('Queueing campaign emails', { campaignId });
 
-      // Initialize email service
-      const initialized = await this.emailService.initialize();
-      if (!initialized) {
-        throw new Error('Failed to initialize email service');
+      const campaign = await this.emailService.campaigns.getCampaign(campaignId);
+      if (!campaign) {
+        return { success: false, reason: 'Campaign not found' };
+      }
+      if (campaign.status !== 'running') {
+        return { success: false, reason: `Campaign is ${campaign.status}, not running` };
+      }
+      if (!config.server.publicUrl) {
+        return { success: false, reason: SuppressionService.NO_PUBLIC_URL };
       }
 
-      // Get agents with emails from CSV
-      const agents = await this.csvService.getAgentsWithEmails();
+      // Agents in the audience the campaign has not tried, leaving out addresses already emailed or queued
+      await this.emailService.ready;
+      const agents = await this.emailService.campaigns.getPendingAudience(campaign, {
+        excludeEmails: new Set([
+          ...this.emailService.sentEmails,
+          ...this.emailService.failedEmails,
+          ...(await this.emailService.queue.getWaitingEmails())
+        ]),
+        limit: maxEmails || config.email.maxPerDay
+      });
       if (agents.length === 0) {
-        logger.warn('No agents with emails found in CSV');
+        logger.warn('No agents left to email in this campaign');
         return { success: false, reason: 'No agents with emails' };
       }
 
-      logger.info(`Found ${agents.length} agents with emails`);
+      const queued = await this.emailService.queueEmails(campaign, agents.map(agent => ({ agent, step: 1 })));
+      logger.info(`Queued ${queued.length} emails`, { campaignId: campaign.id });
+      if (drain) this.drainQueue();
+
+      return {
+        campaignId: campaign.id,
+        queued: queued.length,
+        queue: await this.emailService.getQueueStats()
+      };
+
+    } catch (error) {
+      logError('email', error, { context: 'EmailSender.run' });
+      throw error;
+    }
+  }
+
+  /**
+   * Queue the follow-ups now due in every running campaign's sequence
+   * @param {number} [maxEmails] - Across all campaigns
+   */
+  async runFollowUps(maxEmails = null) {
+    try {
+      if (!config.server.publicUrl) {
+        return { success: false, reason: SuppressionService.NO_PUBLIC_URL };
+      }
+
+      const campaigns = (await this.emailService.campaigns.load())
+        .filter(campaign => campaign.status === 'running' && (campaign.followUps || []).length > 0);
 
-      // Check email limits
-      const emailStats = this.emailService.getEmailStats();
-      logger.info('Email statistics:', emailStats);
+      let remaining = maxEmails || Infinity;
+      const queued = [];
+      for (const campaign of campaigns) {
+        if (remaining <= 0) break;
 
-      if (emailStats.remainingToday === 0) {
-        logger.warn('Daily email limit reached');
-        return { success: false, reason: 'Daily limit reached' };
+        const followUps = await this.emailService.campaigns.getDueFollowUps(campaign, {
+          excludeEmails: await this.emailService.queue.getWaitingEmails(campaign.id),
+          limit: remaining
+        });
+        if (followUps.length === 0) continue;
+
+        const messages = await this.emailService.queueEmails(campaign, followUps);
+        queued.push({ campaignId: campaign.id, queued: messages.length });
+        remaining -= messages.length;
       }
 
-      // Send emails
-      const result = await this.emailService.sendBulkEmails(agents, maxEmails);
+      if (queued.length === 0) {
+        return { success: false, reason: 'No follow-ups due' };
+      }
 
-      // Generate report
-      await this.generateEmailReport(result);
+      logger.info(`Queued follow-ups for ${queued.length} campaigns`);
+      this.drainQueue();
 
-      logger.info('Email sending process completed');
-      return result;
+      return {
+        queued: queued.reduce((sum, entry) => sum + entry.queued, 0),
+        campaigns: queued,
+        queue: await this.emailService.getQueueStats()
+      };
 
     } catch (error) {
-      logError('email', error, { context: 'EmailSender.run' });
+      logError('email', error, { context: 'EmailSender.runFollowUps' });
       throw error;
+    }
+  }
+
+  /**
+   * Drain the queue, and check it again every minute for messages waiting
+   * on a daily limit or a stopped campaign
+   */
+  startWorker() {
+    this.drainQueue();
+    setInterval(() => this.drainQueue(), WORKER_INTERVAL).unref();
+  }
+
+  /**
+   * Settle the messages left sending by a process that stopped, found by
+   * their lease running out. Messages still being sent elsewhere hold a
+   * lease and are not touched.
+   */
+  async recoverQueue() {
+    const interrupted = await this.emailService.queue.claimExpired();
+    for (const message of interrupted) {
+      await this.emailService.queue.finish(message.id, await this.emailService.settleInterruptedEmail(message));
+    }
+    if (interrupted.length > 0) {
+      logger.warn(`Settled ${interrupted.length} emails interrupted before they were sent`);
+    }
+  }
+
+  /**
+   * Send queued emails until the queue is empty or nothing in it can be
+   * sent today. Calls while the queue is draining share the same run.
+   * @param {Object} [options]
+   * @param {number} [options.deadline] - Time in ms after which no more emails are started, for callers with a time limit
+   * @returns {Promise<Object>} total, successful, failed and results of the run
+   */
+  drainQueue({ deadline = null } = {}) {
+    if (!this.draining) {
+      this.draining = this.sendQueued({ deadline }).finally(() => { this.draining = null; });
+    }
+    return this.draining;
+  }
+
+  async sendQueued({ deadline = null } = {}) {
+    const results = [];
+    // A test email holds the transporter; the next check picks the queue up
+    if (this.sending) return this.summarize(results);
+    this.sending = true;
+
+    try {
+      await this.recoverQueue();
+      // Queued messages wait until PUBLIC_URL is set
+      if (!config.server.publicUrl) return { ...this.summarize(results), error: SuppressionService.NO_PUBLIC_URL };
+
+      let initialized = false;
+      let attempted = false;
+      while (this.emailService.checkDailyLimit()) {
+        // Leave the rest queued when the next email could not be sent in time
+        if (deadline && Date.now() + (attempted ? config.email.delay : 0) >= deadline) break;
+
+        const blocked = await this.getBlockedCampaigns();
+        const message = await this.emailService.queue.claimNext(entry => !blocked.has(entry.campaignId));
+        if (!message) break;
+
+        if (!initialized) {
+          initialized = await this.emailService.initialize();
+          if (!initialized) {
+            await this.emailService.queue.release(message.id);
+            throw new Error('Failed to initialize email service');
+          }
+        }
+
+        // Wait between emails actually handed to SMTP, not after skipped ones
+        if (attempted) await this.emailService.delay(config.email.delay);
+
+        const result = await this.emailService.sendQueuedEmail(message);
+        if (result.reason === 'Daily limit reached') {
+          await this.emailService.queue.release(message.id);
+          break;
+        }
+        await this.emailService.queue.finish(message.id, result);
+        attempted = Boolean(result.success || result.error);
+        results.push({ agent: { name: message.name, email: message.email }, step: message.step, result });
+      }
+
+      const summary = this.summarize(results);
+      if (results.length > 0) await this.generateEmailReport(summary);
+      return summary;
+
+    } catch (error) {
+      logError('email', error, { context: 'EmailSender.sendQueued' });
+      return { ...this.summarize(results), error: error.message };
     } finally {
       await this.emailService.close();
+      this.sending = false;
     }
   }
 
+  /**
+   * Campaigns whose queued messages wait: stopped ones and those at their daily cap
+   */
+  async getBlockedCampaigns() {
+    const blocked = new Set();
+    for (const campaign of await this.emailService.campaigns.load()) {
+      if (campaign.status !== 'running' || (await this.emailService.getSendLimit(campaign)) === 0) {
+        blocked.add(campaign.id);
+      }
+    }
+    return blocked;
+  }
+
+  summarize(results) {
+    const successful = results.filter(entry => entry.result.success).length;
+    return { total: results.length, successful, failed: results.length - successful, results };
+  }
+
   /**
    * Send test email
+   * @param {string} testEmail
+   * @param {Object} [options]
+   * @param {string} [options.templateId] - Defaults to the default template
    */
-  async sendTestEmail(testEmail) {
+  async sendTestEmail(testEmail, { templateId = null } = {}) {
+    if (this.sending) {
+      return { success: false, reason: 'Another send is in progress' };
+    }
+    this.sending = true;
+
     try {
       logger.info(`Sending test email to: ${testEmail}`);
 
@@ -77,7 +260,7 @@ class EmailSender {
         profile_url: ''
       };
 
-      const result = await this.emailService.sendEmailToAgent(testAgent, 0);
+      const result = await this.emailService.sendEmailToAgent(testAgent, { templateId });
 
       if (result.success) {
         logger.info('Test email sent successfully');
@@ -92,6 +275,7 @@ class EmailSender {
       throw error;
     } finally {
       await this.emailService.close();
+      this.sending = false;
     }
   }
 
@@ -119,7 +303,7 @@ class EmailSender {
       }
 
       // Get updated stats
-      const stats = this.emailService.getEmailStats();
+      const stats = await this.emailService.getEmailStats();
       logger.info('Updated email statistics:', stats);
       logger.info('============================');
 
@@ -131,23 +315,23 @@ class EmailSender {
   /**
    * Get email statistics
    */
-  getEmailStats() {
+  async getEmailStats() {
     return this.emailService.getEmailStats();
   }
 
   /**
    * Reset daily email counter
    */
-  resetDailyCounter() {
-    this.emailService.resetDailyCounter();
+  async resetDailyCounter() {
+    await this.emailService.resetDailyCounter();
     logger.info('Daily email counter reset');
   }
 
   /**
    * Clear email log
    */
-  clearEmailLog() {
-    const success = this.emailService.clearEmailLog();
+  async clearEmailLog() {
+    const success = await this.emailService.clearEmailLog();
     if (success) {
       logger.info('Email log cleared');
     } else {
@@ -171,10 +355,14 @@ async function main() {
       // Send test email
       await emailSender.sendTestEmail(testEmail);
     } else {
-      // Send bulk emails
-      const result = await emailSender.run(maxEmails);
+      // Queue the default campaign's next emails, then send everything queued
+      const queued = await emailSender.run(maxEmails);
+      if (queued.success === false) {
+        console.log(`Nothing new queued: ${queued.reason}`);
+      }
+      const result = await emailSender.drainQueue();
       
-      if (result.success !== false) {
+      if (result.total > 0) {
         console.log('\n=== EMAIL SENDING COMPLETED ===');
         console.log(`Total: ${result.total}`);
         console.log(`Successful: ${result.successful}`);
@@ -182,7 +370,7 @@ async function main() {
         console.log(`Success rate: ${((result.successful / result.total) * 100).toFixed(1)}%`);
         console.log('===============================\n');
       } else {
-        console.log(`Email sending failed: ${result.reason}`);
+        console.log(`No emails sent${result.error ? `: ${result.error}` : ''}`);
       }
     }
     
@@ -3,11 +3,19 @@ const cors = require('cors');
 const helmet = require('helmet');
 const { RateLimiterMemory } = require('rate-limiter-flexible');
 const multer = require('multer');
-const csvParser = require('csv-parser');
 
 const EmailSender = require('./emailSender');
 const CSVService = require('./services/csvService');
+const ScrapeJobService = require('./services/scrapeJobService');
 const { logger, apiLogger, logError } = require('./utils/logger');
+const { normalizeLocations } = require('./utils/locationUtils');
+const { parseAgentQuery, hasFilters } = require('./utils/agentQueryUtils');
+const { validateAgentUpdates } = require('./utils/agentSchema');
+const { validateMapping, validateFixes } = require('./utils/importUtils');
+const { validateTemplateInput } = require('./utils/templateUtils');
+const { validateCampaignInput } = require('./utils/campaignUtils');
+const { renderUnsubscribePage } = require('./utils/suppressionUtils');
+const AgentExportService = require('./services/agentExportService');
 const config = require('./config/config');
 
 // Conditionally import scraper to handle serverless environment
@@ -25,6 +33,7 @@ class RealEstateScraperAPI {
   constructor() {
     this.app = express();
     this.scraper = ScraperOrchestrator ? new ScraperOrchestrator() : null;
+    this.scrapeJobs = ScraperOrchestrator ? new ScrapeJobService(ScraperOrchestrator) : null;
     this.emailSender = new EmailSender();
     this.csvService = new CSVService();
     
@@ -85,13 +94,67 @@ class RealEstateScraperAPI {
           health: 'GET /health',
           dashboard: 'GET /dashboard',
           scrape: 'POST /api/scrape',
+          scrapeSources: 'GET /api/scrape/sources',
+          scrapeJobs: 'GET /api/scrape/jobs',
+          scrapeJob: 'GET /api/scrape/jobs/:id',
+          cancelScrapeJob: 'POST /api/scrape/jobs/:id/cancel',
+          scrapeCheckpoints: 'GET /api/scrape/checkpoints',
+          clearScrapeCheckpoints: 'DELETE /api/scrape/checkpoints/:source?',
+          scrapeHealth: 'GET /api/scrape/health',
+          scrapeProxies: 'GET /api/scrape/proxies',
+          scrapePolicy: 'GET /api/scrape/policy',
           email: 'POST /api/email/send',
           testEmail: 'POST /api/email/test',
+          followUps: 'POST /api/email/follow-ups',
+          emailQueue: 'GET /api/email/queue',
+          emailQueueMessages: 'GET /api/email/queue/messages',
+          replies: 'POST /api/email/replies',
+          templates: 'GET /api/templates',
+          createTemplate: 'POST /api/templates',
+          template: 'GET /api/templates/:id',
+          updateTemplate: 'PATCH /api/templates/:id',
+          deleteTemplate: 'DELETE /api/templates/:id',
+          restoreTemplateVersion: 'POST /api/templates/:id/versions/:version/restore',
+          previewTemplate: 'POST /api/templates/:id/preview',
+          campaigns: 'GET /api/campaigns',
+          createCampaign: 'POST /api/campaigns',
+          campaign: 'GET /api/campaigns/:id',
+          updateCampaign: 'PATCH /api/campaigns/:id',
+          deleteCampaign: 'DELETE /api/campaigns/:id',
+          startCampaign: 'POST /api/campaigns/:id/start',
+          stopCampaign: 'POST /api/campaigns/:id/stop',
+          sendCampaign: 'POST /api/campaigns/:id/send',
+          campaignSends: 'GET /api/campaigns/:id/sends',
+          campaignSequence: 'GET /api/campaigns/:id/sequence',
+          suppressions: 'GET /api/suppressions',
+          addSuppressions: 'POST /api/suppressions',
+          importSuppressions: 'POST /api/suppressions/import',
+          exportSuppressions: 'GET /api/suppressions/export',
+          checkSuppression: 'GET /api/suppressions/check',
+          deleteSuppression: 'DELETE /api/suppressions/:value',
+          unsubscribe: 'GET /unsubscribe/:token',
           stats: {
             scraping: 'GET /api/stats/scraping',
             email: 'GET /api/stats/email'
           },
-          agents: 'GET /api/agents'
+          agents: 'GET /api/agents',
+          exportAgents: 'GET /api/agents/export',
+          agent: 'GET /api/agents/:id',
+          updateAgent: 'PATCH /api/agents/:id',
+          deleteAgent: 'DELETE /api/agents/:id',
+          bulkAgents: 'POST /api/agents/bulk',
+          uploadAgents: 'POST /api/agents/upload',
+          importAgents: 'POST /api/agents/import',
+          agentImport: 'GET /api/agents/import/:id',
+          commitAgentImport: 'POST /api/agents/import/:id/commit',
+          backups: 'GET /api/backups',
+          createBackup: 'POST /api/backups',
+          diffBackups: 'GET /api/backups/diff',
+          backup: 'GET /api/backups/:id',
+          restoreBackup: 'POST /api/backups/:id/restore',
+          agentReview: 'GET /api/agents/review',
+          mergeAgentReview: 'POST /api/agents/review/:id/merge',
+          dismissAgentReview: 'POST /api/agents/review/:id/dismiss'
         },
         documentation: 'Check README.md for detailed usage instructions'
       });
@@ -118,18 +181,1134 @@ class RealEstateScraperAPI {
           });
         }
 
-        logger.info('Starting scraping via API');
-        const agents = await this.scraper.run();
-        const stats = this.scraper.getStats();
+        const { sources, locations, resume = true } = req.body || {};
+        if (sources !== undefined && (!Array.isArray(sources) || sources.some(id => typeof id !== 'string'))) {
+          return res.status(400).json({
+            success: false,
+            error: 'sources must be an array of source ids'
+          });
+        }
+
+        const knownSources = this.scraper.getAvailableSources().map(source => source.id);
+        const unknownSources = (sources || []).filter(id => !knownSources.includes(id));
+        if (unknownSources.length > 0) {
+          return res.status(400).json({
+            success: false,
+            error: `Unknown scraper source(s): ${unknownSources.join(', ')}`,
+            availableSources: knownSources
+          });
+        }
+
+        if (typeof resume !== 'boolean') {
+          return res.status(400).json({
+            success: false,
+            error: 'resume must be a boolean'
+          });
+        }
+
+        if (locations !== undefined) {
+          const { locations: targets, errors } = normalizeLocations(locations);
+          if (errors.length > 0 || targets.length === 0) {
+            return res.status(400).json({
+              success: false,
+              error: errors.length > 0 ? `Invalid locations: ${errors.join('; ')}` : 'At least one location is required'
+            });
+          }
+        }
+
+        await this.scrapeJobs.ready;
+        if (!this.scrapeJobs.hasCapacity()) {
+          return res.status(409).json({
+            success: false,
+            error: 'A scrape job is already running',
+            activeJobs: this.scrapeJobs.getActiveJobs().map(job => job.id)
+          });
+        }
+
+        logger.info('Starting scraping via API', { sources: sources || 'default', locations: locations || 'default' });
+        const job = this.scrapeJobs.startJob({ sources, locations, resume });
+        
+        res.status(202).json({
+          success: true,
+          message: 'Scraping started',
+          jobId: job.id,
+          statusUrl: `/api/scrape/jobs/${job.id}`,
+          job
+        });
+      } catch (error) {
+        logError('api', error, { context: 'POST /api/scrape' });
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    this.app.get('/api/scrape/sources', (req, res) => {
+      try {
+        if (!this.scraper) {
+          return res.json({ success: true, sources: [] });
+        }
+
+        res.json({
+          success: true,
+          sources: this.scraper.getAvailableSources()
+        });
+      } catch (error) {
+        logError('api', error, { context: 'GET /api/scrape/sources' });
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    this.app.get('/api/scrape/jobs', async (req, res) => {
+      try {
+        if (this.scrapeJobs) {
+          await this.scrapeJobs.ready;
+        }
+        res.json({
+          success: true,
+          jobs: this.scrapeJobs ? this.scrapeJobs.listJobs() : []
+        });
+      } catch (error) {
+        logError('api', error, { context: 'GET /api/scrape/jobs' });
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    this.app.get('/api/scrape/jobs/:id', async (req, res) => {
+      try {
+        if (this.scrapeJobs) {
+          await this.scrapeJobs.ready;
+        }
+        const job = this.scrapeJobs ? this.scrapeJobs.getJob(req.params.id) : null;
+        if (!job) {
+          return res.status(404).json({
+            success: false,
+            error: 'Scrape job not found'
+          });
+        }
+
+        res.json({
+          success: true,
+          job
+        });
+      } catch (error) {
+        logError('api', error, { context: 'GET /api/scrape/jobs/:id' });
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    this.app.post('/api/scrape/jobs/:id/cancel', async (req, res) => {
+      try {
+        if (this.scrapeJobs) {
+          await this.scrapeJobs.ready;
+        }
+        const job = this.scrapeJobs ? await this.scrapeJobs.cancelJob(req.params.id) : null;
+        if (!job) {
+          return res.status(404).json({
+            success: false,
+            error: 'Scrape job not found'
+          });
+        }
+
+        if (!['cancelling', 'cancelled'].includes(job.status)) {
+          return res.status(409).json({
+            success: false,
+            error: `Scrape job is already ${job.status}`,
+            job
+          });
+        }
+
+        res.json({
+          success: true,
+          message: 'Scrape job cancelled',
+          job
+        });
+      } catch (error) {
+        logError('api', error, { context: 'POST /api/scrape/jobs/:id/cancel' });
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    this.app.get('/api/scrape/checkpoints', async (req, res) => {
+      try {
+        if (this.scrapeJobs) {
+          await this.scrapeJobs.checkpoints.ready;
+        }
+        res.json({
+          success: true,
+          checkpoints: this.scrapeJobs ? this.scrapeJobs.checkpoints.list() : {}
+        });
+      } catch (error) {
+        logError('api', error, { context: 'GET /api/scrape/checkpoints' });
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    this.app.delete('/api/scrape/checkpoints/:source?', async (req, res) => {
+      try {
+        if (!this.scrapeJobs) {
+          return res.status(503).json({
+            success: false,
+            error: 'Scraping is not available in serverless environment'
+          });
+        }
+
+        await this.scrapeJobs.checkpoints.ready;
+        const cleared = this.scrapeJobs.checkpoints.clear(req.params.source || null);
+        if (!cleared) {
+          return res.status(404).json({
+            success: false,
+            error: 'Checkpoint not found'
+          });
+        }
+
+        res.json({
+          success: true,
+          message: 'Checkpoint cleared successfully'
+        });
+      } catch (error) {
+        logError('api', error, { context: 'DELETE /api/scrape/checkpoints' });
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    this.app.get('/api/scrape/health', async (req, res) => {
+      try {
+        if (this.scrapeJobs) {
+          await this.scrapeJobs.health.ready;
+        }
+        res.json({
+          success: true,
+          health: this.scrapeJobs ? this.scrapeJobs.health.getReport() : { degraded: false, sources: {} }
+        });
+      } catch (error) {
+        logError('api', error, { context: 'GET /api/scrape/health' });
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    this.app.get('/api/scrape/proxies', (req, res) => {
+      try {
+        res.json({
+          success: true,
+          identity: this.scrapeJobs ? this.scrapeJobs.identities.getStatus() : { profiles: [], proxies: [] }
+        });
+      } catch (error) {
+        logError('api', error, { context: 'GET /api/scrape/proxies' });
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    this.app.get('/api/scrape/policy', (req, res) => {
+      try {
+        res.json({
+          success: true,
+          policy: this.scrapeJobs ? this.scrapeJobs.policy.getStatus() : null
+        });
+      } catch (error) {
+        logError('api', error, { context: 'GET /api/scrape/policy' });
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    this.app.get('/api/scrape/health/:source', async (req, res) => {
+      try {
+        if (this.scrapeJobs) {
+          await this.scrapeJobs.health.ready;
+        }
+        const report = this.scrapeJobs ? this.scrapeJobs.health.getReport(req.params.source) : null;
+        if (!report) {
+          return res.status(404).json({
+            success: false,
+            error: 'No health history for this source'
+          });
+        }
+
+        res.json({
+          success: true,
+          health: report
+        });
+      } catch (error) {
+        logError('api', error, { context: 'GET /api/scrape/health/:source' });
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Email routes
+    this.app.post('/api/email/send', async (req, res) => {
+      try {
+        const { maxEmails, campaignId = 'default' } = req.body;
+        if (!(await this.emailSender.emailService.campaigns.getCampaign(campaignId))) {
+          return res.status(404).json({ success: false, error: 'Campaign not found' });
+        }
+        logger.info('Starting email sending via API', { campaignId });
+        
+        const result = await this.emailSender.run(maxEmails, { campaignId });
+        
+        res.json({
+          success: result.success !== false,
+          message: result.success !== false ? `Queued ${result.queued} emails` : result.reason,
+          result
+        });
+      } catch (error) {
+        logError('api', error, { context: 'POST /api/email/send' });
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    this.app.post('/api/email/follow-ups', async (req, res) => {
+      try {
+        const { maxEmails } = req.body || {};
+        logger.info('Sending due follow-ups via API');
+
+        const result = await this.emailSender.runFollowUps(maxEmails);
+        res.json({
+          success: result.success !== false,
+          message: result.success !== false ? `Queued ${result.queued} follow-ups` : result.reason,
+          result
+        });
+      } catch (error) {
+        logError('api', error, { context: 'POST /api/email/follow-ups' });
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    this.app.post('/api/email/replies', async (req, res) => {
+      try {
+        const { emails } = req.body || {};
+        if (!Array.isArray(emails) || emails.length === 0 || emails.some(email => typeof email !== 'string')) {
+          return res.status(400).json({ success: false, error: 'emails must be a non-empty list of email addresses' });
+        }
+
+        const result = await this.emailSender.emailService.campaigns.recordReplies(emails);
+        res.json({ success: true, ...result });
+      } catch (error) {
+        logError('api', error, { context: 'POST /api/email/replies' });
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    this.app.get('/api/email/queue', async (req, res) => {
+      try {
+        res.json({
+          success: true,
+          queue: await this.emailSender.emailService.getQueueStats()
+        });
+      } catch (error) {
+        logError('api', error, { context: 'GET /api/email/queue' });
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    this.app.get('/api/email/queue/messages', async (req, res) => {
+      try {
+        const { status, campaignId } = req.query;
+        if (status && !['queued', 'sending', 'sent', 'failed'].includes(status)) {
+          return res.status(400).json({ success: false, error: 'status must be one of: queued, sending, sent, failed' });
+        }
+
+        const messages = await this.emailSender.emailService.queue.getMessages({ status, campaignId });
+        res.json({ success: true, total: messages.length, messages });
+      } catch (error) {
+        logError('api', error, { context: 'GET /api/email/queue/messages' });
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    this.app.post('/api/email/test', async (req, res) => {
+      try {
+        const { email, templateId } = req.body;
         
+        if (!email) {
+          return res.status(400).json({
+            success: false,
+            error: 'Email address is required'
+          });
+        }
+        if (templateId && !(await this.emailSender.emailService.templates.getTemplate(templateId))) {
+          return res.status(404).json({ success: false, error: 'Template not found' });
+        }
+
+        const result = await this.emailSender.sendTestEmail(email, { templateId });
+        
+        res.json({
+          success: result.success,
+          message: result.success ? 'Test email sent successfully' : result.reason,
+          result
+        });
+      } catch (error) {
+        logError('api', error, { context: 'POST /api/email/test' });
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Email template routes
+    this.app.get('/api/templates', async (req, res) => {
+      try {
+        res.json({
+          success: true,
+          templates: await this.emailSender.emailService.templates.listTemplates()
+        });
+      } catch (error) {
+        logError('api', error, { context: 'GET /api/templates' });
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    this.app.post('/api/templates', async (req, res) => {
+      try {
+        const { template, error } = validateTemplateInput(req.body);
+        if (error) {
+          return res.status(400).json({ success: false, error });
+        }
+
+        res.json({
+          success: true,
+          template: await this.emailSender.emailService.templates.createTemplate(template)
+        });
+      } catch (error) {
+        logError('api', error, { context: 'POST /api/templates' });
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    this.app.get('/api/templates/:id', async (req, res) => {
+      try {
+        const template = await this.emailSender.emailService.templates.getTemplate(req.params.id);
+        if (!template) {
+          return res.status(404).json({ success: false, error: 'Template not found' });
+        }
+        res.json({ success: true, template });
+      } catch (error) {
+        logError('api', error, { context: 'GET /api/templates/:id', templateId: req.params.id });
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    this.app.patch('/api/templates/:id', async (req, res) => {
+      try {
+        const { template: changes, error } = validateTemplateInput(req.body, { partial: true });
+        if (error) {
+          return res.status(400).json({ success: false, error });
+        }
+
+        const templates = this.emailSender.emailService.templates;
+        const template = await templates.getTemplate(req.params.id);
+        if (!template) {
+          return res.status(404).json({ success: false, error: 'Template not found' });
+        }
+        if (changes.isDefault === false && template.isDefault) {
+          return res.status(400).json({
+            success: false,
+            error: 'Make another template the default instead of unsetting this one'
+          });
+        }
+
+        res.json({
+          success: true,
+          template: await templates.updateTemplate(template.id, changes)
+        });
+      } catch (error) {
+        logError('api', error, { context: 'PATCH /api/templates/:id', templateId: req.params.id });
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    this.app.delete('/api/templates/:id', async (req, res) => {
+      try {
+        const templates = this.emailSender.emailService.templates;
+        const template = await templates.getTemplate(req.params.id);
+        if (!template) {
+          return res.status(404).json({ success: false, error: 'Template not found' });
+        }
+        if (template.isDefault) {
+          return res.status(409).json({
+            success: false,
+            error: 'The default template cannot be deleted; make another template the default first'
+          });
+        }
+        const campaigns = await this.emailSender.emailService.campaigns.getCampaignsUsingTemplate(template.id);
+        if (campaigns.length > 0) {
+          return res.status(409).json({
+            success: false,
+            error: `The template is used by campaign(s) ${campaigns.map(campaign => campaign.name).join(', ')}`
+          });
+        }
+
+        await templates.deleteTemplate(template.id);
+        res.json({ success: true, deleted: template.id });
+      } catch (error) {
+        logError('api', error, { context: 'DELETE /api/templates/:id', templateId: req.params.id });
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    this.app.post('/api/templates/:id/versions/:version/restore', async (req, res) => {
+      try {
+        const template = await this.emailSender.emailService.templates.restoreVersion(req.params.id, req.params.version);
+        if (!template) {
+          return res.status(404).json({ success: false, error: 'Template or version not found' });
+        }
+        res.json({ success: true, template });
+      } catch (error) {
+        logError('api', error, { context: 'POST /api/templates/:id/versions/:version/restore', templateId: req.params.id });
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Render a template for a stored agent without sending it
+    this.app.post('/api/templates/:id/preview', async (req, res) => {
+      try {
+        const { agentId, version = null, variant = 0 } = req.body || {};
+        if (agentId === undefined || agentId === null) {
+          return res.status(400).json({ success: false, error: 'agentId is required' });
+        }
+        if (!Number.isInteger(variant) || variant < 0) {
+          return res.status(400).json({ success: false, error: 'variant must be a whole number of at least 0' });
+        }
+
+        const templates = this.emailSender.emailService.templates;
+        const template = await templates.getTemplate(req.params.id);
+        if (!template) {
+          return res.status(404).json({ success: false, error: 'Template not found' });
+        }
+        if (!templates.getVersion(template, version)) {
+          return res.status(404).json({ success: false, error: `Template has no version ${version}` });
+        }
+        const agent = await this.csvService.agentService.getAgent(agentId);
+        if (!agent) {
+          return res.status(404).json({ success: false, error: 'Agent not found' });
+        }
+
+        res.json({
+          success: true,
+          agentId: agent.id,
+          email: templates.renderEmail(template, agent, {
+            version,
+            variant,
+            unsubscribeUrl: await this.emailSender.emailService.suppressions.getUnsubscribeUrl(agent.email)
+          })
+        });
+      } catch (error) {
+        logError('api', error, { context: 'POST /api/templates/:id/preview', templateId: req.params.id });
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Campaign routes
+    this.app.get('/api/campaigns', async (req, res) => {
+      try {
+        res.json({
+          success: true,
+          campaigns: await this.emailSender.emailService.campaigns.listCampaigns()
+        });
+      } catch (error) {
+        logError('api', error, { context: 'GET /api/campaigns' });
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    this.app.post('/api/campaigns', async (req, res) => {
+      try {
+        const { campaign, error } = validateCampaignInput(req.body);
+        if (error) {
+          return res.status(400).json({ success: false, error });
+        }
+        if (campaign.templateId && !(await this.emailSender.emailService.templates.getTemplate(campaign.templateId))) {
+          return res.status(400).json({ success: false, error: 'templateId: template not found' });
+        }
+        const missingFollowUp = await this.findMissingFollowUpTemplate(campaign.followUps);
+        if (missingFollowUp) {
+          return res.status(400).json({ success: false, error: missingFollowUp });
+        }
+
+        res.json({
+          success: true,
+          campaign: await this.emailSender.emailService.campaigns.createCampaign(campaign)
+        });
+      } catch (error) {
+        logError('api', error, { context: 'POST /api/campaigns' });
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    this.app.get('/api/campaigns/:id', async (req, res) => {
+      try {
+        const campaigns = this.emailSender.emailService.campaigns;
+        const campaign = await campaigns.getCampaign(req.params.id);
+        if (!campaign) {
+          return res.status(404).json({ success: false, error: 'Campaign not found' });
+        }
+
+        res.json({
+          success: true,
+          campaign: {
+            ...campaign,
+            audienceSize: await campaigns.countAudience(campaign),
+            stats: campaigns.getStats(campaign, await campaigns.getSends(campaign.id)),
+            sequence: campaigns.getSequenceStats(await campaigns.getSequence(campaign.id))
+          }
+        });
+      } catch (error) {
+        logError('api', error, { context: 'GET /api/campaigns/:id', campaignId: req.params.id });
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    this.app.patch('/api/campaigns/:id', async (req, res) => {
+      try {
+        const { campaign: changes, error } = validateCampaignInput(req.body, { partial: true });
+        if (error) {
+          return res.status(400).json({ success: false, error });
+        }
+        if (changes.templateId && !(await this.emailSender.emailService.templates.getTemplate(changes.templateId))) {
+          return res.status(400).json({ success: false, error: 'templateId: template not found' });
+        }
+        const missingFollowUp = await this.findMissingFollowUpTemplate(changes.followUps);
+        if (missingFollowUp) {
+          return res.status(400).json({ success: false, error: missingFollowUp });
+        }
+
+        const campaign = await this.emailSender.emailService.campaigns.updateCampaign(req.params.id, changes);
+        if (!campaign) {
+          return res.status(404).json({ success: false, error: 'Campaign not found' });
+        }
+        res.json({ success: true, campaign });
+      } catch (error) {
+        logError('api', error, { context: 'PATCH /api/campaigns/:id', campaignId: req.params.id });
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    this.app.delete('/api/campaigns/:id', async (req, res) => {
+      try {
+        const campaigns = this.emailSender.emailService.campaigns;
+        const campaign = await campaigns.getCampaign(req.params.id);
+        if (!campaign) {
+          return res.status(404).json({ success: false, error: 'Campaign not found' });
+        }
+        if (campaign.status === 'running') {
+          return res.status(409).json({ success: false, error: 'Stop the campaign before deleting it' });
+        }
+
+        await campaigns.deleteCampaign(campaign.id);
+        await this.emailSender.emailService.queue.removeQueued(campaign.id);
+        res.json({ success: true, deleted: campaign.id });
+      } catch (error) {
+        logError('api', error, { context: 'DELETE /api/campaigns/:id', campaignId: req.params.id });
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    for (const [action, status] of [['start', 'running'], ['stop', 'stopped']]) {
+      this.app.post(`/api/campaigns/:id/${action}`, async (req, res) => {
+        try {
+          const campaign = await this.emailSender.emailService.campaigns.setStatus(req.params.id, status);
+          if (!campaign) {
+            return res.status(404).json({ success: false, error: 'Campaign not found' });
+          }
+          res.json({ success: true, campaign });
+        } catch (error) {
+          logError('api', error, { context: `POST /api/campaigns/:id/${action}`, campaignId: req.params.id });
+          res.status(500).json({
+            success: false,
+            error: error.message
+          });
+        }
+      });
+    }
+
+    this.app.post('/api/campaigns/:id/send', async (req, res) => {
+      try {
+        const { maxEmails } = req.body || {};
+        const campaign = await this.emailSender.emailService.campaigns.getCampaign(req.params.id);
+        if (!campaign) {
+          return res.status(404).json({ success: false, error: 'Campaign not found' });
+        }
+        if (campaign.status !== 'running') {
+          return res.status(409).json({ success: false, error: `Campaign is ${campaign.status}; start it first` });
+        }
+
+        const result = await this.emailSender.run(maxEmails, { campaignId: campaign.id });
+        res.json({
+          success: result.success !== false,
+          message: result.success !== false ? `Queued ${result.queued} emails` : result.reason,
+          result
+        });
+      } catch (error) {
+        logError('api', error, { context: 'POST /api/campaigns/:id/send', campaignId: req.params.id });
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    this.app.get('/api/campaigns/:id/sends', async (req, res) => {
+      try {
+        const campaigns = this.emailSender.emailService.campaigns;
+        const campaign = await campaigns.getCampaign(req.params.id);
+        if (!campaign) {
+          return res.status(404).json({ success: false, error: 'Campaign not found' });
+        }
+
+        const { status } = req.query;
+        const sends = (await campaigns.getSends(campaign.id))
+          .filter(send => !status || send.status === status)
+          .reverse();
+        res.json({ success: true, total: sends.length, sends });
+      } catch (error) {
+        logError('api', error, { context: 'GET /api/campaigns/:id/sends', campaignId: req.params.id });
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    this.app.get('/api/campaigns/:id/sequence', async (req, res) => {
+      try {
+        const campaigns = this.emailSender.emailService.campaigns;
+        const campaign = await campaigns.getCampaign(req.params.id);
+        if (!campaign) {
+          return res.status(404).json({ success: false, error: 'Campaign not found' });
+        }
+
+        // active, or the reason sequences stopped such as replied or completed
+        const { status } = req.query;
+        const sequence = await campaigns.getSequence(campaign.id);
+        const agents = Object.values(sequence)
+          .filter(entry => !status || (status === 'active' ? !entry.stoppedReason : entry.stoppedReason === status));
+        res.json({
+          success: true,
+          followUps: campaign.followUps || [],
+          stats: campaigns.getSequenceStats(sequence),
+          total: agents.length,
+          agents
+        });
+      } catch (error) {
+        logError('api', error, { context: 'GET /api/campaigns/:id/sequence', campaignId: req.params.id });
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Suppression list routes
+    this.app.get('/api/suppressions', async (req, res) => {
+      try {
+        const { type, q } = req.query;
+        if (type && !['email', 'domain'].includes(type)) {
+          return res.status(400).json({ success: false, error: 'type must be email or domain' });
+        }
+
+        const entries = await this.emailSender.emailService.suppressions.listEntries({ type, q });
+        res.json({ success: true, total: entries.length, entries });
+      } catch (error) {
+        logError('api', error, { context: 'GET /api/suppressions' });
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    this.app.post('/api/suppressions', async (req, res) => {
+      try {
+        const { values, reason = null } = req.body || {};
+        if (!Array.isArray(values) || values.length === 0) {
+          return res.status(400).json({ success: false, error: 'values must be a non-empty list of email addresses or domains' });
+        }
+        if (reason !== null && typeof reason !== 'string') {
+          return res.status(400).json({ success: false, error: 'reason must be a string' });
+        }
+
+        const result = await this.emailSender.emailService.suppressions.addEntries(values, { reason, source: 'api' });
+        await this.stopSuppressedSequences(result.added);
+        res.json({ success: true, ...result });
+      } catch (error) {
+        logError('api', error, { context: 'POST /api/suppressions' });
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    this.app.post('/api/suppressions/import', upload.single('file'), async (req, res) => {
+      try {
+        if (!req.file) {
+          return res.status(400).json({ success: false, error: 'No file uploaded' });
+        }
+
+        const suppressions = this.emailSender.emailService.suppressions;
+        const values = await suppressions.parseImport(req.file.buffer);
+        if (values.length === 0) {
+          return res.status(400).json({ success: false, error: 'The file has no rows' });
+        }
+
+        const result = await suppressions.addEntries(values, { reason: req.body.reason || null, source: 'import' });
+        await this.stopSuppressedSequences(result.added);
+        res.json({
+          success: true,
+          message: `Imported ${values.length} rows: ${result.added.length} added, ${result.existing.length} already suppressed, ${result.invalid.length} invalid`,
+          ...result
+        });
+      } catch (error) {
+        logError('api', error, { context: 'POST /api/suppressions/import' });
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    this.app.get('/api/suppressions/export', async (req, res) => {
+      try {
+        const { format = 'csv' } = req.query;
+        if (!['csv', 'json'].includes(format)) {
+          return res.status(400).json({ success: false, error: 'format must be csv or json' });
+        }
+
+        const suppressions = this.emailSender.emailService.suppressions;
+        const date = new Date().toISOString().slice(0, 10);
+        res.setHeader('Content-Disposition', `attachment; filename="suppressions-${date}.${format}"`);
+        if (format === 'json') {
+          res.json(await suppressions.load());
+        } else {
+          res.type('text/csv').send(await suppressions.exportCsv());
+        }
+      } catch (error) {
+        logError('api', error, { context: 'GET /api/suppressions/export' });
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    this.app.get('/api/suppressions/check', async (req, res) => {
+      try {
+        const { email } = req.query;
+        if (!email) {
+          return res.status(400).json({ success: false, error: 'email is required' });
+        }
+
+        const entry = await this.emailSender.emailService.suppressions.findEntry(email);
+        res.json({ success: true, email, suppressed: Boolean(entry), entry });
+      } catch (error) {
+        logError('api', error, { context: 'GET /api/suppressions/check' });
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    this.app.delete('/api/suppressions/:value', async (req, res) => {
+      try {
+        const removed = await this.emailSender.emailService.suppressions.removeEntry(req.params.value);
+        if (!removed) {
+          return res.status(404).json({ success: false, error: 'Not on the suppression list' });
+        }
+        res.json({ success: true, deleted: req.params.value });
+      } catch (error) {
+        logError('api', error, { context: 'DELETE /api/suppressions/:value' });
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // One-click unsubscribe: the link shows a confirmation form, and mail
+    // clients using List-Unsubscribe-Post POST to it directly
+    this.app.get('/unsubscribe/:token', async (req, res) => {
+      try {
+        const email = await this.emailSender.emailService.suppressions.verifyToken(req.params.token);
+        if (!email) {
+          return res.status(400).send(renderUnsubscribePage('This unsubscribe link is not valid.'));
+        }
+        res.send(renderUnsubscribePage(`Stop all emails to ${email}?`, { confirm: true }));
+      } catch (error) {
+        logError('api', error, { context: 'GET /unsubscribe/:token' });
+        res.status(500).send(renderUnsubscribePage('Something went wrong. Please try again later.'));
+      }
+    });
+
+    this.app.post('/unsubscribe/:token', async (req, res) => {
+      try {
+        const email = await this.emailSender.emailService.suppressions.verifyToken(req.params.token);
+        if (!email) {
+          return res.status(400).send(renderUnsubscribePage('This unsubscribe link is not valid.'));
+        }
+
+        await this.emailSender.emailService.suppressions.addEntries([email], { reason: 'Unsubscribed', source: 'unsubscribe_link' });
+        await this.emailSender.emailService.campaigns.stopSequences([email], 'unsubscribed');
+        apiLogger.info(`Unsubscribed ${email}`);
+        res.send(renderUnsubscribePage(`${email} is unsubscribed and will not be emailed again.`));
+      } catch (error) {
+        logError('api', error, { context: 'POST /unsubscribe/:token' });
+        res.status(500).send(renderUnsubscribePage('Something went wrong. Please try again later.'));
+      }
+    });
+
+    // Statistics routes
+    this.app.get('/api/stats/scraping', async (req, res) => {
+      try {
+        const stats = await this.csvService.getCSVStats();
+        res.json({
+          success: true,
+          stats
+        });
+      } catch (error) {
+        logError('api', error, { context: 'GET /api/stats/scraping' });
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    this.app.get('/api/stats/email', async (req, res) => {
+      try {
+        const stats = await this.emailSender.getEmailStats();
+        res.json({
+          success: true,
+          stats
+        });
+      } catch (error) {
+        logError('api', error, { context: 'GET /api/stats/email' });
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Data routes
+    this.app.get('/api/agents', async (req, res) => {
+      try {
+        const { query, error } = parseAgentQuery(req.query);
+        if (error) {
+          return res.status(400).json({
+            success: false,
+            error
+          });
+        }
+
+        const { agents, total, nextCursor } = await this.csvService.searchAgents(req.query);
+
+        res.json({
+          success: true,
+          agents,
+          total,
+          limit: query.limit,
+          offset: query.offset,
+          nextCursor
+        });
+      } catch (error) {
+        logError('api', error, { context: 'GET /api/agents' });
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Management routes
+    this.app.post('/api/email/reset', async (req, res) => {
+      try {
+        await this.emailSender.resetDailyCounter();
+        res.json({
+          success: true,
+          message: 'Daily email counter reset successfully'
+        });
+      } catch (error) {
+        logError('api', error, { context: 'POST /api/email/reset' });
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    this.app.post('/api/email/clear-log', async (req, res) => {
+      try {
+        const success = await this.emailSender.clearEmailLog();
+        res.json({
+          success,
+          message: success ? 'Email log cleared successfully' : 'Failed to clear email log'
+        });
+      } catch (error) {
+        logError('api', error, { context: 'POST /api/email/clear-log' });
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    this.app.post('/api/csv/backup', async (req, res) => {
+      try {
+        const snapshot = await this.csvService.snapshots.createSnapshot({ label: 'backup' });
+        res.json({
+          success: true,
+          message: `Snapshot ${snapshot.id} created with ${snapshot.agentCount} agents`,
+          snapshot
+        });
+      } catch (error) {
+        logError('api', error, { context: 'POST /api/csv/backup' });
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Snapshot backups of the agent table and email log
+    this.app.get('/api/backups', (req, res) => {
+      try {
+        const snapshots = this.csvService.snapshots.listSnapshots();
+        res.json({ success: true, snapshots, total: snapshots.length });
+      } catch (error) {
+        logError('api', error, { context: 'GET /api/backups' });
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    this.app.post('/api/backups', async (req, res) => {
+      try {
+        const { label = 'manual' } = req.body || {};
+        if (typeof label !== 'string' || label.length > 100) {
+          return res.status(400).json({ success: false, error: 'label must be a string of at most 100 characters' });
+        }
+
+        const snapshot = await this.csvService.snapshots.createSnapshot({ label });
+        res.json({
+          success: true,
+          message: `Snapshot ${snapshot.id} created with ${snapshot.agentCount} agents`,
+          snapshot
+        });
+      } catch (error) {
+        logError('api', error, { context: 'POST /api/backups' });
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Registered before /api/backups/:id so "diff" is not taken for an id
+    this.app.get('/api/backups/diff', async (req, res) => {
+      try {
+        const { from, to = 'current' } = req.query;
+        if (!from) {
+          return res.status(400).json({ success: false, error: 'from is required: a snapshot id or "current"' });
+        }
+
+        const snapshots = this.csvService.snapshots;
+        const fromSnapshot = from === 'current' ? null : snapshots.getSnapshot(from);
+        const toSnapshot = to === 'current' ? null : snapshots.getSnapshot(to);
+        if ((from !== 'current' && !fromSnapshot) || (to !== 'current' && !toSnapshot)) {
+          return res.status(404).json({ success: false, error: 'Snapshot not found' });
+        }
+
         res.json({
           success: true,
-          message: 'Scraping completed successfully',
-          stats,
-          agentsCount: agents.length
+          diff: await snapshots.diffSnapshots(fromSnapshot, toSnapshot)
         });
       } catch (error) {
-        logError('api', error, { context: 'POST /api/scrape' });
+        logError('api', error, { context: 'GET /api/backups/diff' });
         res.status(500).json({
           success: false,
           error: error.message
@@ -137,21 +1316,53 @@ class RealEstateScraperAPI {
       }
     });
 
-    // Email routes
-    this.app.post('/api/email/send', async (req, res) => {
+    this.app.get('/api/backups/:id', (req, res) => {
       try {
-        const { maxEmails } = req.body;
-        logger.info('Starting email sending via API');
-        
-        const result = await this.emailSender.run(maxEmails);
-        
+        const snapshot = this.csvService.snapshots.getSnapshot(req.params.id);
+        if (!snapshot) {
+          return res.status(404).json({ success: false, error: 'Snapshot not found' });
+        }
+
+        res.json({ success: true, snapshot });
+      } catch (error) {
+        logError('api', error, { context: 'GET /api/backups/:id', snapshotId: req.params.id });
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    this.app.post('/api/backups/:id/restore', async (req, res) => {
+      try {
+        const { mode = 'full', dryRun = false } = req.body || {};
+        if (!['full', 'merge'].includes(mode)) {
+          return res.status(400).json({ success: false, error: 'mode must be full or merge' });
+        }
+        if (typeof dryRun !== 'boolean') {
+          return res.status(400).json({ success: false, error: 'dryRun must be a boolean' });
+        }
+
+        const snapshot = this.csvService.snapshots.getSnapshot(req.params.id);
+        if (!snapshot) {
+          return res.status(404).json({ success: false, error: 'Snapshot not found' });
+        }
+
+        const report = await this.csvService.snapshots.restoreSnapshot(snapshot, { mode, dryRun });
+        if (!dryRun) {
+          // The email service keeps the log in memory
+          await this.emailSender.emailService.loadEmailLog();
+        }
+
         res.json({
-          success: result.success !== false,
-          message: result.success !== false ? 'Emails sent successfully' : result.reason,
-          result
+          success: true,
+          message: dryRun
+            ? `Restoring ${snapshot.id} would add ${report.restored} agents and fill in ${report.filledIn}`
+            : `Restored ${snapshot.id}: ${report.restored} agents added, ${report.filledIn} filled in, ${report.deleted} replaced`,
+          report
         });
       } catch (error) {
-        logError('api', error, { context: 'POST /api/email/send' });
+        logError('api', error, { context: 'POST /api/backups/:id/restore', snapshotId: req.params.id });
         res.status(500).json({
           success: false,
           error: error.message
@@ -159,26 +1370,28 @@ class RealEstateScraperAPI {
       }
     });
 
-    this.app.post('/api/email/test', async (req, res) => {
+    this.app.post('/api/csv/remove-duplicates', async (req, res) => {
       try {
-        const { email } = req.body;
-        
-        if (!email) {
+        const dryRun = req.body.dryRun ?? req.query.dryRun === 'true';
+        const fuzzy = req.body.fuzzy ?? req.query.fuzzy !== 'false';
+        if (typeof dryRun !== 'boolean' || typeof fuzzy !== 'boolean') {
           return res.status(400).json({
             success: false,
-            error: 'Email address is required'
+            error: 'dryRun and fuzzy must be booleans'
           });
         }
 
-        const result = await this.emailSender.sendTestEmail(email);
-        
+        const report = await this.csvService.removeDuplicates({ dryRun, fuzzy });
         res.json({
-          success: result.success,
-          message: result.success ? 'Test email sent successfully' : result.reason,
-          result
+          success: true,
+          message: dryRun
+            ? `Found ${report.deletedIds.length} duplicates in ${report.duplicateGroups} groups`
+            : `Removed ${report.deletedIds.length} duplicates`,
+          agentsCount: report.remaining,
+          report
         });
       } catch (error) {
-        logError('api', error, { context: 'POST /api/email/test' });
+        logError('api', error, { context: 'POST /api/csv/remove-duplicates' });
         res.status(500).json({
           success: false,
           error: error.message
@@ -186,16 +1399,44 @@ class RealEstateScraperAPI {
       }
     });
 
-    // Statistics routes
-    this.app.get('/api/stats/scraping', async (req, res) => {
+    // Possible duplicates awaiting a decision
+    this.app.get('/api/agents/review', async (req, res) => {
       try {
-        const stats = await this.csvService.getCSVStats();
+        const { status = 'pending' } = req.query;
+        const pairs = await this.csvService.reviewQueue.list(status === 'all' ? null : status);
+        res.json({ success: true, pairs, total: pairs.length });
+      } catch (error) {
+        logError('api', error, { context: 'GET /api/agents/review' });
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    this.app.post('/api/agents/review/:id/merge', async (req, res) => {
+      try {
+        const pair = await this.csvService.reviewQueue.get(req.params.id);
+        if (!pair) {
+          return res.status(404).json({ success: false, error: 'Review pair not found' });
+        }
+        if (pair.status !== 'pending') {
+          return res.status(409).json({ success: false, error: `Review pair is already ${pair.status}` });
+        }
+
+        const merge = await this.csvService.mergeAgentRecords(pair.agentIds);
+        if (!merge) {
+          return res.status(404).json({ success: false, error: 'One of the agents no longer exists' });
+        }
+
         res.json({
           success: true,
-          stats
+          message: `Merged agent ${merge.deletedIds.join(', ')} into ${merge.keptId}`,
+          pair: await this.csvService.reviewQueue.resolve(pair.id, 'merged', { keptId: merge.keptId }),
+          merge
         });
       } catch (error) {
-        logError('api', error, { context: 'GET /api/stats/scraping' });
+        logError('api', error, { context: 'POST /api/agents/review/:id/merge', pairId: req.params.id });
         res.status(500).json({
           success: false,
           error: error.message
@@ -203,15 +1444,23 @@ class RealEstateScraperAPI {
       }
     });
 
-    this.app.get('/api/stats/email', (req, res) => {
+    this.app.post('/api/agents/review/:id/dismiss', async (req, res) => {
       try {
-        const stats = this.emailSender.getEmailStats();
+        const pair = await this.csvService.reviewQueue.get(req.params.id);
+        if (!pair) {
+          return res.status(404).json({ success: false, error: 'Review pair not found' });
+        }
+        if (pair.status !== 'pending') {
+          return res.status(409).json({ success: false, error: `Review pair is already ${pair.status}` });
+        }
+
         res.json({
           success: true,
-          stats
+          message: 'Agents kept as separate records',
+          pair: await this.csvService.reviewQueue.resolve(pair.id, 'dismissed')
         });
       } catch (error) {
-        logError('api', error, { context: 'GET /api/stats/email' });
+        logError('api', error, { context: 'POST /api/agents/review/:id/dismiss', pairId: req.params.id });
         res.status(500).json({
           success: false,
           error: error.message
@@ -219,28 +1468,62 @@ class RealEstateScraperAPI {
       }
     });
 
-    // Data routes
-    this.app.get('/api/agents', async (req, res) => {
+    // CSV upload endpoint: imports a file in one step with the suggested
+    // column mapping, skipping invalid rows
+    this.app.post('/api/agents/upload', upload.single('file'), async (req, res) => {
       try {
-        const { limit = 100, offset = 0, withEmails = false } = req.query;
-        
-        let agents = await this.csvService.readAgentsFromCSV();
-        
-        if (withEmails === 'true') {
-          agents = agents.filter(agent => agent.email && agent.email.trim() !== '');
+        if (!req.file) {
+          return res.status(400).json({ success: false, error: 'No file uploaded' });
         }
-        
-        const paginatedAgents = agents.slice(parseInt(offset), parseInt(offset) + parseInt(limit));
-        
+
+        const imports = this.csvService.imports;
+        const agentImport = await imports.createImport(req.file.buffer, req.file.originalname);
+        const mappingError = validateMapping(agentImport.mapping, agentImport.columns);
+        if (mappingError) {
+          await imports.discard(agentImport.id);
+          return res.status(400).json({
+            success: false,
+            error: `${mappingError}. Use POST /api/agents/import to map the columns`,
+            columns: agentImport.columns
+          });
+        }
+
+        const result = await imports.commit(agentImport).catch(async (error) => {
+          await imports.discard(agentImport.id);
+          throw error;
+        });
         res.json({
           success: true,
-          agents: paginatedAgents,
-          total: agents.length,
-          limit: parseInt(limit),
-          offset: parseInt(offset)
+          message: `Uploaded ${agentImport.rows.length} agents: ${result.inserted} new, ${result.updated} updated, ${result.unchanged} unchanged, ${result.merged} merged, ${result.skipped} skipped`,
+          count: agentImport.rows.length,
+          importId: agentImport.id,
+          ...result
         });
       } catch (error) {
-        logError('api', error, { context: 'GET /api/agents' });
+        logError('api', error, { context: 'POST /api/agents/upload' });
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Two-step CSV import: preview a file, then commit it with a mapping
+    this.app.post('/api/agents/import', upload.single('file'), async (req, res) => {
+      try {
+        if (!req.file) {
+          return res.status(400).json({ success: false, error: 'No file uploaded' });
+        }
+
+        const agentImport = await this.csvService.imports.createImport(req.file.buffer, req.file.originalname);
+        if (agentImport.rows.length === 0) {
+          await this.csvService.imports.discard(agentImport.id);
+          return res.status(400).json({ success: false, error: 'The file has no rows' });
+        }
+
+        res.json({
+          success: true,
+          import: this.csvService.imports.buildPreview(agentImport)
+        });
+      } catch (error) {
+        logError('api', error, { context: 'POST /api/agents/import' });
         res.status(500).json({
           success: false,
           error: error.message
@@ -248,16 +1531,20 @@ class RealEstateScraperAPI {
       }
     });
 
-    // Management routes
-    this.app.post('/api/email/reset', (req, res) => {
+    this.app.get('/api/agents/import/:id', async (req, res) => {
       try {
-        this.emailSender.resetDailyCounter();
+        const agentImport = await this.csvService.imports.get(req.params.id);
+        if (!agentImport) {
+          return res.status(404).json({ success: false, error: 'Import not found or expired' });
+        }
+
+        const { rows, ...summary } = agentImport;
         res.json({
           success: true,
-          message: 'Daily email counter reset successfully'
+          import: agentImport.status === 'pending' ? this.csvService.imports.buildPreview(agentImport) : summary
         });
       } catch (error) {
-        logError('api', error, { context: 'POST /api/email/reset' });
+        logError('api', error, { context: 'GET /api/agents/import/:id', importId: req.params.id });
         res.status(500).json({
           success: false,
           error: error.message
@@ -265,15 +1552,42 @@ class RealEstateScraperAPI {
       }
     });
 
-    this.app.post('/api/email/clear-log', (req, res) => {
+    this.app.post('/api/agents/import/:id/commit', async (req, res) => {
       try {
-        const success = this.emailSender.clearEmailLog();
+        const imports = this.csvService.imports;
+        const agentImport = await imports.get(req.params.id);
+        if (!agentImport) {
+          return res.status(404).json({ success: false, error: 'Import not found or expired' });
+        }
+        if (agentImport.status !== 'pending') {
+          return res.status(409).json({ success: false, error: `Import is already ${agentImport.status}` });
+        }
+
+        const { mapping: chosen = {}, fixes = {}, dryRun = false } = req.body || {};
+        const mapping = { ...agentImport.mapping, ...chosen };
+        const error = validateMapping(mapping, agentImport.columns) ||
+          validateFixes(fixes, imports.getRowNumbers(agentImport));
+        if (error) {
+          return res.status(400).json({ success: false, error });
+        }
+
+        if (dryRun) {
+          return res.json({
+            success: true,
+            dryRun: true,
+            import: imports.buildPreview(agentImport, mapping, fixes)
+          });
+        }
+
+        const result = await imports.commit(agentImport, mapping, fixes);
         res.json({
-          success,
-          message: success ? 'Email log cleared successfully' : 'Failed to clear email log'
+          success: true,
+          message: `Imported ${agentImport.rows.length} rows: ${result.inserted} new, ${result.updated} updated, ${result.unchanged} unchanged, ${result.merged} merged, ${result.skipped} skipped`,
+          importId: agentImport.id,
+          ...result
         });
       } catch (error) {
-        logError('api', error, { context: 'POST /api/email/clear-log' });
+        logError('api', error, { context: 'POST /api/agents/import/:id/commit', importId: req.params.id });
         res.status(500).json({
           success: false,
           error: error.message
@@ -281,15 +1595,107 @@ class RealEstateScraperAPI {
       }
     });
 
-    this.app.post('/api/csv/backup', async (req, res) => {
+    // Download agents matching the list filters as a file
+    this.app.get('/api/agents/export', async (req, res) => {
+      const { format = 'csv', columns: columnList, ...filters } = req.query;
+      try {
+        const exportFormat = AgentExportService.EXPORT_FORMATS[format];
+        if (!exportFormat) {
+          return res.status(400).json({
+            success: false,
+            error: `format must be one of: ${Object.keys(AgentExportService.EXPORT_FORMATS).join(', ')}`
+          });
+        }
+
+        const { columns, error: columnError } = this.csvService.exports.parseColumns(columnList);
+        const { error: queryError } = parseAgentQuery({ ...filters, limit: undefined, offset: undefined, cursor: undefined });
+        if (columnError || queryError) {
+          return res.status(400).json({ success: false, error: columnError || queryError });
+        }
+
+        const date = new Date().toISOString().slice(0, 10);
+        res.setHeader('Content-Type', exportFormat.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="agents-${date}.${exportFormat.extension}"`);
+
+        const count = await this.csvService.exports.exportAgents(res, { format, columns, filters });
+        apiLogger.info(`Exported ${count} agents as ${format}`);
+      } catch (error) {
+        logError('api', error, { context: 'GET /api/agents/export', format });
+        if (!res.headersSent) {
+          res.status(500).json({
+            success: false,
+            error: error.message
+          });
+        } else {
+          // Part of the file is already sent; cut it off so it is not mistaken for a complete export
+          res.destroy(error);
+        }
+      }
+    });
+
+    // Update or delete agents by id list or filter. Registered before the
+    // /api/agents/:id routes, as are the review routes above.
+    this.app.post('/api/agents/bulk', async (req, res) => {
       try {
-        const success = await this.csvService.backupCSV();
+        const { action, ids, filter, updates, dryRun = false } = req.body || {};
+        if (!['update', 'delete'].includes(action)) {
+          return res.status(400).json({ success: false, error: 'action must be update or delete' });
+        }
+        if ((ids === undefined) === (filter === undefined)) {
+          return res.status(400).json({ success: false, error: 'Provide either ids or filter' });
+        }
+        if (ids !== undefined && (!Array.isArray(ids) || ids.length === 0 ||
+          ids.some(id => !['string', 'number'].includes(typeof id)))) {
+          return res.status(400).json({ success: false, error: 'ids must be a non-empty array of agent ids' });
+        }
+        if (typeof dryRun !== 'boolean') {
+          return res.status(400).json({ success: false, error: 'dryRun must be a boolean' });
+        }
+
+        let validUpdates = null;
+        if (action === 'update') {
+          const result = validateAgentUpdates(updates, { bulk: true });
+          if (result.error) {
+            return res.status(400).json({ success: false, error: result.error });
+          }
+          validUpdates = result.updates;
+        }
+
+        const agentService = this.csvService.agentService;
+        let matchedIds;
+        if (filter !== undefined) {
+          const { query, error } = parseAgentQuery(filter || {});
+          if (error) {
+            return res.status(400).json({ success: false, error: `filter: ${error}` });
+          }
+          if (!hasFilters(query)) {
+            // An empty filter would match every agent
+            return res.status(400).json({ success: false, error: 'filter must include at least one condition' });
+          }
+          matchedIds = await agentService.getMatchingIds(filter);
+        } else {
+          matchedIds = (await agentService.getAgentsByIds(ids)).map(agent => agent.id);
+        }
+
+        if (!dryRun) {
+          if (action === 'update') {
+            await agentService.updateAgents(matchedIds, validUpdates);
+          } else {
+            await agentService.deleteAgents(matchedIds);
+          }
+        }
+
+        const verb = action === 'update' ? 'Updated' : 'Deleted';
         res.json({
-          success,
-          message: success ? 'CSV backed up successfully' : 'Failed to backup CSV'
+          success: true,
+          message: dryRun ? `${matchedIds.length} agents match` : `${verb} ${matchedIds.length} agents`,
+          action,
+          dryRun,
+          matched: matchedIds.length,
+          ids: matchedIds
         });
       } catch (error) {
-        logError('api', error, { context: 'POST /api/csv/backup' });
+        logError('api', error, { context: 'POST /api/agents/bulk' });
         res.status(500).json({
           success: false,
           error: error.message
@@ -297,16 +1703,51 @@ class RealEstateScraperAPI {
       }
     });
 
-    this.app.post('/api/csv/remove-duplicates', async (req, res) => {
+    this.app.get('/api/agents/:id', async (req, res) => {
+      try {
+        const agent = await this.csvService.agentService.getAgent(req.params.id);
+        if (!agent) {
+          return res.status(404).json({ success: false, error: 'Agent not found' });
+        }
+
+        res.json({ success: true, agent });
+      } catch (error) {
+        logError('api', error, { context: 'GET /api/agents/:id', agentId: req.params.id });
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    this.app.patch('/api/agents/:id', async (req, res) => {
       try {
-        const agents = await this.csvService.removeDuplicates();
+        const { updates, error } = validateAgentUpdates(req.body);
+        if (error) {
+          return res.status(400).json({ success: false, error });
+        }
+
+        const agentService = this.csvService.agentService;
+        const agent = await agentService.getAgent(req.params.id);
+        if (!agent) {
+          return res.status(404).json({ success: false, error: 'Agent not found' });
+        }
+
+        const conflict = await agentService.findIdentityConflict(agent, updates);
+        if (conflict) {
+          return res.status(409).json({
+            success: false,
+            error: `Agent ${conflict.id} already has this email or profile URL`,
+            conflictingAgentId: conflict.id
+          });
+        }
+
         res.json({
           success: true,
-          message: 'Duplicates removed successfully',
-          agentsCount: agents.length
+          agent: await agentService.updateAgent(agent.id, updates)
         });
       } catch (error) {
-        logError('api', error, { context: 'POST /api/csv/remove-duplicates' });
+        logError('api', error, { context: 'PATCH /api/agents/:id', agentId: req.params.id });
         res.status(500).json({
           success: false,
           error: error.message
@@ -314,29 +1755,26 @@ class RealEstateScraperAPI {
       }
     });
 
-    // CSV upload endpoint
-    this.app.post('/api/agents/upload', upload.single('file'), async (req, res) => {
+    this.app.delete('/api/agents/:id', async (req, res) => {
       try {
-        if (!req.file) {
-          return res.status(400).json({ success: false, error: 'No file uploaded' });
+        const agentService = this.csvService.agentService;
+        const agent = await agentService.getAgent(req.params.id);
+        if (!agent) {
+          return res.status(404).json({ success: false, error: 'Agent not found' });
         }
-        const agents = [];
-        const stream = require('stream');
-        const bufferStream = new stream.PassThrough();
-        bufferStream.end(req.file.buffer);
-        bufferStream.pipe(csvParser())
-          .on('data', (row) => {
-            agents.push(row);
-          })
-          .on('end', async () => {
-            await this.csvService.addAgents(agents);
-            res.json({ success: true, message: 'Agents uploaded successfully', count: agents.length });
-          })
-          .on('error', (error) => {
-            res.status(500).json({ success: false, error: error.message });
-          });
+
+        await agentService.deleteAgents([agent.id]);
+        res.json({
+          success: true,
+          message: `Agent ${agent.id} deleted`,
+          agent
+        });
       } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
+        logError('api', error, { context: 'DELETE /api/agents/:id', agentId: req.params.id });
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
       }
     });
 
@@ -372,6 +1810,10 @@ class RealEstateScraperAPI {
                 .status.success { background: #d5f4e6; color: #27ae60; }
                 .status.error { background: #fadbd8; color: #e74c3c; }
                 .status.warning { background: #fef9e7; color: #f39c12; }
+                .sources { text-align: center; margin: 20px 0; color: #2c3e50; }
+                .sources label { margin: 0 10px; }
+                .health { margin: 20px 0; }
+                .health h3 { color: #2c3e50; }
                 .environment-info { background: #e8f4fd; padding: 15px; border-radius: 5px; margin-bottom: 20px; text-align: center; }
             </style>
         </head>
@@ -406,8 +1848,16 @@ class RealEstateScraperAPI {
                     </div>
                 </div>
 
+                <div class="health" id="scraperHealth"></div>
+
+                <div class="sources" id="sources">Loading sources...</div>
+                <div class="sources">
+                    <input type="text" id="locations" size="60" placeholder="Locations, e.g. Austin, TX; CA; 90210 (blank for defaults)">
+                </div>
+
                 <div style="text-align: center; margin: 20px 0;">
-                    <button class="button success" onclick="startScraping()" ${!scraperAvailable ? 'disabled' : ''}>🚀 Start Scraping</button>
+                    <button class="button success" id="startScrapingButton" onclick="startScraping()" ${!scraperAvailable ? 'disabled' : ''}>🚀 Start Scraping</button>
+                    <button class="button danger" id="cancelScrapingButton" onclick="cancelScraping()" style="display: none;">⏹ Cancel Scraping</button>
                     <button class="button" onclick="sendEmails()">📧 Send Emails</button>
                     <button class="button" onclick="refreshStats()">🔄 Refresh Stats</button>
                 </div>
@@ -419,6 +1869,16 @@ class RealEstateScraperAPI {
                   <input type="file" name="file" accept=".csv" required />
                   <button class="button" type="submit">⬆️ Upload Agents CSV</button>
                 </form>
+
+                <div style="margin-bottom:20px;text-align:center;">
+                  <select id="exportFormat">
+                    <option value="csv">CSV</option>
+                    <option value="xlsx">Excel (XLSX)</option>
+                    <option value="json">JSON</option>
+                    <option value="ndjson">NDJSON</option>
+                  </select>
+                  <button class="button" onclick="downloadAgents()">⬇️ Download Agents</button>
+                </div>
             </div>
 
             <script>
@@ -439,33 +1899,178 @@ class RealEstateScraperAPI {
                             document.getElementById('remainingEmails').textContent = emailStats.stats.remainingToday || 0;
                         }
 
+                        await loadScraperHealth();
                         log('Stats refreshed successfully');
                     } catch (error) {
                         log('Error refreshing stats: ' + error.message, 'error');
                     }
                 }
 
+                async function loadScraperHealth() {
+                    const result = await fetch('/api/scrape/health').then(r => r.json());
+                    const container = document.getElementById('scraperHealth');
+                    const reports = result.success ? Object.values(result.health.sources) : [];
+
+                    if (reports.length === 0) {
+                        container.innerHTML = '';
+                        return;
+                    }
+
+                    container.innerHTML = '<h3>Scraper Health</h3>' + reports.map(report => \`
+                        <div class="status \${report.status === 'healthy' ? 'success' : 'warning'}">
+                            <strong>\${escapeHtml(report.source)}</strong>: \${escapeHtml(report.status)}
+                            (\${report.metrics.cards} cards, last run \${new Date(report.recordedAt).toLocaleString()})
+                            \${report.reasons.length > 0 ? '<br>' + report.reasons.map(escapeHtml).join('<br>') : ''}
+                            \${report.selectorChanges.length > 0 ? '<br>Selector changes: ' + report.selectorChanges
+                                .map(change => escapeHtml(change.list + ' now matches ' + change.to)).join(', ') : ''}
+                        </div>
+                    \`).join('');
+                }
+
+                async function loadSources() {
+                    try {
+                        const result = await fetch('/api/scrape/sources').then(r => r.json());
+                        const container = document.getElementById('sources');
+
+                        if (!result.success || result.sources.length === 0) {
+                            container.textContent = 'No scraper sources available';
+                            return;
+                        }
+
+                        container.innerHTML = '<strong>Sources:</strong> ' + result.sources.map(source => \`
+                            <label>
+                                <input type="checkbox" name="source" value="\${escapeHtml(source.id)}"
+                                    \${source.enabledByDefault && source.available ? 'checked' : ''}
+                                    \${source.available ? '' : 'disabled'}>
+                                \${escapeHtml(source.name)}
+                            </label>
+                        \`).join('');
+                    } catch (error) {
+                        log('Error loading sources: ' + error.message, 'error');
+                    }
+                }
+
+                function getSelectedSources() {
+                    return Array.from(document.querySelectorAll('input[name="source"]:checked'))
+                        .map(input => input.value);
+                }
+
                 async function startScraping() {
                     try {
-                        log('Starting scraping...');
-                        const response = await fetch('/api/scrape', { method: 'POST' });
+                        const sources = getSelectedSources();
+                        if (sources.length === 0) {
+                            showStatus('Select at least one source', 'warning');
+                            return;
+                        }
+
+                        const locations = document.getElementById('locations').value.trim();
+                        const body = locations ? { sources, locations } : { sources };
+
+                        log('Starting scraping: ' + sources.join(', ') + (locations ? ' in ' + locations : ''));
+                        const response = await fetch('/api/scrape', {
+                            method: 'POST',
+                            headers: { 'Content-Type': 'application/json' },
+                            body: JSON.stringify(body)
+                        });
                         const result = await response.json();
                         
                         if (result.success) {
-                            log('Scraping completed: ' + result.agentsCount + ' agents found');
-                            showStatus('Scraping completed successfully!', 'success');
+                            log('Scraping job started: ' + result.jobId);
+                            showStatus('Scraping started', 'success');
+                            watchScrapeJob(result.jobId);
                         } else {
                             log('Scraping failed: ' + result.error, 'error');
                             showStatus('Scraping failed: ' + result.error, 'error');
                         }
-                        
-                        refreshStats();
                     } catch (error) {
                         log('Error starting scraping: ' + error.message, 'error');
                         showStatus('Error starting scraping', 'error');
                     }
                 }
 
+                let currentJobId = null;
+                let lastProgress = '';
+
+                function setScrapingRunning(running) {
+                    document.getElementById('startScrapingButton').disabled = running;
+                    document.getElementById('cancelScrapingButton').style.display = running ? 'inline-block' : 'none';
+                }
+
+                function watchScrapeJob(jobId) {
+                    currentJobId = jobId;
+                    setScrapingRunning(true);
+                    pollScrapeJob();
+                }
+
+                async function pollScrapeJob() {
+                    if (!currentJobId) return;
+
+                    try {
+                        const result = await fetch('/api/scrape/jobs/' + currentJobId).then(r => r.json());
+                        if (!result.success) {
+                            log('Error checking scrape job: ' + result.error, 'error');
+                            currentJobId = null;
+                            setScrapingRunning(false);
+                            return;
+                        }
+
+                        const job = result.job;
+                        const progress = job.progress.agentsFound + ' agents' +
+                            (job.progress.currentSource ? ', ' + job.progress.currentSource : '') +
+                            (job.progress.currentLocation ? ' in ' + job.progress.currentLocation : '');
+                        if (progress !== lastProgress) {
+                            log('Scraping ' + job.status + ': ' + progress);
+                            lastProgress = progress;
+                        }
+
+                        if (['completed', 'failed', 'cancelled'].includes(job.status)) {
+                            currentJobId = null;
+                            setScrapingRunning(false);
+                            if (job.status === 'completed') {
+                                log('Scraping completed: ' + job.agentsCount + ' agents found', 'success');
+                                showStatus('Scraping completed successfully!', 'success');
+                            } else {
+                                log('Scraping ' + job.status + (job.errors.length ? ': ' + job.errors.join('; ') : ''), 'error');
+                                showStatus('Scraping ' + job.status, job.status === 'cancelled' ? 'warning' : 'error');
+                            }
+                            refreshStats();
+                            return;
+                        }
+
+                        setTimeout(pollScrapeJob, 3000);
+                    } catch (error) {
+                        log('Error checking scrape job: ' + error.message, 'error');
+                        setTimeout(pollScrapeJob, 3000);
+                    }
+                }
+
+                async function cancelScraping() {
+                    if (!currentJobId) return;
+
+                    try {
+                        log('Cancelling scraping...');
+                        const result = await fetch('/api/scrape/jobs/' + currentJobId + '/cancel', { method: 'POST' }).then(r => r.json());
+                        if (!result.success) {
+                            log('Cancel failed: ' + result.error, 'error');
+                        }
+                    } catch (error) {
+                        log('Error cancelling scraping: ' + error.message, 'error');
+                    }
+                }
+
+                async function resumeActiveScrapeJob() {
+                    try {
+                        const result = await fetch('/api/scrape/jobs').then(r => r.json());
+                        const active = (result.jobs || []).find(job => ['queued', 'running', 'cancelling'].includes(job.status));
+                        if (active) {
+                            log('Scrape job in progress: ' + active.id);
+                            watchScrapeJob(active.id);
+                        }
+                    } catch (error) {
+                        log('Error loading scrape jobs: ' + error.message, 'error');
+                    }
+                }
+
                 async function sendEmails() {
                     try {
                         log('Sending emails...');
@@ -473,8 +2078,8 @@ class RealEstateScraperAPI {
                         const result = await response.json();
                         
                         if (result.success) {
-                            log('Emails sent successfully');
-                            showStatus('Emails sent successfully!', 'success');
+                            log(result.message + ', done in about ' + Math.ceil(result.result.queue.etaSeconds / 60) + ' min');
+                            showStatus(result.message, 'success');
                         } else {
                             log('Email sending failed: ' + result.message, 'error');
                             showStatus('Email sending failed: ' + result.message, 'error');
@@ -497,7 +2102,7 @@ class RealEstateScraperAPI {
                   });
                   const result = await response.json();
                   if (result.success) {
-                    log('Agents uploaded: ' + result.count, 'success');
+                    log(result.message, 'success');
                     showStatus('Agents uploaded successfully!', 'success');
                     refreshStats();
                   } else {
@@ -506,21 +2111,36 @@ class RealEstateScraperAPI {
                   }
                 });
 
+                function downloadAgents() {
+                    const format = document.getElementById('exportFormat').value;
+                    log('Downloading agents as ' + format.toUpperCase() + '...');
+                    window.location.href = '/api/agents/export?format=' + format;
+                }
+
+                // Scraped pages and error messages can contain markup, so text is escaped before it is added as HTML
+                function escapeHtml(value) {
+                    return String(value ?? '').replace(/[&<>"']/g, char => ({
+                        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+                    })[char]);
+                }
+
                 function log(message, type = 'info') {
                     const logDiv = document.getElementById('log');
                     const timestamp = new Date().toLocaleTimeString();
                     const color = type === 'error' ? '#e74c3c' : type === 'success' ? '#27ae60' : '#3498db';
-                    logDiv.innerHTML += \`<div style="color: \${color}">[\${timestamp}] \${message}</div>\`;
+                    logDiv.innerHTML += \`<div style="color: \${color}">[\${timestamp}] \${escapeHtml(message)}</div>\`;
                     logDiv.scrollTop = logDiv.scrollHeight;
                 }
 
                 function showStatus(message, type) {
                     const statusDiv = document.getElementById('status');
-                    statusDiv.innerHTML = \`<div class="status \${type}">\${message}</div>\`;
+                    statusDiv.innerHTML = \`<div class="status \${type}">\${escapeHtml(message)}</div>\`;
                     setTimeout(() => statusDiv.innerHTML = '', 5000);
                 }
 
                 // Load initial stats
+                loadSources();
+                resumeActiveScrapeJob();
                 refreshStats();
             </script>
         </body>
@@ -545,6 +2165,27 @@ class RealEstateScraperAPI {
     });
   }
 
+  /**
+   * Stop the follow-ups of addresses just suppressed. Suppressed domains
+   * stop their sequences when the next follow-up is skipped.
+   */
+  async stopSuppressedSequences(entries) {
+    const emails = entries.filter(entry => entry.type === 'email').map(entry => entry.value);
+    if (emails.length > 0) await this.emailSender.emailService.campaigns.stopSequences(emails, 'suppressed');
+  }
+
+  /**
+   * @returns {Promise<string|null>} An error naming the first follow-up whose template does not exist
+   */
+  async findMissingFollowUpTemplate(followUps = []) {
+    for (const [index, followUp] of followUps.entries()) {
+      if (!(await this.emailSender.emailService.templates.getTemplate(followUp.templateId))) {
+        return `followUps[${index}].templateId: template not found`;
+      }
+    }
+    return null;
+  }
+
   start() {
     const port = process.env.PORT || config.server.port;
     this.app.listen(port, () => {
@@ -553,6 +2194,31 @@ class RealEstateScraperAPI {
       logger.info(`Serverless: ${!!process.env.VERCEL}`);
       logger.info(`Health check: http://localhost:${port}/health`);
     });
+    if (!config.server.publicUrl) {
+      logger.warn('PUBLIC_URL is not set: campaign emails will not be sent, as they cannot carry an unsubscribe link');
+    }
+    this.emailSender.startWorker();
+    this.scheduleFollowUps();
+  }
+
+  /**
+   * Check for due campaign follow-ups every few minutes while the server runs
+   */
+  scheduleFollowUps() {
+    const minutes = config.email.followUpIntervalMinutes;
+    if (!minutes) return;
+
+    setInterval(async () => {
+      try {
+        const result = await this.emailSender.runFollowUps();
+        if (result.success !== false) {
+          logger.info(`Queued ${result.queued} due follow-ups`);
+        }
+      } catch (error) {
+        logError('email', error, { context: 'Follow-up schedule' });
+      }
+    }, minutes * 60 * 1000).unref();
+    logger.info(`Checking for due follow-ups every ${minutes} minutes`);
   }
 }
 
@@ -1,21 +1,52 @@
 const puppeteer = require('puppeteer');
-const RealtorScraper = require('./scrapers/realtorScraper');
-const ZillowScraper = require('./scrapers/zillowScraper');
-const TestScraper = require('./scrapers/testScraper');
+const scraperRegistry = require('./scrapers');
 const CSVService = require('./services/csvService');
+const CheckpointService = require('./services/checkpointService');
+const FixtureService = require('./services/fixtureService');
+const ScraperHealthService = require('./services/scraperHealthService');
+const IdentityService = require('./services/identityService');
+const CrawlPolicyService = require('./services/crawlPolicyService');
+const { normalizeLocations } = require('./utils/locationUtils');
+const { resolveEntities, getBlockingKeys } = require('./utils/matchUtils');
+const { getMissingFields } = require('./utils/dedupeUtils');
 const { logger, logError } = require('./utils/logger');
 const config = require('./config/config');
 
 class ScraperOrchestrator {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {CheckpointService} [options.checkpoints] - Shared checkpoint store
+   * @param {ScraperHealthService} [options.health] - Shared scraper health history
+   * @param {IdentityService} [options.identities] - Shared proxy and browser profile pool
+   * @param {CrawlPolicyService} [options.policy] - Shared robots.txt cache and denylist, using the same fixtures
+   * @param {FixtureService} [options.fixtures] - Shared fixture store
+   */
+  constructor({ checkpoints = null, health = null, identities = null, policy = null, fixtures = null } = {}) {
     this.csvService = new CSVService();
+    this.checkpoints = checkpoints || new CheckpointService();
+    this.health = health || new ScraperHealthService();
+    this.identities = identities || new IdentityService();
+    this.fixtures = fixtures || new FixtureService();
+    this.policy = policy || new CrawlPolicyService({ fixtures: this.fixtures });
+    // Agents saved during this run, with their stored id (null when not persisted), and by blocking key
+    this.savedIds = new Map();
+    this.savedBlocks = new Map();
     this.stats = {
       totalScraped: 0,
       totalEmails: 0,
+      totalSaved: 0,
+      ingestion: { inserted: 0, updated: 0, unchanged: 0 },
+      reviewCandidates: 0,
+      sources: [],
+      locations: [],
+      sourceStats: {},
+      health: {},
       startTime: null,
       endTime: null,
       errors: []
     };
+    this.activeScrapers = new Set();
+    this.cancelled = false;
     
     // Check if we're in a serverless environment
     this.isServerless = !!process.env.VERCEL || !!process.env.AWS_LAMBDA_FUNCTION_NAME;
@@ -25,41 +56,64 @@ class ScraperOrchestrator {
     }
   }
 
-  async run() {
+  /**
+   * Run the selected scraper sources.
+   * @param {Object} options
+   * @param {string[]} [options.sources] - Source ids to run; defaults to every source enabled by default
+   * @param {Array|Object|string} [options.locations] - Cities, states or ZIP codes; defaults to config.scraping.locations
+   * @param {Function} [options.onProgress] - Called with { source, agentsFound, currentLocation } as scrapers advance
+   * @param {boolean} [options.resume] - Resume each source from its saved checkpoint; false starts over
+   */
+  async run({ sources = null, locations = null, onProgress = null, resume = true } = {}) {
     try {
       this.stats.startTime = new Date();
       logger.info('Starting scraping orchestration');
+      await Promise.all([this.checkpoints.ready, this.health.ready]);
       
       if (this.isServerless) {
-        logger.warn('Serverless environment detected - using test scraper only');
-        return await this.runTestScraping();
+        logger.warn('Serverless environment detected - browser-based sources are skipped');
       }
+
+      // Pick up site definitions added, edited or removed since the last run
+      scraperRegistry.reload();
+
+      const selected = scraperRegistry.resolve(sources, { browserAvailable: !this.isServerless });
+      if (selected.length === 0) {
+        throw new Error('No scraper sources available to run');
+      }
+
+      this.stats.sources = selected.map(entry => entry.id);
+      logger.info(`Selected sources: ${this.stats.sources.join(', ')}`);
+
+      const targets = this.resolveLocations(locations);
+      this.stats.locations = targets ? targets.map(location => location.label) : [];
       
       const agents = [];
       
       // Run scrapers in parallel for better performance
-      const scraperPromises = [
-        this.runRealtorScraping(),
-        this.runZillowScraping()
-      ];
-      
-      const results = await Promise.allSettled(scraperPromises);
+      const results = await Promise.allSettled(selected.map(entry => this.runSource(entry, { locations: targets, onProgress, resume })));
       
       results.forEach((result, index) => {
+        const source = selected[index];
         if (result.status === 'fulfilled') {
           agents.push(...result.value);
-          logger.info(`Scraper ${index + 1} completed successfully`);
+          logger.info(`Scraper ${source.name} completed successfully`);
         } else {
-          logger.error(`Scraper ${index + 1} failed:`, result.reason);
+          logger.error(`Scraper ${source.name} failed:`, result.reason);
           this.stats.errors.push(result.reason);
         }
       });
       
+      if (this.cancelled) {
+        logger.warn('Scraping was cancelled, saving agents collected so far');
+      }
+
       // Remove duplicates
       const uniqueAgents = this.removeDuplicates(agents);
       
-      // Save to Supabase
-      await this.csvService.addAgents(uniqueAgents);
+      // Save anything the scrapers did not already flush in batches
+      await this.saveAgents(uniqueAgents);
+      await this.checkpoints.writing;
       
       this.stats.endTime = new Date();
       this.stats.totalScraped = uniqueAgents.length;
@@ -76,55 +130,190 @@ class ScraperOrchestrator {
     }
   }
 
-  async runRealtorScraping() {
+  async runSource(source, { locations = null, onProgress = null, resume = true } = {}) {
+    let scraper = null;
     try {
-      logger.info('Starting Realtor.com scraping');
-      const scraper = new RealtorScraper();
-      const agents = await scraper.scrape();
-      logger.info(`Realtor.com scraping completed: ${agents.length} agents found`);
+      if (this.cancelled) return [];
+
+      logger.info(`Starting ${source.name} scraping`);
+      scraper = scraperRegistry.create(source.id, {
+        source: source.id,
+        locations,
+        resume,
+        checkpoints: this.checkpoints,
+        fixtures: this.fixtures,
+        identities: this.identities,
+        policy: this.policy,
+        onAgents: (batch) => this.saveAgents(this.tagSource(batch, source.id)),
+        onProgress: onProgress ? (progress) => onProgress({ source: source.id, ...progress }) : null
+      });
+      this.activeScrapers.add(scraper);
+
+      const agents = this.tagSource(await scraper.scrape(), source.id);
+      this.stats.sourceStats[source.id] = scraper.getStats();
+      this.recordHealth(source, scraper);
+      logger.info(`${source.name} scraping completed: ${agents.length} agents found`);
       return agents;
     } catch (error) {
-      logError('scraper', error, { context: 'runRealtorScraping' });
+      logError('scraper', error, { context: 'ScraperOrchestrator.runSource', source: source.id });
+      this.recordHealth(source, scraper, error);
       return [];
+    } finally {
+      if (scraper) this.activeScrapers.delete(scraper);
     }
   }
 
-  async runZillowScraping() {
+  /**
+   * Compare a finished source run with its health baseline. Cancelled runs
+   * are skipped since their partial metrics would skew the baseline.
+   */
+  recordHealth(source, scraper, error = null) {
+    if (this.cancelled || !scraper || typeof scraper.getHealth !== 'function') return;
+
     try {
-      logger.info('Starting Zillow scraping');
-      const scraper = new ZillowScraper();
-      const agents = await scraper.scrape();
-      logger.info(`Zillow scraping completed: ${agents.length} agents found`);
-      return agents;
-    } catch (error) {
-      logError('scraper', error, { context: 'runZillowScraping' });
-      return [];
+      this.stats.health[source.id] = this.health.recordRun(source.id, scraper.getHealth(), { error });
+    } catch (healthError) {
+      logError('scraper', healthError, { context: 'ScraperOrchestrator.recordHealth', source: source.id });
     }
   }
 
-  async runTestScraping() {
-    try {
-      logger.info('Starting test scraping (serverless mode)');
-      const scraper = new TestScraper();
-      const agents = await scraper.scrape();
-      logger.info(`Test scraping completed: ${agents.length} agents found`);
-      return agents;
-    } catch (error) {
-      logError('scraper', error, { context: 'runTestScraping' });
-      return [];
+  /**
+   * Stop every running scraper and close its browser
+   */
+  async cancel() {
+    this.cancelled = true;
+    logger.info(`Cancelling ${this.activeScrapers.size} running scraper(s)`);
+    await Promise.allSettled(Array.from(this.activeScrapers).map(scraper => scraper.cancel()));
+  }
+
+  /**
+   * Normalize requested locations; null means each scraper uses its configured default
+   */
+  resolveLocations(locations) {
+    if (locations === null || locations === undefined) return null;
+
+    const { locations: targets, errors } = normalizeLocations(locations);
+    if (errors.length > 0) {
+      throw new Error(`Invalid locations: ${errors.join('; ')}`);
+    }
+    if (targets.length === 0) {
+      throw new Error('At least one location is required');
     }
+    return targets;
   }
 
-  removeDuplicates(agents) {
-    const seen = new Set();
-    return agents.filter(agent => {
-      const key = `${agent.email}-${agent.name}-${agent.city}`;
-      if (seen.has(key)) {
-        return false;
+  getAvailableSources() {
+    scraperRegistry.reload();
+    return scraperRegistry.list().map(source => ({
+      ...source,
+      available: !this.isServerless || !source.capabilities.browser
+    }));
+  }
+
+  /**
+   * Mark agents with the source that found them, for ingestion to key on
+   */
+  tagSource(agents, sourceId) {
+    agents.forEach(agent => {
+      agent.source = agent.source || sourceId;
+    });
+    return agents;
+  }
+
+  /**
+   * Persist agents that do not match one already saved during this run.
+   * Each batch is only compared with saved agents sharing a blocking key
+   * with it. Borderline pairs are queued for review once both are stored.
+   */
+  async saveAgents(agents) {
+    const fresh = agents.filter(agent => !this.savedIds.has(agent));
+    if (fresh.length === 0) return;
+
+    const candidates = this.getSavedCandidates(fresh);
+    const { groups, reviewPairs } = resolveEntities([...candidates, ...fresh], config.matching);
+
+    // Each batch agent's stand-in: the saved agent it matched, or the merged copy saved for its group
+    const representatives = new Map();
+    const unsaved = [];
+    for (const group of groups) {
+      const saved = group.agents.find(agent => this.savedIds.has(agent));
+      if (saved) {
+        group.agents.forEach(agent => { if (!this.savedIds.has(agent)) representatives.set(agent, saved); });
+        continue;
       }
-      seen.add(key);
-      return true;
+      const [primary, ...others] = group.agents;
+      const merged = { ...primary, ...getMissingFields(primary, others) };
+      group.agents.forEach(agent => representatives.set(agent, merged));
+      unsaved.push(merged);
+    }
+    unsaved.push(...fresh.filter(agent => !representatives.has(agent)));
+    if (unsaved.length === 0) return;
+
+    let ids = unsaved.map(() => null);
+    // Sample data from serverless runs is not persisted
+    if (!this.isServerless) {
+      const { inserted, updated, unchanged, results } = await this.csvService.addAgents(unsaved);
+      this.stats.ingestion.inserted += inserted;
+      this.stats.ingestion.updated += updated;
+      this.stats.ingestion.unchanged += unchanged;
+      ids = results.map(result => result.agentId);
+    }
+
+    unsaved.forEach((agent, index) => {
+      this.savedIds.set(agent, ids[index]);
+      getBlockingKeys(agent).forEach(key => {
+        if (!this.savedBlocks.has(key)) this.savedBlocks.set(key, []);
+        this.savedBlocks.get(key).push(agent);
+      });
     });
+    this.stats.totalSaved += unsaved.length;
+    await this.queueReviewPairs(reviewPairs, representatives);
+  }
+
+  /**
+   * Saved agents sharing a blocking key with any of these agents
+   */
+  getSavedCandidates(agents) {
+    const candidates = new Set();
+    agents.forEach(agent => getBlockingKeys(agent).forEach(key => {
+      (this.savedBlocks.get(key) || []).forEach(saved => candidates.add(saved));
+    }));
+    return Array.from(candidates);
+  }
+
+  /**
+   * Queue borderline pairs found while saving, by the stored ids of the
+   * agents they were saved as
+   */
+  async queueReviewPairs(reviewPairs, representatives) {
+    const pairs = reviewPairs
+      .map(pair => {
+        const [a, b] = [pair.a, pair.b].map(agent => representatives.get(agent) || agent);
+        return { ...pair, a: { ...a, id: this.savedIds.get(a) }, b: { ...b, id: this.savedIds.get(b) } };
+      })
+      .filter(pair => pair.a.id && pair.b.id && String(pair.a.id) !== String(pair.b.id));
+
+    if (pairs.length > 0) this.stats.reviewCandidates += await this.csvService.reviewQueue.addPairs(pairs);
+  }
+
+  /**
+   * Merge agents that are the same person, found across sources by the
+   * matching engine. Borderline pairs are kept apart; they are queued for
+   * review when saved.
+   */
+  removeDuplicates(agents) {
+    const { groups } = resolveEntities(agents, config.matching);
+
+    const merged = new Map();
+    groups.forEach(group => {
+      const [primary, ...others] = group.agents;
+      merged.set(primary, { ...primary, ...getMissingFields(primary, others) });
+      others.forEach(agent => merged.set(agent, null));
+    });
+
+    return agents
+      .map(agent => (merged.has(agent) ? merged.get(agent) : agent))
+      .filter(Boolean);
   }
 
   getStats() {
@@ -133,6 +322,8 @@ class ScraperOrchestrator {
       duration: this.stats.endTime ? 
         Math.round((this.stats.endTime - this.stats.startTime) / 1000) : 0,
       errorCount: this.stats.errors.length,
+      fixtureMode: this.fixtures.mode,
+      cancelled: this.cancelled,
       isServerless: this.isServerless
     };
   }
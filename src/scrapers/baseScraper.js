@@ -1,16 +1,90 @@
 const puppeteer = require('puppeteer');
 const { scraperLogger, logError } = require('../utils/logger');
 const config = require('../config/config');
+const { normalizeLocations } = require('../utils/locationUtils');
+const FixtureService = require('../services/fixtureService');
+const IdentityService = require('../services/identityService');
+const CrawlPolicyService = require('../services/crawlPolicyService');
+const PagePool = require('./pagePool');
+
+// Resource types recorded in fixture mode; everything else is blocked or not needed for extraction
+const FIXTURE_RESOURCE_TYPES = ['document', 'script', 'xhr', 'fetch'];
+
+// Key used in selector hit counts when no selector in a list matched
+const NO_MATCH = '(none)';
 
 class BaseScraper {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {Object[]} [options.locations] - Normalized search targets; defaults to config.scraping.locations
+   * @param {Function} [options.onProgress] - Called with { agentsFound, currentLocation } as scraping advances
+   * @param {string} [options.source] - Registry source id, used to key checkpoints
+   * @param {Function} [options.onAgents] - Async callback that persists a batch of agents
+   * @param {CheckpointService} [options.checkpoints] - Checkpoint store; resuming is disabled without one
+   * @param {boolean} [options.resume] - Resume from the saved checkpoint for this source
+   * @param {number} [options.batchSize] - Number of agents collected before a batch is flushed
+   * @param {FixtureService} [options.fixtures] - Records or replays page loads; defaults to config.scraping.fixtures
+   * @param {Object} [options.pagePool] - Page pool limits; defaults to config.scraping.pagePool
+   * @param {IdentityService} [options.identities] - Proxy and browser profile pool; defaults to config.scraping.identity
+   * @param {CrawlPolicyService} [options.policy] - robots.txt and denylist checks; defaults to config.scraping.policy
+   */
+  constructor({
+    locations = null,
+    onProgress = null,
+    source = null,
+    onAgents = null,
+    checkpoints = null,
+    resume = true,
+    batchSize = config.scraping.batchSize,
+    fixtures = null,
+    pagePool = config.scraping.pagePool,
+    identities = null,
+    policy = null
+  } = {}) {
     this.browser = null;
     this.page = null;
+    this.pagePool = null;
+    this.pagePoolOptions = pagePool;
     this.agents = [];
+    this.locations = locations || normalizeLocations(config.scraping.locations).locations;
+    this.locationStats = [];
+    this.currentLocation = null;
+    this.onProgress = onProgress;
+    this.cancelled = false;
+
+    this.source = source;
+    this.onAgents = onAgents;
+    this.checkpoints = checkpoints;
+    this.resume = resume;
+    this.batchSize = batchSize;
+    this.pendingAgents = [];
+    this.savedCount = 0;
+    this.currentLocationIndex = 0;
+    this.currentPage = 0;
+    this.lastProfileUrl = null;
+    this.processedProfiles = new Set();
+    this.resumedFrom = null;
+    // Pages below this one in the resumed location were read before the checkpoint
+    this.resumePage = 0;
+
+    this.fixtures = fixtures || new FixtureService();
+    this.identities = identities || new IdentityService();
+    this.identity = null;
+    this.policy = policy || new CrawlPolicyService({ fixtures: this.fixtures });
+
+    this.health = {
+      pages: 0,
+      cards: 0,
+      fields: {},
+      selectors: {}
+    };
   }
 
   async initialize() {
     try {
+      // One identity per browser session, shared by every page and the email crawler
+      this.identity = this.identities.acquire();
+
       this.browser = await puppeteer.launch({
         headless: "new", // Use new headless mode
         args: [
@@ -41,28 +115,20 @@ class BaseScraper {
           '--mute-audio',
           '--no-default-browser-check',
           '--safebrowsing-disable-auto-update',
-          '--disable-blink-features=AutomationControlled'
+          '--disable-blink-features=AutomationControlled',
+          ...this.identities.getLaunchArgs(this.identity)
         ]
       });
 
       this.page = await this.browser.newPage();
-      
-      // Set user agent to a more realistic one
-      await this.page.setUserAgent(
-        'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-      );
-
-      // Set viewport
-      await this.page.setViewport({ width: 1920, height: 1080 });
 
-      // Set extra headers to appear more human-like
-      await this.page.setExtraHTTPHeaders({
-        'Accept-Language': 'en-US,en;q=0.9',
-        'Accept-Encoding': 'gzip, deflate, br',
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-        'Cache-Control': 'no-cache',
-        'Pragma': 'no-cache'
+      // Replayed pages never reach the site, so there is nothing to be polite to
+      this.pagePool = new PagePool(() => this.newPage(), {
+        ...this.pagePoolOptions,
+        domainDelay: this.fixtures.isReplaying() ? 0 : this.pagePoolOptions.domainDelay
       });
+      
+      await this.applyIdentity(this.page);
 
       // Disable webdriver property
       await this.page.evaluateOnNewDocument(() => {
@@ -77,9 +143,10 @@ class BaseScraper {
         if (['image', 'stylesheet', 'font', 'media'].includes(req.resourceType())) {
           req.abort();
         } else {
-          req.continue();
+          this.handleRequest(req);
         }
       });
+      this.attachFixtureRecorder(this.page);
 
       // Handle page errors gracefully
       this.page.on('error', (err) => {
@@ -90,6 +157,10 @@ class BaseScraper {
         scraperLogger.warn('Page error:', err.message);
       });
 
+      if (this.fixtures.isEnabled()) {
+        scraperLogger.info(`Fixture ${this.fixtures.mode} mode enabled`, { dir: this.fixtures.dir });
+      }
+
       scraperLogger.info('Browser initialized successfully');
     } catch (error) {
       logError('scraper', error, { context: 'BaseScraper.initialize' });
@@ -97,18 +168,74 @@ class BaseScraper {
     }
   }
 
+  /**
+   * Present the session identity on a page: user agent, viewport, headers and proxy credentials
+   */
+  async applyIdentity(page) {
+    const { profile, proxy } = this.identity;
+
+    await page.setUserAgent(profile.userAgent);
+    await page.setViewport(profile.viewport);
+
+    // Set extra headers to appear more human-like
+    await page.setExtraHTTPHeaders({
+      'Accept-Language': profile.acceptLanguage || 'en-US,en;q=0.9',
+      'Accept-Encoding': 'gzip, deflate, br',
+      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+      'Cache-Control': 'no-cache',
+      'Pragma': 'no-cache'
+    });
+
+    if (proxy && proxy.username) {
+      await page.authenticate({ username: proxy.username, password: proxy.password });
+    }
+  }
+
+  /**
+   * Count a page load against the session identity; blocked statuses count as failures
+   */
+  trackResponse(response) {
+    if (!this.identity) return;
+    this.identities.recordResponse(this.identity, response ? response.status() : 200);
+  }
+
+  trackFailure(error) {
+    if (!this.identity) return;
+    this.identities.recordFailure(this.identity, error);
+  }
+
+  /**
+   * Relaunch the browser with a new identity once the current one has been
+   * used long enough or keeps failing. Called between locations.
+   */
+  async rotateIdentityIfNeeded() {
+    if (this.cancelled || this.fixtures.isReplaying() || !this.identities.shouldRotate(this.identity)) return;
+
+    scraperLogger.info(`Rotating identity after ${this.identity.requests} requests`, {
+      consecutiveFailures: this.identity.consecutiveFailures
+    });
+    await this.close();
+    await this.initialize();
+    await this.openStartPage();
+  }
+
   async navigateToPage(url, waitForSelector = null) {
+    if (!(await this.policy.allow(url))) {
+      throw new Error(`Crawl policy does not allow ${url}`);
+    }
+
     try {
       scraperLogger.info(`Navigating to: ${url}`);
       
       // Set longer timeout and more robust navigation
-      await this.page.goto(url, {
+      const response = await this.page.goto(url, {
         waitUntil: 'domcontentloaded',
         timeout: 60000
       });
+      this.trackResponse(response);
 
       // Wait for network to be idle
-      await this.page.waitForTimeout(3000);
+      await this.randomDelay(3000, 3000);
 
       if (waitForSelector) {
         try {
@@ -122,6 +249,7 @@ class BaseScraper {
       await this.randomDelay(2000, 5000);
       
     } catch (error) {
+      this.trackFailure(error);
       logError('scraper', error, { 
         context: 'BaseScraper.navigateToPage', 
         url 
@@ -130,7 +258,107 @@ class BaseScraper {
     }
   }
 
+  /**
+   * Open an extra page. Its requests go through handleRequest like the main
+   * page's, so redirects and in-page navigations are checked against the
+   * crawl policy, and fixtures are recorded or replayed when enabled.
+   */
+  async newPage() {
+    const page = await this.browser.newPage();
+    await this.applyIdentity(page);
+
+    await page.setRequestInterception(true);
+    page.on('request', (req) => this.handleRequest(req));
+    this.attachFixtureRecorder(page);
+
+    return page;
+  }
+
+  /**
+   * Run a task with a page from the pool. Tasks run in parallel up to the
+   * pool limits and the page is released even when the task throws.
+   * @param {string} url - URL the task will load
+   * @param {Function} task - Async function called with the page
+   */
+  async withPage(url, task) {
+    if (!this.pagePool || this.cancelled) {
+      throw new Error('Scraper is not running');
+    }
+    return this.pagePool.run(url, task);
+  }
+
+  /**
+   * Continue a request, or answer it from fixtures in replay mode.
+   * Requests without a fixture fail so replay never touches the network.
+   * Navigations the scraper did not start itself, such as form submits,
+   * are checked against the crawl policy here.
+   */
+  async handleRequest(req) {
+    try {
+      if (req.isNavigationRequest() && req.resourceType() === 'document') {
+        const { allowed, reason } = await this.policy.check(req.url());
+        if (!allowed) {
+          this.policy.recordSkip(req.url(), reason);
+          req.abort('blockedbyclient');
+          return;
+        }
+      }
+
+      if (!this.fixtures.isReplaying()) {
+        req.continue();
+        return;
+      }
+    } catch (error) {
+      logError('scraper', error, { context: 'BaseScraper.handleRequest', url: req.url() });
+      // A request left unhandled would hang the page until its navigation times out
+      if (!req.isInterceptResolutionHandled()) req.abort('failed');
+      return;
+    }
+
+    const fixture = this.fixtures.lookup(req.method(), req.url(), req.postData());
+    if (!fixture) {
+      if (req.resourceType() === 'document') {
+        scraperLogger.warn(`No fixture recorded for ${req.url()}`);
+      }
+      req.abort('internetdisconnected');
+      return;
+    }
+
+    req.respond({
+      status: fixture.status,
+      headers: fixture.headers,
+      body: fixture.body
+    });
+  }
+
+  attachFixtureRecorder(page) {
+    if (!this.fixtures.isRecording()) return;
+
+    page.on('response', async (response) => {
+      const request = response.request();
+      if (!FIXTURE_RESOURCE_TYPES.includes(request.resourceType())) return;
+
+      const status = response.status();
+      const responseHeaders = response.headers();
+      const headers = {};
+      ['content-type', 'location'].forEach(name => {
+        if (responseHeaders[name]) headers[name] = responseHeaders[name];
+      });
+
+      // Redirect bodies are not available; the location header is enough to replay them
+      let body = Buffer.alloc(0);
+      if (status < 300 || status >= 400) {
+        body = await response.buffer().catch(() => Buffer.alloc(0));
+      }
+
+      this.fixtures.record(request.method(), response.url(), request.postData(), { status, headers, body });
+    });
+  }
+
   async randomDelay(min = 2000, max = 5000) {
+    // Replayed pages load instantly, waiting would only slow the run down
+    if (this.fixtures.isReplaying()) return;
+
     const delay = Math.floor(Math.random() * (max - min + 1)) + min;
     await new Promise(resolve => setTimeout(resolve, delay));
   }
@@ -229,22 +457,270 @@ class BaseScraper {
     }
   }
 
+  /**
+   * Search each configured location in order until the agent limit is reached
+   */
+  async searchLocations() {
+    const startIndex = this.loadCheckpoint();
+
+    for (let i = startIndex; i < this.locations.length; i++) {
+      if (this.cancelled || this.agents.length >= config.scraping.maxAgentsPerSite) break;
+
+      await this.rotateIdentityIfNeeded();
+
+      const location = this.locations[i];
+      const resuming = this.resumedFrom && i === startIndex;
+      if (!resuming) {
+        this.processedProfiles = new Set();
+      }
+      this.resumePage = resuming ? this.resumedFrom.page || 0 : 0;
+      this.currentLocation = location;
+      this.currentLocationIndex = i;
+      this.currentPage = 0;
+      this.reportProgress();
+
+      const before = this.agents.length;
+      await this.searchAgentsInLocation(location);
+      await this.flushAgents();
+      this.recordLocationCount(location, this.agents.length - before);
+      await this.randomDelay(2000, 4000);
+    }
+
+    // A cancelled run keeps its checkpoint so the next run can pick it up
+    if (!this.cancelled && this.pendingAgents.length === 0) {
+      this.clearCheckpoint();
+    }
+
+    this.currentLocation = null;
+    this.reportProgress();
+  }
+
+  /**
+   * Collect an agent and flush the pending batch once it is full
+   */
+  async addAgent(agent) {
+    this.agents.push(agent);
+    this.pendingAgents.push(agent);
+    if (agent.profile_url) {
+      this.lastProfileUrl = agent.profile_url;
+    }
+
+    if (this.pendingAgents.length >= this.batchSize) {
+      await this.flushAgents();
+    }
+  }
+
+  /**
+   * Persist pending agents, then checkpoint. A failed batch stays pending
+   * and is retried on the next flush.
+   */
+  async flushAgents() {
+    if (this.pendingAgents.length > 0 && this.onAgents) {
+      const batch = this.pendingAgents;
+      this.pendingAgents = [];
+
+      try {
+        await this.onAgents(batch);
+        this.savedCount += batch.length;
+        scraperLogger.info(`Flushed ${batch.length} agents`, { source: this.source, saved: this.savedCount });
+      } catch (error) {
+        this.pendingAgents = batch.concat(this.pendingAgents);
+        logError('scraper', error, { context: 'BaseScraper.flushAgents', source: this.source });
+        return false;
+      }
+    }
+
+    this.saveCheckpoint();
+    return true;
+  }
+
+  /**
+   * Whether the current page was read in full before the checkpoint this
+   * run resumed from, so only the pagination needs to move past it
+   */
+  isPageSkipped() {
+    return this.currentPage < this.resumePage;
+  }
+
+  isProfileProcessed(profileUrl) {
+    return this.processedProfiles.has(profileUrl);
+  }
+
+  markProfileProcessed(profileUrl) {
+    if (profileUrl) this.processedProfiles.add(profileUrl);
+  }
+
+  /**
+   * Count which selector in a fallback list matched, or that none did
+   */
+  recordSelectorHit(list, selector) {
+    const hits = this.health.selectors[list] || (this.health.selectors[list] = {});
+    const key = selector || NO_MATCH;
+    hits[key] = (hits[key] || 0) + 1;
+  }
+
+  recordPageCards(count) {
+    this.health.pages++;
+    this.health.cards += count;
+  }
+
+  recordFieldValue(field, value) {
+    const counts = this.health.fields[field] || (this.health.fields[field] = { filled: 0, total: 0 });
+    counts.total++;
+    if (value) counts.filled++;
+  }
+
+  /**
+   * Health metrics for this run: cards per page, field fill rates and selector hits
+   */
+  getHealth() {
+    const { pages, cards, fields, selectors } = this.health;
+    const fillRates = {};
+    for (const [field, counts] of Object.entries(fields)) {
+      fillRates[field] = counts.total > 0 ? counts.filled / counts.total : 0;
+    }
+
+    return {
+      pages,
+      cards,
+      cardsPerPage: pages > 0 ? cards / pages : 0,
+      fillRates,
+      selectors
+    };
+  }
+
+  getLocationsKey() {
+    return this.locations.map(location => `${location.type}:${location.label}`).join('|');
+  }
+
+  /**
+   * Load the saved checkpoint and return the location index to start from
+   */
+  loadCheckpoint() {
+    if (!this.checkpoints || !this.source) return 0;
+
+    const checkpoint = this.checkpoints.get(this.source);
+    if (!checkpoint) return 0;
+
+    if (!this.resume) {
+      this.checkpoints.clear(this.source);
+      return 0;
+    }
+
+    if (checkpoint.locationsKey !== this.getLocationsKey()) {
+      scraperLogger.info(`Ignoring ${this.source} checkpoint saved for different locations`);
+      return 0;
+    }
+
+    this.resumedFrom = checkpoint;
+    this.processedProfiles = new Set(checkpoint.processedProfiles || []);
+    this.lastProfileUrl = checkpoint.lastProfileUrl || null;
+    scraperLogger.info(`Resuming ${this.source} from ${checkpoint.location}, page ${checkpoint.page}`, {
+      lastProfileUrl: checkpoint.lastProfileUrl,
+      skippedProfiles: this.processedProfiles.size
+    });
+
+    return Math.min(checkpoint.locationIndex || 0, this.locations.length);
+  }
+
+  saveCheckpoint() {
+    if (!this.checkpoints || !this.source || !this.currentLocation) return;
+
+    this.checkpoints.save(this.source, {
+      locationsKey: this.getLocationsKey(),
+      locationIndex: this.currentLocationIndex,
+      location: this.currentLocation.label,
+      page: this.currentPage,
+      lastProfileUrl: this.lastProfileUrl,
+      processedProfiles: Array.from(this.processedProfiles),
+      agentsSaved: this.savedCount
+    });
+  }
+
+  clearCheckpoint() {
+    if (this.checkpoints && this.source) {
+      this.checkpoints.clear(this.source);
+    }
+  }
+
+  reportProgress() {
+    if (!this.onProgress) return;
+    try {
+      this.onProgress({
+        agentsFound: this.agents.length,
+        currentLocation: this.currentLocation ? this.currentLocation.label : null
+      });
+    } catch (error) {
+      logError('scraper', error, { context: 'BaseScraper.reportProgress' });
+    }
+  }
+
+  recordLocationCount(location, count) {
+    this.locationStats.push({
+      location: location.label,
+      type: location.type,
+      agents: count
+    });
+  }
+
+  getStats() {
+    return {
+      agentsFound: this.agents.length,
+      agentsSaved: this.savedCount,
+      resumedFrom: this.resumedFrom ? this.resumedFrom.location : null,
+      locationsSearched: this.locationStats.length,
+      locationsTotal: this.locations.length,
+      locations: this.locationStats
+    };
+  }
+
+  /**
+   * Stop scraping and close the browser; in-flight page calls fail and are logged
+   */
+  async cancel() {
+    this.cancelled = true;
+    scraperLogger.info('Scraper cancelled, closing browser');
+    await this.close();
+  }
+
   async close() {
     try {
+      if (this.pagePool) {
+        const pagePool = this.pagePool;
+        this.pagePool = null;
+        await pagePool.close();
+      }
+
       if (this.browser) {
-        await this.browser.close();
+        const browser = this.browser;
+        this.browser = null;
+        await browser.close();
         scraperLogger.info('Browser closed successfully');
       }
+
+      if (this.identity) {
+        this.identities.release(this.identity);
+        this.identity = null;
+      }
     } catch (error) {
       logError('scraper', error, { context: 'BaseScraper.close' });
     }
   }
 
+  /**
+   * Load the page searches start from; called after a new browser session opens
+   */
+  async openStartPage() {}
+
   // Abstract methods to be implemented by child classes
   async scrape() {
     throw new Error('scrape() method must be implemented by child class');
   }
 
+  async searchAgentsInLocation(location) {
+    throw new Error('searchAgentsInLocation() method must be implemented by child class');
+  }
+
   async getAgents() {
     throw new Error('getAgents() method must be implemented by child class');
   }
@@ -0,0 +1,14 @@
+/**
+ * Loads every scraper into the registry, then exposes the registry.
+ * Directory scrapers come from the site definition files in
+ * config.scraping.sitesDir; code-based scrapers are required below.
+ */
+const registry = require('./registry');
+const SiteScraper = require('./siteScraper');
+const { syncRegistry } = require('./siteDefinitions');
+
+require('./testScraper');
+
+registry.addLoader(() => syncRegistry(registry, SiteScraper));
+
+module.exports = registry;
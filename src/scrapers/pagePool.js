@@ -0,0 +1,173 @@
+const { scraperLogger } = require('../utils/logger');
+
+/**
+ * Bounded pool of browser pages. Pages are created lazily up to the pool
+ * size and reused between tasks. Each domain is limited to a number of
+ * concurrent pages and a minimum delay between page starts, so parallel
+ * profile visits stay polite to the site being scraped.
+ */
+class PagePool {
+  /**
+   * @param {Function} createPage - Async function returning a new page
+   * @param {Object} options
+   * @param {number} [options.size] - Maximum number of pages in use at once
+   * @param {number} [options.perDomain] - Maximum number of pages on one domain at once
+   * @param {number} [options.domainDelay] - Minimum milliseconds between page starts on one domain
+   */
+  constructor(createPage, { size = 3, perDomain = 2, domainDelay = 0 } = {}) {
+    this.createPage = createPage;
+    this.size = Math.max(1, size);
+    this.perDomain = Math.max(1, perDomain);
+    this.domainDelay = domainDelay;
+
+    this.pageCount = 0;
+    this.idle = [];
+    this.active = 0;
+    this.activeByDomain = new Map();
+    this.nextStartByDomain = new Map();
+    this.waiting = [];
+    this.closed = false;
+  }
+
+  /**
+   * Run a task with a pooled page. The page is always released, and a page
+   * whose task failed is closed instead of reused.
+   * @param {string} url - URL the task visits, used for the per-domain limits
+   * @param {Function} task - Async function called with the page
+   */
+  async run(url, task) {
+    const domain = this.getDomain(url);
+    const page = await this.acquire(domain);
+    let failed = false;
+
+    try {
+      return await task(page);
+    } catch (error) {
+      failed = true;
+      throw error;
+    } finally {
+      await this.release(page, domain, { discard: failed });
+    }
+  }
+
+  async acquire(domain) {
+    if (this.closed) {
+      throw new Error('Page pool is closed');
+    }
+
+    // A waiter is handed its slot by releaseSlot before it resumes
+    if (this.hasCapacity(domain)) {
+      this.takeSlot(domain);
+    } else {
+      await new Promise((resolve, reject) => this.waiting.push({ domain, resolve, reject }));
+    }
+
+    try {
+      await this.waitForDomainTurn(domain);
+      if (this.closed) {
+        throw new Error('Page pool is closed');
+      }
+
+      if (this.idle.length > 0) {
+        return this.idle.pop();
+      }
+
+      const page = await this.createPage();
+      this.pageCount++;
+      return page;
+    } catch (error) {
+      this.releaseSlot(domain);
+      throw error;
+    }
+  }
+
+  async release(page, domain, { discard = false } = {}) {
+    if (discard || this.closed) {
+      this.pageCount--;
+      await page.close().catch(() => {});
+    } else {
+      this.idle.push(page);
+    }
+
+    this.releaseSlot(domain);
+  }
+
+  takeSlot(domain) {
+    this.active++;
+    this.activeByDomain.set(domain, (this.activeByDomain.get(domain) || 0) + 1);
+  }
+
+  releaseSlot(domain) {
+    this.active--;
+    const count = (this.activeByDomain.get(domain) || 1) - 1;
+    if (count > 0) {
+      this.activeByDomain.set(domain, count);
+    } else {
+      this.activeByDomain.delete(domain);
+    }
+
+    // Hand the freed slot to the first waiter whose domain has room
+    const index = this.waiting.findIndex(waiter => this.hasCapacity(waiter.domain));
+    if (index !== -1) {
+      const [waiter] = this.waiting.splice(index, 1);
+      this.takeSlot(waiter.domain);
+      waiter.resolve();
+    }
+  }
+
+  hasCapacity(domain) {
+    return this.active < this.size && (this.activeByDomain.get(domain) || 0) < this.perDomain;
+  }
+
+  /**
+   * Reserve the next start time on a domain and wait for it
+   */
+  async waitForDomainTurn(domain) {
+    if (!this.domainDelay) return;
+
+    const now = Date.now();
+    const startAt = Math.max(now, this.nextStartByDomain.get(domain) || 0);
+    this.nextStartByDomain.set(domain, startAt + this.domainDelay);
+
+    if (startAt > now) {
+      await new Promise(resolve => setTimeout(resolve, startAt - now));
+    }
+  }
+
+  getDomain(url) {
+    try {
+      return new URL(url).hostname;
+    } catch (error) {
+      return '';
+    }
+  }
+
+  getStats() {
+    return {
+      pages: this.pageCount,
+      idle: this.idle.length,
+      active: this.active,
+      waiting: this.waiting.length
+    };
+  }
+
+  /**
+   * Close idle pages and fail waiting tasks; pages in use close on release
+   */
+  async close() {
+    this.closed = true;
+
+    const waiting = this.waiting;
+    this.waiting = [];
+    waiting.forEach(waiter => waiter.reject(new Error('Page pool is closed')));
+
+    const idle = this.idle;
+    this.idle = [];
+    this.pageCount -= idle.length;
+
+    await Promise.all(idle.map(page => page.close().catch(() => {})));
+    scraperLogger.debug(`Page pool closed, ${idle.length} idle pages released`);
+  }
+}
+
+module.exports = PagePool;
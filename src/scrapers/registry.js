@@ -0,0 +1,131 @@
+/**
+ * Registry of available scraper sources.
+ *
+ * Each scraper module registers its class here with a source id, a display
+ * name and its capabilities. Sources also come from loaders, such as the
+ * site definition files, which are re-run on reload(). The orchestrator and
+ * the API only ever talk to the registry.
+ */
+class ScraperRegistry {
+  constructor() {
+    this.sources = new Map();
+    this.loaders = [];
+  }
+
+  /**
+   * Register a scraper class under a source id.
+   * options are passed to the scraper constructor; definitionFile marks
+   * sources loaded from a site definition.
+   */
+  register(id, ScraperClass, {
+    name,
+    capabilities = {},
+    enabledByDefault = true,
+    options = {},
+    definitionFile = null
+  } = {}) {
+    if (!id || typeof id !== 'string') {
+      throw new Error('Scraper source id is required');
+    }
+    if (typeof ScraperClass !== 'function') {
+      throw new Error(`Scraper class for source "${id}" must be a constructor`);
+    }
+    if (this.sources.has(id)) {
+      throw new Error(`Scraper source "${id}" is already registered`);
+    }
+
+    this.sources.set(id, {
+      id,
+      name: name || id,
+      ScraperClass,
+      capabilities: {
+        browser: true,
+        emailExtraction: false,
+        ...capabilities
+      },
+      enabledByDefault,
+      options,
+      definitionFile
+    });
+  }
+
+  /**
+   * Add a function that registers sources, run now and on every reload()
+   */
+  addLoader(loader) {
+    this.loaders.push(loader);
+    loader(this);
+  }
+
+  /**
+   * Re-run every loader so sources added or removed on disk are picked up
+   */
+  reload() {
+    this.loaders.forEach(loader => loader(this));
+  }
+
+  /**
+   * Remove a source from the registry
+   */
+  unregister(id) {
+    return this.sources.delete(id);
+  }
+
+  has(id) {
+    return this.sources.has(id);
+  }
+
+  get(id) {
+    return this.sources.get(id) || null;
+  }
+
+  /**
+   * Create a fresh scraper instance for a source
+   */
+  create(id, options = {}) {
+    const entry = this.get(id);
+    if (!entry) {
+      throw new Error(`Unknown scraper source: ${id}`);
+    }
+    return new entry.ScraperClass({ ...entry.options, ...options });
+  }
+
+  /**
+   * List registered sources without their classes (safe to serialize)
+   */
+  list() {
+    return Array.from(this.sources.values()).map(({ ScraperClass, ...entry }) => entry);
+  }
+
+  /**
+   * Return the ids from the list that are not registered
+   */
+  findUnknown(ids = []) {
+    return ids.filter(id => !this.sources.has(id));
+  }
+
+  /**
+   * Resolve a list of requested source ids to registry entries.
+   * With no ids, every source enabled by default is selected, or every
+   * browser-less source when no browser is available.
+   */
+  resolve(ids = null, { browserAvailable = true } = {}) {
+    const all = Array.from(this.sources.values());
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return browserAvailable
+        ? all.filter(entry => entry.enabledByDefault)
+        : all.filter(entry => !entry.capabilities.browser);
+    }
+
+    const unknown = this.findUnknown(ids);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown scraper source(s): ${unknown.join(', ')}`);
+    }
+
+    const entries = [...new Set(ids)].map(id => this.sources.get(id));
+    return browserAvailable ? entries : entries.filter(entry => !entry.capabilities.browser);
+  }
+}
+
+module.exports = new ScraperRegistry();
@@ -0,0 +1,191 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { scraperLogger, logError } = require('../utils/logger');
+const config = require('../config/config');
+
+const DEFINITION_EXTENSIONS = ['.json', '.yml', '.yaml'];
+
+/**
+ * Read every site definition file in the sites directory.
+ * Files are read on each call so edited selectors apply to the next run.
+ */
+const loadSiteDefinitions = (dir = config.scraping.sitesDir) => {
+  const definitions = [];
+
+  if (!fs.existsSync(dir)) {
+    scraperLogger.warn(`Site definitions directory not found: ${dir}`);
+    return definitions;
+  }
+
+  const files = fs.readdirSync(dir)
+    .filter(file => DEFINITION_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+    .sort();
+
+  for (const file of files) {
+    const filePath = path.join(dir, file);
+    try {
+      const definition = parseDefinitionFile(filePath);
+      const errors = validateSiteDefinition(definition);
+      if (errors.length > 0) {
+        scraperLogger.warn(`Skipping invalid site definition ${file}`, { errors });
+        continue;
+      }
+      definitions.push({ ...definition, file: filePath });
+    } catch (error) {
+      logError('scraper', error, { context: 'loadSiteDefinitions', file: filePath });
+    }
+  }
+
+  return definitions;
+};
+
+/**
+ * Load a single site definition by id
+ */
+const loadSiteDefinition = (id, dir = config.scraping.sitesDir) => {
+  const definition = loadSiteDefinitions(dir).find(entry => entry.id === id);
+  if (!definition) {
+    throw new Error(`Site definition not found: ${id}`);
+  }
+  return definition;
+};
+
+const parseDefinitionFile = (filePath) => {
+  const content = fs.readFileSync(filePath, 'utf8');
+  return path.extname(filePath).toLowerCase() === '.json'
+    ? JSON.parse(content)
+    : yaml.load(content);
+};
+
+/**
+ * Normalize a field spec: a selector list is shorthand for { selectors }.
+ * With all set, every element the first matching selector finds is read
+ * and the values are joined by line breaks, as for lists of specialties.
+ */
+const normalizeFieldSpec = (spec) => {
+  if (Array.isArray(spec) || typeof spec === 'string') {
+    return { selectors: [].concat(spec), attribute: null, all: false, transform: [] };
+  }
+  return {
+    selectors: [].concat(spec.selectors || []),
+    attribute: spec.attribute || null,
+    all: spec.all === true,
+    transform: [].concat(spec.transform || [])
+  };
+};
+
+/**
+ * Check a definition for the keys the site scraper needs
+ */
+const validateSiteDefinition = (definition) => {
+  const errors = [];
+  if (!definition || typeof definition !== 'object') {
+    return ['Definition must be an object'];
+  }
+
+  if (!definition.id || typeof definition.id !== 'string') errors.push('id is required');
+  if (!definition.baseUrl) errors.push('baseUrl is required');
+
+  const selectors = definition.selectors || {};
+  if (!Array.isArray(selectors.card) || selectors.card.length === 0) {
+    errors.push('selectors.card must be a non-empty list');
+  }
+  if (!selectors.fields || !selectors.fields.name) {
+    errors.push('selectors.fields.name is required');
+  }
+
+  for (const list of ['fields', 'profileFields']) {
+    for (const [field, spec] of Object.entries(selectors[list] || {})) {
+      const { selectors: fieldSelectors, transform } = normalizeFieldSpec(spec);
+      if (fieldSelectors.length === 0) errors.push(`selectors.${list}.${field} has no selectors`);
+      transform.forEach(step => {
+        if (!TRANSFORMS[step.type]) errors.push(`selectors.${list}.${field} has unknown transform: ${step.type}`);
+      });
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Field transforms. Each takes the current value and the step options and
+ * returns a string, or an object of field values for split.
+ */
+const TRANSFORMS = {
+  trim: (value) => value.trim(),
+  lowercase: (value) => value.toLowerCase(),
+  uppercase: (value) => value.toUpperCase(),
+  replace: (value, { pattern, with: replacement = '', flags = 'g' }) =>
+    value.replace(new RegExp(pattern, flags), replacement),
+  regex: (value, { pattern, group = 1, flags = '' }) => {
+    const match = value.match(new RegExp(pattern, flags));
+    return match ? (match[group] || '').trim() : '';
+  },
+  split: (value, { separator = ',', into = [] }) => {
+    const parts = value.split(separator).map(part => part.trim());
+    return into.reduce((fields, name, index) => {
+      fields[name] = parts[index] || '';
+      return fields;
+    }, {});
+  }
+};
+
+/**
+ * Apply a field's transforms and return the resulting field values
+ */
+const applyFieldTransforms = (field, value, transforms = []) => {
+  let current = value || '';
+
+  for (const step of transforms) {
+    const transform = TRANSFORMS[step.type];
+    if (!transform) continue;
+
+    const result = transform(current, step);
+    if (result && typeof result === 'object') {
+      return result;
+    }
+    current = result;
+  }
+
+  return { [field]: current };
+};
+
+/**
+ * Register every site definition as a scraper source. Sources registered
+ * from definitions on an earlier call are replaced, so added, edited and
+ * removed files are picked up without a restart.
+ */
+const syncRegistry = (registry, SiteScraper, dir = config.scraping.sitesDir) => {
+  registry.list()
+    .filter(entry => entry.definitionFile)
+    .forEach(entry => registry.unregister(entry.id));
+
+  for (const definition of loadSiteDefinitions(dir)) {
+    if (registry.has(definition.id)) {
+      scraperLogger.warn(`Site definition ${definition.id} conflicts with a registered scraper, skipping`);
+      continue;
+    }
+
+    registry.register(definition.id, SiteScraper, {
+      name: definition.name || definition.id,
+      capabilities: {
+        browser: true,
+        emailExtraction: Array.isArray(definition.selectors.email) && definition.selectors.email.length > 0,
+        ...(definition.capabilities || {})
+      },
+      enabledByDefault: definition.enabledByDefault !== false,
+      options: { site: definition.id },
+      definitionFile: definition.file
+    });
+  }
+};
+
+module.exports = {
+  loadSiteDefinitions,
+  loadSiteDefinition,
+  validateSiteDefinition,
+  normalizeFieldSpec,
+  applyFieldTransforms,
+  syncRegistry
+};
@@ -0,0 +1,363 @@
+const BaseScraper = require('./baseScraper');
+const { scraperLogger, logScrapingProgress, logError } = require('../utils/logger');
+const { cleanAgentData, isUSAgent, crawlForEmails } = require('../utils/emailUtils');
+const { loadSiteDefinition, normalizeFieldSpec, applyFieldTransforms } = require('./siteDefinitions');
+const config = require('../config/config');
+
+/**
+ * Scrapes an agent directory described by a site definition file
+ * (see src/config/sites). Selectors are tried in order until one matches.
+ */
+class SiteScraper extends BaseScraper {
+  /**
+   * @param {Object} options
+   * @param {string} options.site - Site definition id
+   * @param {Object} [options.definition] - Use this definition instead of loading it from disk
+   */
+  constructor({ site, definition = null, ...options } = {}) {
+    super(options);
+    this.definition = definition || loadSiteDefinition(site);
+    this.selectors = this.definition.selectors;
+    this.baseUrl = this.definition.baseUrl;
+    this.name = this.definition.name || this.definition.id;
+    this.agents = [];
+  }
+
+  async scrape() {
+    try {
+      await this.initialize();
+      scraperLogger.info(`Starting ${this.name} agent scraping`);
+
+      // Navigate to the main page
+      await this.openStartPage();
+
+      // Search for agents in each configured location
+      await this.searchLocations();
+
+      scraperLogger.info(`${this.name} scraping completed. Found ${this.agents.length} agents`);
+      return this.agents;
+
+    } catch (error) {
+      logError('scraper', error, { context: 'SiteScraper.scrape', site: this.definition.id });
+      throw error;
+    } finally {
+      await this.flushAgents();
+      await this.close();
+    }
+  }
+
+  async openStartPage() {
+    await this.navigateToPage(this.baseUrl, this.definition.readySelector || null);
+  }
+
+  async searchAgentsInLocation(location) {
+    try {
+      scraperLogger.info(`Searching agents in: ${location.label}`);
+
+      // Try to find and fill the search input
+      const { element: searchInput, selector: searchSelector } =
+        await this.findFirst(this.page, this.selectors.searchInput || [], 'searchInput');
+
+      if (searchInput) {
+        await searchInput.click();
+        await this.page.keyboard.down('Control');
+        await this.page.keyboard.press('KeyA');
+        await this.page.keyboard.up('Control');
+        await this.page.keyboard.press('Backspace');
+        await this.typeText(searchSelector, location.query);
+        await this.page.keyboard.press('Enter');
+        await this.randomDelay(2000, 4000);
+      }
+
+      // Wait for results to load
+      if (this.selectors.results) {
+        await this.waitForElement(this.selectors.results, 10000);
+      }
+
+      // Extract agent information, unless a resumed run already read this page
+      this.currentPage = 1;
+      if (!this.isPageSkipped()) {
+        await this.extractAgentsFromPage();
+      }
+
+      // Try to load more results
+      await this.loadMoreResults();
+
+    } catch (error) {
+      logError('scraper', error, {
+        context: 'SiteScraper.searchAgentsInLocation',
+        site: this.definition.id,
+        location: location.label
+      });
+    }
+  }
+
+  async extractAgentsFromPage() {
+    try {
+      let agentCards = [];
+      let cardSelector = null;
+      for (const selector of this.selectors.card) {
+        agentCards = await this.page.$$(selector).catch(() => []);
+        if (agentCards.length > 0) {
+          cardSelector = selector;
+          break;
+        }
+      }
+
+      this.recordSelectorHit('card', cardSelector);
+      this.recordPageCards(agentCards.length);
+      scraperLogger.info(`Found ${agentCards.length} agent cards on page`);
+
+      // Read every card first, then visit the profiles in parallel through the page pool
+      const remaining = config.scraping.maxAgentsPerSite - this.agents.length;
+      const candidates = [];
+      const pageProfiles = new Set();
+
+      for (let i = 0; i < agentCards.length && candidates.length < remaining; i++) {
+        if (this.cancelled) break;
+
+        try {
+          const agent = await this.extractAgentFromCard(agentCards[i]);
+          if (!agent || !isUSAgent(agent)) continue;
+
+          if (agent.profile_url) {
+            if (pageProfiles.has(agent.profile_url)) continue;
+            pageProfiles.add(agent.profile_url);
+          }
+          candidates.push(agent);
+        } catch (error) {
+          logError('scraper', error, {
+            context: 'SiteScraper.extractAgentFromCard',
+            site: this.definition.id,
+            cardIndex: i
+          });
+        }
+      }
+
+      const agents = await Promise.all(candidates.map(agent => this.addProfileDetails(agent)));
+      const profileOnlyFields = Object.keys(this.selectors.profileFields || {})
+        .filter(field => !this.selectors.fields[field]);
+
+      for (const agent of agents) {
+        if (this.cancelled) break;
+
+        this.markProfileProcessed(agent.profile_url);
+        if (!this.selectors.fields.email) {
+          this.recordFieldValue('email', agent.email);
+        }
+        profileOnlyFields.forEach(field => this.recordFieldValue(field, agent[field]));
+
+        await this.addAgent(cleanAgentData(agent));
+        logScrapingProgress(this.name, this.agents.length, config.scraping.maxAgentsPerSite, agent);
+        this.reportProgress();
+      }
+
+    } catch (error) {
+      logError('scraper', error, { context: 'SiteScraper.extractAgentsFromPage', site: this.definition.id });
+    }
+  }
+
+  async extractAgentFromCard(card) {
+    try {
+      const agent = {};
+
+      for (const [field, rawSpec] of Object.entries(this.selectors.fields)) {
+        const spec = normalizeFieldSpec(rawSpec);
+        const value = await this.extractField(card, spec, `fields.${field}`);
+        this.recordFieldValue(field, value);
+        Object.assign(agent, applyFieldTransforms(field, value, spec.transform));
+      }
+
+      // Extract profile URL
+      let profileUrl = '';
+      let profileSelector = null;
+      for (const selector of this.selectors.profileLink || []) {
+        const link = await card.$(selector).catch(() => null);
+        if (link) {
+          profileUrl = await link.evaluate(el => el.href || '');
+          if (profileUrl && (!this.definition.profileDomain || profileUrl.includes(this.definition.profileDomain))) {
+            profileSelector = selector;
+            break;
+          }
+        }
+      }
+      this.recordSelectorHit('profileLink', profileSelector);
+
+      // Skip profiles already handled by this run or the run being resumed
+      if (profileUrl && this.isProfileProcessed(profileUrl)) {
+        return null;
+      }
+
+      return {
+        ...agent,
+        email: agent.email || '',
+        profile_url: profileUrl
+      };
+
+    } catch (error) {
+      logError('scraper', error, { context: 'SiteScraper.extractAgentFromCard', site: this.definition.id });
+      return null;
+    }
+  }
+
+  /**
+   * Return the first non-empty value a field's selectors produce. With all,
+   * the value joins every matching element's by line breaks.
+   */
+  async extractField(card, { selectors, attribute, all = false }, list) {
+    for (const selector of selectors) {
+      const value = all
+        ? await card.$$eval(selector, (els, attr) => els
+          .map(el => (attr ? el.getAttribute(attr) : el.textContent)?.trim())
+          .filter(Boolean)
+          .join('\n'), attribute).catch(() => '')
+        : await card.$eval(selector, (el, attr) => {
+          const raw = attr ? el.getAttribute(attr) : el.textContent;
+          return raw?.trim() || '';
+        }, attribute).catch(() => '');
+
+      if (value) {
+        this.recordSelectorHit(list, selector);
+        return value;
+      }
+    }
+    this.recordSelectorHit(list, null);
+    return '';
+  }
+
+  /**
+   * Fill in an agent's email and profile fields from their profile page.
+   * The page is visited when the card had no email or the definition reads
+   * fields from profiles; values found on the card are kept.
+   */
+  async addProfileDetails(agent) {
+    const needsEmail = !agent.email && (this.selectors.email || []).length > 0;
+    const hasProfileFields = Object.keys(this.selectors.profileFields || {}).length > 0;
+    if (!agent.profile_url || (!needsEmail && !hasProfileFields)) return agent;
+
+    const details = await this.extractProfileDetails(agent.profile_url, { needsEmail });
+    const merged = { ...agent };
+    for (const [field, value] of Object.entries(details)) {
+      if (value && !merged[field]) merged[field] = value;
+    }
+    return merged;
+  }
+
+  /**
+   * Read the profile fields, and the email when needsEmail is set, from a
+   * profile page
+   * @returns {Promise<Object>} Field values found; empty when the page could not be read
+   */
+  async extractProfileDetails(profileUrl, { needsEmail = true } = {}) {
+    const emailSelectors = needsEmail ? this.selectors.email || [] : [];
+
+    try {
+      if (!(await this.policy.allow(profileUrl))) return {};
+
+      const { details, companyUrl } = await this.withPage(profileUrl, async (profilePage) => {
+        const response = await profilePage.goto(profileUrl, { waitUntil: 'networkidle2', timeout: 15000 });
+        this.trackResponse(response);
+
+        const details = {};
+        for (const [field, rawSpec] of Object.entries(this.selectors.profileFields || {})) {
+          const spec = normalizeFieldSpec(rawSpec);
+          const value = await this.extractField(profilePage, spec, `profileFields.${field}`);
+          Object.assign(details, applyFieldTransforms(field, value, spec.transform));
+        }
+
+        // Look for email in the page content
+        let email = '';
+        let emailSelector = null;
+        for (const selector of emailSelectors) {
+          email = await profilePage.$eval(selector, el => {
+            if (el.href && el.href.startsWith('mailto:')) {
+              return el.href.replace('mailto:', '');
+            }
+            return el.textContent?.trim() || '';
+          }).catch(() => '');
+
+          if (email) {
+            emailSelector = selector;
+            break;
+          }
+        }
+        if (emailSelectors.length > 0) this.recordSelectorHit('email', emailSelector);
+        if (email) details.email = email;
+
+        let companyUrl = null;
+        if (emailSelectors.length > 0 && !email && this.selectors.companyWebsite) {
+          const companyLink = await profilePage.$(this.selectors.companyWebsite).catch(() => null);
+          if (companyLink) {
+            companyUrl = await companyLink.evaluate(el => el.href);
+          }
+        }
+
+        return { details, companyUrl };
+      });
+
+      // If no email found, crawl the company website; this needs no browser page
+      if (companyUrl && !(this.definition.profileDomain && companyUrl.includes(this.definition.profileDomain))) {
+        const emails = await crawlForEmails(companyUrl, 2, {
+          fixtures: this.fixtures,
+          identity: this.identity,
+          policy: this.policy
+        });
+        if (emails[0]) details.email = emails[0];
+      }
+
+      return details;
+
+    } catch (error) {
+      this.trackFailure(error);
+      logError('scraper', error, {
+        context: 'SiteScraper.extractProfileDetails',
+        site: this.definition.id,
+        profileUrl
+      });
+      return {};
+    }
+  }
+
+  async loadMoreResults() {
+    const maxPages = this.definition.maxPages || 1;
+
+    try {
+      while (this.currentPage < maxPages && !this.cancelled) {
+        // Look for "Load More" or "Show More" buttons
+        const { element: loadMoreButton } = await this.findFirst(this.page, this.selectors.pagination || [], 'pagination');
+        if (!loadMoreButton) break;
+
+        await loadMoreButton.click();
+        await this.randomDelay(2000, 4000);
+        this.currentPage++;
+        if (!this.isPageSkipped()) {
+          await this.extractAgentsFromPage();
+        }
+      }
+
+    } catch (error) {
+      logError('scraper', error, { context: 'SiteScraper.loadMoreResults', site: this.definition.id });
+    }
+  }
+
+  /**
+   * Find the first selector in a list that matches an element, recording the hit under list
+   */
+  async findFirst(root, selectors, list) {
+    for (const selector of selectors) {
+      const element = await root.$(selector).catch(() => null);
+      if (element) {
+        this.recordSelectorHit(list, selector);
+        return { element, selector };
+      }
+    }
+    this.recordSelectorHit(list, null);
+    return { element: null, selector: null };
+  }
+
+  async getAgents() {
+    return this.agents;
+  }
+}
+
+module.exports = SiteScraper;
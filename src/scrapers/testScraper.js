@@ -1,10 +1,20 @@
 const { scraperLogger, logError } = require('../utils/logger');
 const { cleanAgentData, isUSAgent } = require('../utils/emailUtils');
+const { agentMatchesLocation } = require('../utils/locationUtils');
 const config = require('../config/config');
+const registry = require('./registry');
 
 class TestScraper {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {Object[]} [options.locations] - When given, only sample agents inside these locations are returned
+   * @param {Function} [options.onProgress] - Called with { agentsFound, currentLocation } when scraping finishes
+   */
+  constructor({ locations = null, onProgress = null } = {}) {
     this.agents = [];
+    this.locations = locations;
+    this.locationStats = [];
+    this.onProgress = onProgress;
   }
 
   async scrape() {
@@ -19,7 +29,11 @@ class TestScraper {
         .filter(agent => agent && agent.name && isUSAgent(agent))
         .map(agent => cleanAgentData(agent));
 
-      this.agents = validAgents;
+      this.agents = this.locations ? this.filterByLocations(validAgents) : validAgents;
+
+      if (this.onProgress) {
+        this.onProgress({ agentsFound: this.agents.length, currentLocation: null });
+      }
 
       scraperLogger.info(`Test Scraper completed. Generated ${this.agents.length} sample agents`);
       return this.agents;
@@ -38,7 +52,14 @@ class TestScraper {
         city: 'New York',
         state: 'NY',
         company: 'Realty Pros',
-        profile_url: 'https://example.com/john-smith'
+        profile_url: 'https://example.com/john-smith',
+        phone: '212-555-0142',
+        license_number: 'License #: 10401234567',
+        website: 'https://johnsmithhomes.example.com',
+        social_links: 'https://www.linkedin.com/in/john-smith-realtor\nhttps://www.instagram.com/johnsmithhomes',
+        years_experience: '12 years',
+        sales_volume: '$48.5M',
+        specialties: 'Luxury Homes, Condos, First-Time Buyers'
       },
       {
         name: 'Sarah Johnson',
@@ -46,7 +67,10 @@ class TestScraper {
         city: 'Los Angeles',
         state: 'CA',
         company: 'Century 21',
-        profile_url: 'https://example.com/sarah-johnson'
+        profile_url: 'https://example.com/sarah-johnson',
+        phone: '(310) 555-0187',
+        years_experience: '8+ yrs',
+        specialties: 'Relocation; Investment Properties'
       },
       {
         name: 'Michael Brown',
@@ -137,13 +161,48 @@ class TestScraper {
     return [...sampleData, ...agentsWithoutEmails];
   }
 
+  filterByLocations(agents) {
+    const selected = [];
+
+    for (const location of this.locations) {
+      const matches = agents.filter(agent => !selected.includes(agent) && agentMatchesLocation(agent, location));
+      selected.push(...matches);
+      this.locationStats.push({
+        location: location.label,
+        type: location.type,
+        agents: matches.length
+      });
+    }
+
+    return selected;
+  }
+
+  getStats() {
+    return {
+      agentsFound: this.agents.length,
+      locationsSearched: this.locationStats.length,
+      locationsTotal: this.locations ? this.locations.length : 0,
+      locations: this.locationStats
+    };
+  }
+
   async getAgents() {
     return this.agents;
   }
 
+  async cancel() {
+    // Sample data is generated synchronously, nothing to stop
+  }
+
   async close() {
     // No browser to close for test scraper
   }
 }
 
+registry.register('test', TestScraper, {
+  name: 'Sample data',
+  capabilities: { browser: false, emailExtraction: false },
+  enabledByDefault: false
+});
+
 module.exports = TestScraper; 
\ No newline at end of file
@@ -0,0 +1,170 @@
+const { createObjectCsvStringifier } = require('csv-writer');
+const ExcelJS = require('exceljs');
+const BaseStorage = require('../storage/baseStorage');
+const AgentService = require('./agentService');
+
+// Content type and file extension of each export format
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+const EXPORT_COLUMNS = ['id', 'created_at', ...BaseStorage.AGENT_FIELDS];
+const DEFAULT_COLUMNS = [
+  'id', 'name', 'email', 'company', 'city', 'state', 'profile_url', 'do_not_contact',
+  'phone', 'license_number', 'brokerage_address', 'website', 'social_links',
+  'years_experience', 'sales_volume', 'specialties', 'sources', 'email_status', 'last_emailed_at', 'first_seen_at', 'last_seen_at', 'created_at'
+];
+
+// Agents read from storage per page while exporting
+const PAGE_SIZE = 1000;
+
+// Text a spreadsheet would run as a formula when a cell starts with it
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Prefix text that would start a formula with ', so a scraped value such
+ * as =HYPERLINK(...) opens as text rather than running
+ */
+const neutralizeFormula = (value) => (typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : value);
+
+/**
+ * Write to a stream, waiting for it to drain when its buffer is full. Fails
+ * when the stream closes first, as a response does when the client goes away.
+ */
+const write = (output, chunk) => new Promise((resolve, reject) => {
+  if (output.destroyed) {
+    reject(new Error('Export stream closed'));
+    return;
+  }
+  if (output.write(chunk)) {
+    resolve();
+    return;
+  }
+
+  const onDrain = () => {
+    output.off('close', onClose);
+    resolve();
+  };
+  const onClose = () => {
+    output.off('drain', onDrain);
+    reject(new Error('Export stream closed'));
+  };
+  output.once('drain', onDrain);
+  output.once('close', onClose);
+});
+
+/**
+ * Streams agents matching the agent list filters to a writable stream, such
+ * as an HTTP response, a page at a time so large tables are never held in
+ * memory
+ */
+class AgentExportService {
+  /**
+   * @param {AgentService} [agentService]
+   */
+  constructor(agentService = new AgentService()) {
+    this.agentService = agentService;
+  }
+
+  /**
+   * Parse the columns parameter of an export
+   * @param {string|string[]} [value] - Column names, comma separated or as a list
+   * @returns {{ columns: string[]|null, error: string|null }}
+   */
+  parseColumns(value) {
+    if (value === undefined || value === '') return { columns: DEFAULT_COLUMNS, error: null };
+
+    const columns = (Array.isArray(value) ? value : String(value).split(','))
+      .map(column => String(column).trim())
+      .filter(Boolean);
+    const unknown = columns.filter(column => !EXPORT_COLUMNS.includes(column));
+    if (columns.length === 0 || unknown.length > 0) {
+      return {
+        columns: null,
+        error: `Unknown column(s): ${unknown.join(', ') || 'none given'}. Columns: ${EXPORT_COLUMNS.join(', ')}`
+      };
+    }
+    return { columns: Array.from(new Set(columns)), error: null };
+  }
+
+  /**
+   * Pages of agents matching the filters of an agent query, in its sort order
+   */
+  async *pages(filters) {
+    let cursor = null;
+    do {
+      const page = await this.agentService.getAgents({ ...filters, limit: PAGE_SIZE, offset: 0, cursor });
+      if (page.agents.length > 0) yield page.agents;
+      cursor = page.nextCursor;
+    } while (cursor);
+  }
+
+  /**
+   * Write matching agents to a stream in a format, with the chosen columns
+   * @returns {Promise<number>} Number of agents written
+   */
+  async exportAgents(output, { format = 'csv', columns = DEFAULT_COLUMNS, filters = {} } = {}) {
+    const pick = (agent) => columns.reduce((record, column) => {
+      record[column] = agent[column] ?? null;
+      return record;
+    }, {});
+    // Spreadsheet cells hold lists and social links as text, and never formulas
+    const flatten = (agent) => {
+      const record = pick(agent);
+      for (const column of columns) {
+        const value = record[column];
+        if (Array.isArray(value)) {
+          record[column] = value.join('; ');
+        } else if (value && typeof value === 'object') {
+          record[column] = Object.entries(value).map(([key, entry]) => `${key}: ${entry}`).join('; ');
+        }
+        record[column] = neutralizeFormula(record[column]);
+      }
+      return record;
+    };
+
+    let count = 0;
+
+    if (format === 'xlsx') {
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: false });
+      const sheet = workbook.addWorksheet('Agents');
+      sheet.columns = columns.map(column => ({ header: column, key: column, width: 20 }));
+      for await (const agents of this.pages(filters)) {
+        agents.forEach(agent => sheet.addRow(flatten(agent)).commit());
+        count += agents.length;
+      }
+      sheet.commit();
+      await workbook.commit();
+      return count;
+    }
+
+    const csv = createObjectCsvStringifier({ header: columns.map(column => ({ id: column, title: column })) });
+    if (format === 'csv') await write(output, csv.getHeaderString());
+    if (format === 'json') await write(output, '[');
+
+    for await (const agents of this.pages(filters)) {
+      let chunk;
+      if (format === 'csv') {
+        chunk = csv.stringifyRecords(agents.map(flatten));
+      } else if (format === 'ndjson') {
+        chunk = agents.map(agent => `${JSON.stringify(pick(agent))}\n`).join('');
+      } else {
+        chunk = agents.map((agent, index) => `${count + index > 0 ? ',' : ''}\n${JSON.stringify(pick(agent))}`).join('');
+      }
+      await write(output, chunk);
+      count += agents.length;
+    }
+
+    if (format === 'json') await write(output, '\n]\n');
+    output.end();
+    return count;
+  }
+}
+
+AgentExportService.EXPORT_FORMATS = EXPORT_FORMATS;
+AgentExportService.EXPORT_COLUMNS = EXPORT_COLUMNS;
+
+module.exports = AgentExportService;
@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const stream = require('stream');
+const csvParser = require('csv-parser');
+const { logger } = require('../utils/logger');
+const { getStorage } = require('../storage');
+const AgentService = require('./agentService');
+const {
+  IMPORT_FIELDS,
+  suggestMapping,
+  applyMapping,
+  validateImportedAgent
+} = require('../utils/importUtils');
+
+// Imports are stored as state documents under this prefix and their id
+const STATE_PREFIX = 'agent_import:';
+// When each stored import is due for deletion, by id
+const INDEX_KEY = 'agent_imports';
+// How long an uploaded file can be committed after its preview, and a
+// committed import's outcome is kept
+const IMPORT_TTL = 24 * 60 * 60 * 1000;
+// Rows shown in a preview, in addition to every row with errors
+const PREVIEW_ROWS = 20;
+const SOURCE = 'csv_upload';
+
+/**
+ * Two-step CSV import of agents. A preview stores the parsed file with a
+ * suggested column mapping and reports problems row by row; a commit applies
+ * the chosen mapping and corrections, skips rows that are still invalid and
+ * upserts the rest. Rows are numbered as in a spreadsheet, with the header
+ * as row 1.
+ */
+class AgentImportService {
+  /**
+   * @param {BaseStorage} [storage] - Defaults to the shared storage
+   * @param {AgentService} [agentService]
+   */
+  constructor(storage = getStorage(), agentService = new AgentService(storage)) {
+    this.storage = storage;
+    this.agentService = agentService;
+  }
+
+  /**
+   * Parse a CSV file into its headers and rows
+   * @returns {Promise<{ columns: string[], rows: Object[] }>}
+   */
+  parseCSV(buffer) {
+    return new Promise((resolve, reject) => {
+      let columns = [];
+      const rows = [];
+      const bufferStream = new stream.PassThrough();
+      bufferStream.end(buffer);
+      bufferStream.pipe(csvParser())
+        .on('headers', (headers) => {
+          columns = headers;
+        })
+        .on('data', (row) => rows.push(row))
+        .on('end', () => resolve({ columns, rows }))
+        .on('error', reject);
+    });
+  }
+
+  /**
+   * Store an uploaded file for preview with a suggested mapping
+   * @returns {Object} The stored import
+   */
+  async createImport(buffer, fileName = null) {
+    await this.removeExpired();
+    const { columns, rows } = await this.parseCSV(buffer);
+    const createdAt = new Date();
+    const agentImport = {
+      id: crypto.randomUUID(),
+      fileName,
+      status: 'pending',
+      createdAt: createdAt.toISOString(),
+      expiresAt: new Date(createdAt.getTime() + IMPORT_TTL).toISOString(),
+      columns,
+      mapping: suggestMapping(columns),
+      rows
+    };
+
+    await this.storage.setState(STATE_PREFIX + agentImport.id, agentImport);
+    await this.track(agentImport.id, agentImport.expiresAt);
+    logger.info(`Stored agent import ${agentImport.id} with ${rows.length} rows`, { fileName });
+    return agentImport;
+  }
+
+  /**
+   * @returns {Object|null} The import, or null when there is none or it expired
+   */
+  async get(id) {
+    await this.removeExpired();
+    const agentImport = await this.storage.getState(STATE_PREFIX + id);
+    if (!agentImport) return null;
+    if (agentImport.status === 'pending' && new Date(agentImport.expiresAt) < new Date()) {
+      await this.discard(id);
+      return null;
+    }
+    return agentImport;
+  }
+
+  /**
+   * Record when an import is due for deletion
+   */
+  async track(id, expiresAt) {
+    await this.storage.updateState(INDEX_KEY, stored => ({ imports: { ...stored?.imports, [id]: expiresAt } }));
+  }
+
+  /**
+   * Delete an import, such as one that will never be committed
+   */
+  async discard(id) {
+    await this.storage.setState(STATE_PREFIX + id, null);
+    await this.storage.updateState(INDEX_KEY, (stored) => {
+      if (!stored?.imports?.[id]) return undefined;
+      delete stored.imports[id];
+      return stored;
+    });
+  }
+
+  /**
+   * Delete pending imports past their expiry and committed ones kept for IMPORT_TTL
+   */
+  async removeExpired() {
+    const now = new Date().toISOString();
+    let expired = [];
+    await this.storage.updateState(INDEX_KEY, (stored) => {
+      const imports = stored?.imports || {};
+      expired = Object.keys(imports).filter(id => imports[id] < now);
+      if (expired.length === 0) return undefined;
+      expired.forEach(id => delete imports[id]);
+      return { imports };
+    });
+
+    for (const id of expired) {
+      await this.storage.setState(STATE_PREFIX + id, null);
+    }
+    if (expired.length > 0) logger.info(`Deleted ${expired.length} expired agent imports`);
+  }
+
+  /**
+   * Map and validate every row of an import
+   * @returns {Object[]} Each row's number, agent, errors and warnings
+   */
+  validateRows(agentImport, mapping, fixes = {}) {
+    return agentImport.rows.map((row, index) => {
+      const rowNumber = index + 2;
+      const agent = applyMapping(row, mapping, fixes[rowNumber]);
+      return { row: rowNumber, agent, ...validateImportedAgent(agent) };
+    });
+  }
+
+  /**
+   * Row numbers of an import, for checking fixes against
+   */
+  getRowNumbers(agentImport) {
+    return agentImport.rows.map((row, index) => index + 2);
+  }
+
+  /**
+   * What a commit with a mapping and fixes would import: counts, the first
+   * rows and every row with errors
+   */
+  buildPreview(agentImport, mapping = agentImport.mapping, fixes = {}) {
+    const results = this.validateRows(agentImport, mapping, fixes);
+    const invalid = results.filter(result => result.errors.length > 0);
+
+    return {
+      id: agentImport.id,
+      fileName: agentImport.fileName,
+      status: agentImport.status,
+      createdAt: agentImport.createdAt,
+      expiresAt: agentImport.expiresAt,
+      columns: agentImport.columns,
+      fields: Object.keys(IMPORT_FIELDS),
+      mapping,
+      totalRows: results.length,
+      validRows: results.length - invalid.length,
+      invalidRows: invalid.length,
+      rowsWithWarnings: results.filter(result => result.warnings.length > 0).length,
+      preview: results.slice(0, PREVIEW_ROWS),
+      invalid
+    };
+  }
+
+  /**
+   * Import the valid rows of a pending import. Rows with errors are skipped.
+   * @returns {Object} Counts by outcome and each row's outcome and agent id
+   */
+  async commit(agentImport, mapping = agentImport.mapping, fixes = {}) {
+    const results = this.validateRows(agentImport, mapping, fixes);
+    const valid = results.filter(result => result.errors.length === 0);
+
+    const { results: outcomes } = await this.agentService.addAgents(
+      valid.map(result => result.agent),
+      { source: SOURCE }
+    );
+
+    const outcomeByRow = new Map(valid.map((result, index) => [result.row, outcomes[index]]));
+    const rows = results.map(result => (result.errors.length > 0
+      ? { row: result.row, status: 'skipped', errors: result.errors }
+      : { row: result.row, ...outcomeByRow.get(result.row), warnings: result.warnings }));
+
+    const counts = { inserted: 0, updated: 0, unchanged: 0, merged: 0, skipped: 0 };
+    rows.forEach(row => counts[row.status]++);
+
+    // The rows are no longer needed once imported; keep the outcome for a while
+    const committedAt = new Date();
+    await this.storage.setState(STATE_PREFIX + agentImport.id, {
+      ...agentImport,
+      status: 'committed',
+      committedAt: committedAt.toISOString(),
+      mapping,
+      rows: [],
+      result: counts
+    });
+    await this.track(agentImport.id, new Date(committedAt.getTime() + IMPORT_TTL).toISOString());
+    logger.info(`Committed agent import ${agentImport.id}`, counts);
+
+    return { ...counts, rows };
+  }
+}
+
+module.exports = AgentImportService;
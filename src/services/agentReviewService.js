@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const { logger, logError } = require('../utils/logger');
+const { getStorage } = require('../storage');
+
+const STATE_KEY = 'agent_review_queue';
+
+// Fields kept with a queued pair so it can be judged without loading the agents
+const SNAPSHOT_FIELDS = ['id', 'name', 'email', 'phone', 'company', 'city', 'state', 'profile_url'];
+
+/**
+ * Queue of agent pairs the matching engine scored as possible duplicates
+ * but not confidently enough to merge. Each pair is queued once; a merged
+ * or dismissed pair is remembered so it is not queued again.
+ */
+class AgentReviewService {
+  /**
+   * @param {BaseStorage} [storage] - Defaults to the shared storage
+   */
+  constructor(storage = getStorage()) {
+    this.storage = storage;
+    this.pairs = {};
+    this.ready = this.loadQueue();
+  }
+
+  /**
+   * Queue borderline pairs of stored agents
+   * @param {Array<{ a: Object, b: Object, score: number, signals: Object }>} pairs
+   * @returns {number} Number of pairs newly queued
+   */
+  async addPairs(pairs) {
+    await this.ready;
+    const known = new Set(Object.values(this.pairs).map(pair => pair.key));
+    let added = 0;
+
+    for (const { a, b, score, signals } of pairs) {
+      if (!a.id || !b.id) continue;
+
+      const agentIds = [a.id, b.id].sort((x, y) => String(x).localeCompare(String(y)));
+      const key = agentIds.join(':');
+      if (known.has(key)) continue;
+
+      const id = crypto.randomUUID();
+      this.pairs[id] = {
+        id,
+        key,
+        agentIds,
+        score,
+        signals,
+        agents: [a, b].map(agent => SNAPSHOT_FIELDS.reduce((snapshot, field) => {
+          if (agent[field] !== undefined) snapshot[field] = agent[field];
+          return snapshot;
+        }, {})),
+        status: 'pending',
+        createdAt: new Date().toISOString(),
+        resolvedAt: null
+      };
+      known.add(key);
+      added++;
+    }
+
+    if (added > 0) {
+      await this.saveQueue();
+      logger.info(`Queued ${added} possible duplicate agent pairs for review`);
+    }
+    return added;
+  }
+
+  async get(id) {
+    await this.ready;
+    return this.pairs[id] || null;
+  }
+
+  /**
+   * List pairs, highest score first, optionally only those with a status
+   */
+  async list(status = null) {
+    await this.ready;
+    return Object.values(this.pairs)
+      .filter(pair => !status || pair.status === status)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Mark a pair as merged or dismissed
+   */
+  async resolve(id, status, details = {}) {
+    await this.ready;
+    const pair = this.pairs[id];
+    if (!pair) return null;
+
+    Object.assign(pair, details, { status, resolvedAt: new Date().toISOString() });
+    await this.saveQueue();
+    return pair;
+  }
+
+  /**
+   * Load the review queue from storage
+   */
+  async loadQueue() {
+    try {
+      this.pairs = (await this.storage.getState(STATE_KEY)) || {};
+    } catch (error) {
+      logError('api', error, { context: 'AgentReviewService.loadQueue' });
+    }
+  }
+
+  /**
+   * Save the review queue to storage
+   */
+  async saveQueue() {
+    try {
+      await this.storage.setState(STATE_KEY, this.pairs);
+    } catch (error) {
+      logError('api', error, { context: 'AgentReviewService.saveQueue' });
+    }
+  }
+}
+
+module.exports = AgentReviewService;
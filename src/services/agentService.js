@@ -1,36 +1,382 @@
-const { createClient } = require('@supabase/supabase-js');
+const { findDuplicateGroups, mergeAgents, getMissingFields, normalizeEmail, isEmpty } = require('../utils/dedupeUtils');
+const { resolveEntities, getIdentityKey, normalizeProfileUrl } = require('../utils/matchUtils');
+const { parseAgentQuery, encodeCursor } = require('../utils/agentQueryUtils');
+const { getStorage } = require('../storage');
+const config = require('../config/config');
 
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
-const supabase = createClient(supabaseUrl, supabaseKey);
+class AgentService {
+  /**
+   * @param {BaseStorage} [storage] - Defaults to the shared storage
+   */
+  constructor(storage = getStorage()) {
+    this.storage = storage;
+  }
 
-const AGENTS_TABLE = 'agents';
+  /**
+   * Find agents with search, filters, sorting and pagination pushed down to
+   * storage. Accepts the parameters of GET /api/agents.
+   * @returns {Object} Matching agents, the total match count and the cursor for the next page
+   */
+  async getAgents(params = {}) {
+    const { query, error } = parseAgentQuery(params);
+    if (error) throw new Error(error);
 
-class AgentService {
-  async getAgents({ limit = 100, offset = 0, withEmails = false } = {}) {
-    let query = supabase.from(AGENTS_TABLE).select('*', { count: 'exact' });
-    if (withEmails) query = query.ilike('email', '%@%');
-    query = query.range(offset, offset + limit - 1);
-    const { data, error, count } = await query;
-    if (error) throw error;
-    return { agents: data, total: count };
+    const { agents, total } = await this.storage.getAgents(query);
+    const hasMore = query.cursor
+      ? agents.length === query.limit
+      : query.offset + agents.length < total;
+
+    return {
+      agents,
+      total,
+      nextCursor: hasMore && agents.length > 0 ? encodeCursor(agents[agents.length - 1], query.sort) : null
+    };
+  }
+
+  async getAllAgents() {
+    return this.storage.getAllAgents();
+  }
+
+  /**
+   * @returns {Object|null} The agent, or null when there is none with this id
+   */
+  async getAgent(id) {
+    const [agent] = await this.storage.getAgentsByIds([id]);
+    return agent || null;
+  }
+
+  async getAgentsByIds(ids) {
+    return this.storage.getAgentsByIds(ids);
+  }
+
+  /**
+   * Agents stored under these email addresses, matched by identity key
+   */
+  async getAgentsByEmails(emails) {
+    const keys = emails.map(email => getIdentityKey({ email })).filter(Boolean);
+    return keys.length > 0 ? this.storage.getAgentsByIdentityKeys(keys) : [];
+  }
+
+  /**
+   * Ids of every agent matching the filters of an agent query, in id order
+   */
+  async getMatchingIds(filters) {
+    const ids = [];
+    let cursor = null;
+    do {
+      const page = await this.getAgents({ ...filters, sort: 'id', order: 'asc', offset: 0, limit: 1000, cursor });
+      ids.push(...page.agents.map(agent => agent.id));
+      cursor = page.nextCursor;
+    } while (cursor);
+    return ids;
+  }
+
+  /**
+   * The identity key an agent would have after validated updates, when they
+   * change its email or profile URL
+   */
+  getUpdatedIdentityKey(agent, updates) {
+    if (!('email' in updates) && !('profile_url' in updates)) return agent.identity_key;
+    const source = (agent.sources || [])[0] || 'manual';
+    return getIdentityKey({ ...agent, ...updates }, source);
+  }
+
+  /**
+   * Another agent already stored under the identity key updates would give
+   * an agent, such as one with the same email
+   * @returns {Object|null}
+   */
+  async findIdentityConflict(agent, updates) {
+    const key = this.getUpdatedIdentityKey(agent, updates);
+    if (!key || key === agent.identity_key) return null;
+
+    const matches = await this.storage.getAgentsByIdentityKeys([key]);
+    return matches.find(match => String(match.id) !== String(agent.id)) || null;
+  }
+
+  /**
+   * Apply validated updates to one agent, rekeying it when its email or
+   * profile URL changes
+   * @returns {Object|null} The updated agent, or null when it does not exist
+   */
+  async updateAgent(id, updates) {
+    const agent = await this.getAgent(id);
+    if (!agent) return null;
+
+    const key = this.getUpdatedIdentityKey(agent, updates);
+    await this.storage.updateAgent(agent.id, key === agent.identity_key ? updates : { ...updates, identity_key: key });
+    return this.getAgent(agent.id);
+  }
+
+  /**
+   * Apply the same validated updates to several agents
+   */
+  async updateAgents(ids, updates) {
+    if (ids.length === 0) return;
+    await this.storage.updateAgents(ids, updates);
+  }
+
+  async deleteAgents(ids) {
+    if (ids.length === 0) return;
+    await this.storage.deleteAgents(ids);
+  }
+
+  /**
+   * Insert new agents and refresh ones already stored under the same
+   * identity key (normalized email, otherwise source and profile URL).
+   * An agent first stored under its profile is found by it once its email
+   * is known, and rekeyed to the email; one stored under its email is found
+   * by its profile when a later copy has no email.
+   * Non-empty incoming values replace stored ones; every agent seen gets its
+   * source added and last_seen_at moved forward.
+   * @param {Object[]} agentList
+   * @param {Object} [options]
+   * @param {string} [options.source] - Source for agents without their own source field
+   * @returns {Object} Counts of inserted, updated and unchanged agents, and
+   *   the outcome and agent id of each record in agentList order. A record
+   *   repeating an earlier one in the batch is merged into it.
+   */
+  async addAgents(agentList, { source = 'manual' } = {}) {
+    const seenAt = new Date().toISOString();
+    const incoming = new Map();
+    const unkeyed = [];
+    // Where each input record went: its identity key, or its place among the unkeyed
+    const placements = [];
+
+    for (const agent of agentList) {
+      const agentSource = agent.source || source;
+      const key = getIdentityKey(agent, agentSource);
+      const record = { ...agent, identity_key: key, sources: [agentSource] };
+
+      if (!key) {
+        placements.push({ unkeyed: unkeyed.length });
+        unkeyed.push(record);
+      } else if (incoming.has(key)) {
+        // The same agent twice in one batch: fill gaps from the later copy
+        const first = incoming.get(key);
+        incoming.set(key, {
+          ...first,
+          ...getMissingFields(first, [record]),
+          sources: Array.from(new Set([...first.sources, agentSource]))
+        });
+        placements.push({ key, repeat: true });
+      } else {
+        incoming.set(key, record);
+        placements.push({ key });
+      }
+    }
+
+    // A copy of an emailed record keyed by its profile, for lack of the email, is merged into it
+    const aliases = new Map();
+    const profileKeys = new Map();
+    for (const [key, record] of incoming) {
+      if (!key.startsWith('email:')) continue;
+      const keys = record.sources.map(entry => getIdentityKey({ profile_url: record.profile_url }, entry)).filter(Boolean);
+      profileKeys.set(key, keys);
+
+      for (const profileKey of keys.filter(entry => incoming.has(entry))) {
+        const copy = incoming.get(profileKey);
+        Object.assign(record, getMissingFields(record, [copy]), {
+          sources: Array.from(new Set([...record.sources, ...copy.sources]))
+        });
+        incoming.delete(profileKey);
+        aliases.set(profileKey, key);
+      }
+    }
+
+    const stored = await this.storage.getAgentsByIdentityKeys([...incoming.keys(), ...[...profileKeys.values()].flat()]);
+    const storedByKey = new Map(stored.map(agent => [agent.identity_key, agent]));
+    const profileOnly = [...incoming.values()].filter(record => record.identity_key.startsWith('profile:'));
+    const storedByProfile = profileOnly.length > 0
+      ? await this.storage.getAgentsByProfileUrls(profileOnly.flatMap(record => this.getProfileUrlVariants(record.profile_url)))
+      : [];
+
+    const toInsert = [...unkeyed];
+    const unchangedIds = [];
+    const outcomes = new Map();
+    const claimed = new Set();
+    let updated = 0;
+
+    for (const [key, record] of incoming) {
+      const existing = [
+        storedByKey.get(key),
+        ...(profileKeys.get(key) || []).map(profileKey => storedByKey.get(profileKey)),
+        ...(key.startsWith('profile:') ? storedByProfile.filter(agent => this.isSameProfile(agent, record)) : [])
+      ].find(agent => agent && !claimed.has(String(agent.id)));
+      if (!existing) {
+        toInsert.push(record);
+        continue;
+      }
+      claimed.add(String(existing.id));
+
+      const updates = this.getRefreshedFields(existing, record);
+      // Found by its profile, now with an email: rekey it as updateAgent would
+      if (key !== existing.identity_key && key.startsWith('email:')) updates.identity_key = key;
+      if (Object.keys(updates).length === 0) {
+        unchangedIds.push(existing.id);
+        outcomes.set(key, { status: 'unchanged', agentId: existing.id });
+      } else {
+        await this.storage.updateAgent(existing.id, { ...updates, last_seen_at: seenAt });
+        outcomes.set(key, { status: 'updated', agentId: existing.id });
+        updated++;
+      }
+    }
+
+    let inserted = [];
+    if (toInsert.length > 0) {
+      inserted = await this.storage.addAgents(toInsert.map(record => ({
+        ...record,
+        first_seen_at: seenAt,
+        last_seen_at: seenAt
+      })));
+      inserted.slice(unkeyed.length).forEach(agent => {
+        outcomes.set(agent.identity_key, { status: 'inserted', agentId: agent.id });
+      });
+    }
+    if (unchangedIds.length > 0) {
+      await this.storage.updateAgents(unchangedIds, { last_seen_at: seenAt });
+    }
+
+    const results = placements.map(placement => {
+      if (placement.unkeyed !== undefined) {
+        return { status: 'inserted', agentId: inserted[placement.unkeyed].id };
+      }
+      const outcome = outcomes.get(aliases.get(placement.key) || placement.key);
+      return placement.repeat || aliases.has(placement.key) ? { status: 'merged', agentId: outcome.agentId } : outcome;
+    });
+
+    return { inserted: toInsert.length, updated, unchanged: unchangedIds.length, results };
+  }
+
+  /**
+   * The ways a source may have written the same profile URL, with and without a trailing slash
+   */
+  getProfileUrlVariants(url) {
+    const trimmed = String(url).trim().replace(/\/+$/, '');
+    return [trimmed, `${trimmed}/`];
   }
 
-  async addAgents(agentList) {
-    const { data, error } = await supabase.from(AGENTS_TABLE).insert(agentList);
-    if (error) throw error;
-    return data;
+  /**
+   * Whether a stored agent has a profile-keyed record's normalized profile URL from the same source
+   */
+  isSameProfile(agent, record) {
+    return normalizeProfileUrl(agent.profile_url) === normalizeProfileUrl(record.profile_url) &&
+      (agent.sources || []).includes(record.sources[0]);
+  }
+
+  /**
+   * Fields of a stored agent that an incoming copy changes: differing
+   * non-empty values and any new sources
+   */
+  getRefreshedFields(existing, record) {
+    const updates = {};
+
+    for (const field of Object.keys(this.storage.toAgentRecord(record))) {
+      if (['identity_key', 'sources', 'first_seen_at', 'last_seen_at'].includes(field)) continue;
+      const value = record[field];
+      if (isEmpty(value)) continue;
+
+      // Lists and links compare by content
+      const normalize = field === 'email'
+        ? normalizeEmail
+        : (entry) => (entry && typeof entry === 'object' ? JSON.stringify(entry) : String(entry ?? '').trim());
+      if (normalize(value) !== normalize(existing[field])) updates[field] = value;
+    }
+
+    const sources = existing.sources || [];
+    const newSources = record.sources.filter(entry => !sources.includes(entry));
+    if (newSources.length > 0) {
+      updates.sources = [...sources, ...newSources];
+    }
+
+    return updates;
   }
 
   async clearAgents() {
-    const { error } = await supabase.from(AGENTS_TABLE).delete().neq('id', 0);
-    if (error) throw error;
-    return true;
+    return this.storage.clearAgents();
+  }
+
+  /**
+   * Merge duplicate agents across the whole table into their oldest record
+   * and delete the rest. Duplicates share a normalized email or profile URL,
+   * or score above the auto-merge threshold in fuzzy matching; with fuzzy off
+   * only email and name, city, state and company are compared. Pairs scoring
+   * between the review and auto-merge thresholds, and pairs with different
+   * emails, are reported, not merged.
+   * With dryRun nothing is written.
+   * @returns {Object} Report of the kept, merged and deleted record ids
+   */
+  async removeDuplicates({ dryRun = false, fuzzy = true } = {}) {
+    const agents = await this.getAllAgents();
+    const { groups: duplicateGroups, reviewPairs } = fuzzy
+      ? resolveEntities(agents, config.matching)
+      : findDuplicateGroups(agents);
+
+    const groups = duplicateGroups.map(group => {
+      const { kept, removed, updates } = mergeAgents(group.agents);
+      return {
+        keptId: kept.id,
+        deletedIds: removed.map(agent => agent.id),
+        matchedOn: group.matchedOn,
+        updates
+      };
+    });
+
+    // A borderline pair involving a record merged away is covered by its kept record
+    const deletedIds = new Set(groups.flatMap(group => group.deletedIds));
+
+    const report = {
+      dryRun,
+      scanned: agents.length,
+      duplicateGroups: groups.length,
+      mergedIds: groups.map(group => group.keptId),
+      deletedIds: Array.from(deletedIds),
+      remaining: agents.length - groups.reduce((total, group) => total + group.deletedIds.length, 0),
+      groups,
+      reviewPairs: reviewPairs.filter(pair => !deletedIds.has(pair.a.id) && !deletedIds.has(pair.b.id))
+    };
+
+    if (dryRun) return report;
+
+    // Merge first, so a failed delete never loses the values being merged
+    for (const group of groups) {
+      await this.updateMergedFields(group.keptId, group.updates);
+    }
+    await this.storage.deleteAgents(report.deletedIds);
+
+    return report;
+  }
+
+  /**
+   * Merge specific agents, such as a reviewed pair, into the oldest of them
+   * @returns {Object|null} The kept id, deleted ids and merged fields, or null when an agent no longer exists
+   */
+  async mergeAgentRecords(ids) {
+    const data = await this.storage.getAgentsByIds(ids);
+    if (data.length !== new Set(ids.map(String)).size) return null;
+
+    const { kept, removed, updates } = mergeAgents(data);
+    const merge = { keptId: kept.id, deletedIds: removed.map(agent => agent.id), updates };
+    await this.applyMerge(merge);
+    return merge;
+  }
+
+  /**
+   * Write merged values to the kept record, then delete the others
+   */
+  async applyMerge({ keptId, deletedIds, updates }) {
+    await this.updateMergedFields(keptId, updates);
+    await this.storage.deleteAgents(deletedIds);
   }
 
-  async removeDuplicates() {
-    // This is a placeholder. You may want to implement deduplication logic in SQL or here.
-    return true;
+  /**
+   * Write merged values to a kept record, rekeying it when it gains an email
+   */
+  async updateMergedFields(id, updates) {
+    if (Object.keys(updates).length === 0) return;
+    const agent = await this.getAgent(id);
+    const key = agent ? this.getUpdatedIdentityKey(agent, updates) : null;
+    await this.storage.updateAgent(id, !key || key === agent.identity_key ? updates : { ...updates, identity_key: key });
   }
 }
 
@@ -0,0 +1,435 @@
+const crypto = require('crypto');
+const { emailLogger } = require('../utils/logger');
+const { addBusinessDays } = require('../utils/campaignUtils');
+const { getStorage } = require('../storage');
+const AgentService = require('./agentService');
+
+// Campaigns are kept in one state document, and each campaign's sends and
+// sequence state in their own
+const STATE_KEY = 'email_campaigns';
+const SENDS_PREFIX = 'email_campaign_sends:';
+const SEQUENCE_PREFIX = 'email_campaign_sequence:';
+
+/**
+ * What POST /api/email/send ran before campaigns: every agent with an
+ * email, the default template and the configured sender
+ */
+const DEFAULT_CAMPAIGN = {
+  id: 'default',
+  name: 'All agents',
+  description: 'Every agent with an email, sent the default template',
+  audience: {},
+  templateId: null,
+  sender: null,
+  dailyCap: null,
+  followUps: []
+};
+
+/**
+ * Email campaigns: an audience of agents, a template, a sender and a daily
+ * cap. A campaign only sends while running. Every agent it emails or skips
+ * is recorded against it, so each agent is tried once per campaign and
+ * campaigns can be compared by their stats.
+ *
+ * A campaign's follow-ups make it a sequence: each agent emailed is sent
+ * the next step's template a number of business days after the last, until
+ * the steps run out or the sequence is stopped, as it is when the agent
+ * replies. Each agent's place in the sequence is kept by email address.
+ */
+class CampaignService {
+  /**
+   * @param {BaseStorage} [storage] - Defaults to the shared storage
+   * @param {AgentService} [agentService]
+   */
+  constructor(storage = getStorage(), agentService = new AgentService(storage)) {
+    this.storage = storage;
+    this.agentService = agentService;
+  }
+
+  async load() {
+    return this.fromStored(await this.storage.getState(STATE_KEY));
+  }
+
+  /**
+   * The stored campaigns, or the default campaign until one is saved
+   */
+  fromStored(stored) {
+    if (stored) return stored.campaigns;
+
+    const createdAt = new Date(0).toISOString();
+    return [{ ...DEFAULT_CAMPAIGN, status: 'running', createdAt, updatedAt: createdAt, startedAt: createdAt, stoppedAt: null }];
+  }
+
+  /**
+   * Change the stored campaigns once every earlier change is saved
+   * @param {Function} change - Given the campaigns to modify; its return value is passed on
+   */
+  async update(change) {
+    let result;
+    await this.storage.updateState(STATE_KEY, async (stored) => {
+      const campaigns = this.fromStored(stored);
+      result = await change(campaigns);
+      return { campaigns, lastUpdated: new Date().toISOString() };
+    });
+    return result;
+  }
+
+  /**
+   * Every campaign with its stats
+   */
+  async listCampaigns() {
+    const campaigns = await this.load();
+    return Promise.all(campaigns.map(async campaign => ({
+      ...campaign,
+      stats: this.getStats(campaign, await this.getSends(campaign.id))
+    })));
+  }
+
+  /**
+   * @returns {Object|null} null when there is no campaign with this id
+   */
+  async getCampaign(id) {
+    return (await this.load()).find(campaign => campaign.id === id) || null;
+  }
+
+  /**
+   * Store a campaign, validated with validateCampaignInput. Campaigns start
+   * as drafts.
+   */
+  async createCampaign({ name, description = null, audience = {}, templateId = null, sender = null, dailyCap = null, followUps = [] }) {
+    const createdAt = new Date().toISOString();
+    const campaign = {
+      id: crypto.randomUUID(),
+      name,
+      description,
+      audience,
+      templateId,
+      sender,
+      dailyCap,
+      followUps,
+      status: 'draft',
+      createdAt,
+      updatedAt: createdAt,
+      startedAt: null,
+      stoppedAt: null
+    };
+
+    await this.update(campaigns => campaigns.push(campaign));
+    emailLogger.info(`Created campaign ${campaign.id}`, { name });
+    return campaign;
+  }
+
+  /**
+   * Apply validated changes to a campaign
+   * @returns {Object|null} The updated campaign, or null when there is none with this id
+   */
+  async updateCampaign(id, changes) {
+    return this.update((campaigns) => {
+      const campaign = campaigns.find(entry => entry.id === id);
+      if (!campaign) return null;
+
+      Object.assign(campaign, changes, { updatedAt: new Date().toISOString() });
+      return campaign;
+    });
+  }
+
+  /**
+   * Start or stop a campaign
+   * @param {string} id
+   * @param {string} status - running or stopped
+   * @returns {Object|null} The updated campaign, or null when there is none with this id
+   */
+  async setStatus(id, status) {
+    const now = new Date().toISOString();
+    const campaign = await this.updateCampaign(id, status === 'running'
+      ? { status, startedAt: now, stoppedAt: null }
+      : { status, stoppedAt: now });
+    if (campaign) emailLogger.info(`Campaign ${id} is ${status}`);
+    return campaign;
+  }
+
+  /**
+   * Delete a campaign and its send records
+   * @returns {boolean} false when there is no campaign with this id
+   */
+  async deleteCampaign(id) {
+    const deleted = await this.update((campaigns) => {
+      const index = campaigns.findIndex(campaign => campaign.id === id);
+      if (index === -1) return false;
+      campaigns.splice(index, 1);
+      return true;
+    });
+    if (!deleted) return false;
+
+    // Queued behind any send still being recorded, so it is not written back afterwards
+    await this.storage.updateState(SENDS_PREFIX + id, () => null);
+    await this.storage.updateState(SEQUENCE_PREFIX + id, () => null);
+    emailLogger.info(`Deleted campaign ${id}`);
+    return true;
+  }
+
+  /**
+   * Campaigns sending with a template, as their first email or a follow-up
+   */
+  async getCampaignsUsingTemplate(templateId) {
+    return (await this.load()).filter(campaign => campaign.templateId === templateId ||
+      (campaign.followUps || []).some(followUp => followUp.templateId === templateId));
+  }
+
+  /**
+   * The template a step of a campaign sends; step 1 is the first email
+   */
+  getStepTemplateId(campaign, step) {
+    return step === 1 ? campaign.templateId : campaign.followUps[step - 2].templateId;
+  }
+
+  /**
+   * Every agent a campaign has emailed or skipped, oldest first
+   */
+  async getSends(id) {
+    return (await this.storage.getState(SENDS_PREFIX + id))?.sends || [];
+  }
+
+  /**
+   * Record the outcome of emailing an agent a step of a campaign and move
+   * the agent along the sequence. Results with an error count as failed;
+   * other unsuccessful results, such as an agent already emailed, as skipped.
+   * A failed or skipped follow-up ends the agent's sequence.
+   */
+  async recordSend(campaign, agent, result, { step = 1 } = {}) {
+    const status = result.success ? 'sent' : (result.error ? 'failed' : 'skipped');
+    const reason = result.success ? null : result.error || result.reason;
+    const send = {
+      agentId: agent.id ?? null,
+      email: agent.email,
+      step,
+      status,
+      reason,
+      messageId: result.messageId || null,
+      templateId: result.templateId || null,
+      templateVersion: result.templateVersion || null,
+      subjectVariant: result.subjectVariant ?? null,
+      bodyVariant: result.bodyVariant ?? null,
+      at: new Date().toISOString()
+    };
+    await this.storage.updateState(SENDS_PREFIX + campaign.id, stored => ({ sends: [...(stored?.sends || []), send] }));
+
+    // An agent skipped on the first email never started the sequence
+    if (status === 'skipped' && step === 1) return;
+
+    const now = new Date();
+    const next = (campaign.followUps || [])[step - 1];
+
+    await this.updateSequence(campaign.id, (sequence) => {
+      const entry = sequence[agent.email] || { agentId: agent.id ?? null, email: agent.email, step: 0, lastSentAt: null };
+      if (status === 'sent') {
+        Object.assign(entry, {
+          step,
+          lastSentAt: now.toISOString(),
+          nextSendAt: next ? addBusinessDays(now, next.afterBusinessDays).toISOString() : null,
+          stoppedReason: next ? null : 'completed',
+          stoppedAt: next ? null : now.toISOString()
+        });
+      } else {
+        Object.assign(entry, { nextSendAt: null, stoppedReason: status, stoppedAt: now.toISOString(), stoppedDetail: reason });
+      }
+      sequence[agent.email] = entry;
+      return 1;
+    });
+  }
+
+  /**
+   * Each agent's place in a campaign's sequence, by email address: the
+   * last step sent, when the next is due and why the sequence stopped
+   */
+  async getSequence(id) {
+    return (await this.storage.getState(SEQUENCE_PREFIX + id))?.agents || {};
+  }
+
+  /**
+   * Change a campaign's sequence once every earlier change to it is saved
+   * @param {string} id
+   * @param {Function} change - Given the sequence to modify; returns how many agents it changed, and nothing is saved for none
+   * @returns {Promise<number>} Agents changed
+   */
+  async updateSequence(id, change) {
+    let changed = 0;
+    await this.storage.updateState(SEQUENCE_PREFIX + id, async (stored) => {
+      const agents = stored?.agents || {};
+      changed = await change(agents);
+      return changed > 0 ? { agents, lastUpdated: new Date().toISOString() } : undefined;
+    });
+    return changed;
+  }
+
+  /**
+   * Counts of agents in a campaign's sequence that are waiting for a
+   * follow-up, due one now, or stopped and why
+   */
+  getSequenceStats(sequence) {
+    const now = new Date().toISOString();
+    const entries = Object.values(sequence);
+    const active = entries.filter(entry => !entry.stoppedReason);
+
+    return {
+      agents: entries.length,
+      active: active.length,
+      due: active.filter(entry => entry.nextSendAt && entry.nextSendAt <= now).length,
+      stoppedByReason: entries.filter(entry => entry.stoppedReason).reduce((counts, entry) => {
+        counts[entry.stoppedReason] = (counts[entry.stoppedReason] || 0) + 1;
+        return counts;
+      }, {})
+    };
+  }
+
+  /**
+   * Agents due their next follow-up, soonest due first, with the step to
+   * send them. Sequences of agents since deleted or marked do-not-contact,
+   * or past a campaign's last follow-up after it was shortened, are stopped.
+   * Addresses in excludeEmails, such as those with a follow-up already
+   * queued, are left out.
+   * @returns {Promise<{ agent: Object, step: number }[]>}
+   */
+  async getDueFollowUps(campaign, { excludeEmails = new Set(), limit = Infinity } = {}) {
+    const sequence = await this.getSequence(campaign.id);
+    const now = new Date().toISOString();
+    const due = Object.values(sequence)
+      .filter(entry => !entry.stoppedReason && entry.nextSendAt && entry.nextSendAt <= now && !excludeEmails.has(entry.email))
+      .sort((a, b) => a.nextSendAt.localeCompare(b.nextSendAt));
+    if (due.length === 0) return [];
+
+    const agents = new Map((await this.agentService.getAgentsByIds(due.map(entry => entry.agentId)))
+      .map(agent => [String(agent.id), agent]));
+    const followUps = [];
+    const stopped = new Map();
+
+    for (const entry of due) {
+      const agent = agents.get(String(entry.agentId));
+      const reason = !agent || agent.email !== entry.email
+        ? 'agent_removed'
+        : agent.do_not_contact ? 'do_not_contact'
+          : agent.email_status === 'replied' ? 'replied'
+            : entry.step > (campaign.followUps || []).length ? 'completed' : null;
+
+      if (reason) {
+        stopped.set(entry.email, { step: entry.step, reason });
+      } else if (followUps.length < limit) {
+        followUps.push({ agent, step: entry.step + 1 });
+      }
+    }
+
+    if (stopped.size > 0) {
+      // Applied to the sequence as it is now, leaving agents moved on since it was read
+      await this.updateSequence(campaign.id, (current) => {
+        let changed = 0;
+        for (const [email, { step, reason }] of stopped) {
+          const entry = current[email];
+          if (!entry || entry.stoppedReason || entry.step !== step) continue;
+          Object.assign(entry, { nextSendAt: null, stoppedReason: reason, stoppedAt: now });
+          changed++;
+        }
+        return changed;
+      });
+    }
+    return followUps;
+  }
+
+  /**
+   * Stop the sequences of these addresses in every campaign
+   * @param {string[]} emails
+   * @param {string} reason - Such as replied
+   * @returns {number} Sequences stopped
+   */
+  async stopSequences(emails, reason) {
+    const addresses = new Set(emails.map(email => String(email).trim().toLowerCase()));
+    const now = new Date().toISOString();
+    let stopped = 0;
+
+    for (const campaign of await this.load()) {
+      stopped += await this.updateSequence(campaign.id, (sequence) => {
+        const entries = Object.values(sequence).filter(entry => addresses.has(entry.email) && !entry.stoppedReason);
+        entries.forEach(entry => Object.assign(entry, { nextSendAt: null, stoppedReason: reason, stoppedAt: now }));
+        return entries.length;
+      });
+    }
+
+    if (stopped > 0) emailLogger.info(`Stopped ${stopped} sequences`, { reason });
+    return stopped;
+  }
+
+  /**
+   * Record replies from agents: their sequences stop in every campaign and
+   * their email status becomes replied
+   * @returns {{ sequencesStopped: number, agentsUpdated: number }}
+   */
+  async recordReplies(emails) {
+    const sequencesStopped = await this.stopSequences(emails, 'replied');
+    const agents = await this.agentService.getAgentsByEmails(emails);
+    await this.agentService.updateAgents(agents.map(agent => agent.id), { email_status: 'replied' });
+    return { sequencesStopped, agentsUpdated: agents.length };
+  }
+
+  /**
+   * Counts of a campaign's sends, overall, today and by variant
+   */
+  getStats(campaign, sends) {
+    const today = new Date().toDateString();
+    const sent = sends.filter(send => send.status === 'sent');
+    const sentToday = sent.filter(send => new Date(send.at).toDateString() === today).length;
+
+    const count = (list, key) => list.reduce((counts, send) => {
+      counts[send[key]] = (counts[send[key]] || 0) + 1;
+      return counts;
+    }, {});
+
+    return {
+      attempted: sends.length,
+      sent: sent.length,
+      failed: sends.filter(send => send.status === 'failed').length,
+      skipped: sends.filter(send => send.status === 'skipped').length,
+      skippedByReason: count(sends.filter(send => send.status === 'skipped'), 'reason'),
+      sentByStep: count(sent, 'step'),
+      sentBySubjectVariant: count(sent, 'subjectVariant'),
+      sentByBodyVariant: count(sent, 'bodyVariant'),
+      sentToday,
+      remainingToday: campaign.dailyCap === null ? null : Math.max(0, campaign.dailyCap - sentToday),
+      lastSentAt: sent.length > 0 ? sent[sent.length - 1].at : null
+    };
+  }
+
+  /**
+   * Agent search parameters matching a campaign's audience
+   */
+  getAudienceQuery(campaign) {
+    return { ...campaign.audience, hasEmail: true, doNotContact: false };
+  }
+
+  /**
+   * Number of agents in a campaign's audience, including ones already emailed
+   */
+  async countAudience(campaign) {
+    const { total } = await this.agentService.getAgents({ ...this.getAudienceQuery(campaign), limit: 1 });
+    return total;
+  }
+
+  /**
+   * Agents in a campaign's audience it has not tried yet, in id order
+   * @param {Object} campaign
+   * @param {Object} [options]
+   * @param {Set<string>} [options.excludeEmails] - Addresses to leave out, such as ones already emailed
+   * @param {number} [options.limit] - Stop after this many agents
+   */
+  async getPendingAudience(campaign, { excludeEmails = new Set(), limit = Infinity } = {}) {
+    const attempted = new Set((await this.getSends(campaign.id)).map(send => send.email));
+    const agents = [];
+    let cursor = null;
+    do {
+      const page = await this.agentService.getAgents({ ...this.getAudienceQuery(campaign), sort: 'id', order: 'asc', limit: 1000, cursor });
+      agents.push(...page.agents.filter(agent => !attempted.has(agent.email) && !excludeEmails.has(agent.email)));
+      cursor = page.nextCursor;
+    } while (cursor && agents.length < limit);
+    return agents.slice(0, limit);
+  }
+}
+
+module.exports = CampaignService;
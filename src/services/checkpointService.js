@@ -0,0 +1,86 @@
+const { scraperLogger, logError } = require('../utils/logger');
+const { getStorage } = require('../storage');
+
+const STATE_KEY = 'scrape_checkpoints';
+
+/**
+ * Persists per-source scraping checkpoints so an interrupted run can resume.
+ * Checkpoints are read from storage once; await ready before the first read.
+ */
+class CheckpointService {
+  /**
+   * @param {BaseStorage} [storage] - Defaults to the shared storage
+   */
+  constructor(storage = getStorage()) {
+    this.storage = storage;
+    this.checkpoints = {};
+    this.writing = Promise.resolve();
+    this.ready = this.loadCheckpoints();
+  }
+
+  /**
+   * Get the checkpoint for a source
+   */
+  get(source) {
+    return this.checkpoints[source] || null;
+  }
+
+  /**
+   * Get all checkpoints keyed by source
+   */
+  list() {
+    return { ...this.checkpoints };
+  }
+
+  /**
+   * Save the checkpoint for a source
+   */
+  save(source, checkpoint) {
+    this.checkpoints[source] = {
+      ...checkpoint,
+      source,
+      updatedAt: new Date().toISOString()
+    };
+    this.saveCheckpoints();
+  }
+
+  /**
+   * Remove the checkpoint for a source, or all checkpoints
+   */
+  clear(source = null) {
+    if (source) {
+      if (!this.checkpoints[source]) return false;
+      delete this.checkpoints[source];
+    } else {
+      this.checkpoints = {};
+    }
+    this.saveCheckpoints();
+    return true;
+  }
+
+  /**
+   * Load checkpoints from storage
+   */
+  async loadCheckpoints() {
+    try {
+      this.checkpoints = (await this.storage.getState(STATE_KEY)) || {};
+      scraperLogger.info('Scrape checkpoints loaded successfully');
+    } catch (error) {
+      logError('scraper', error, { context: 'CheckpointService.loadCheckpoints' });
+    }
+  }
+
+  /**
+   * Save checkpoints to storage. Writes are queued so a slow write never
+   * lands after a newer one; await the returned promise to know it is stored.
+   */
+  saveCheckpoints() {
+    const checkpoints = JSON.parse(JSON.stringify(this.checkpoints));
+    this.writing = this.writing
+      .then(() => this.storage.setState(STATE_KEY, checkpoints))
+      .catch(error => logError('scraper', error, { context: 'CheckpointService.saveCheckpoints' }));
+    return this.writing;
+  }
+}
+
+module.exports = CheckpointService;
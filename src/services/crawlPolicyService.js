@@ -0,0 +1,307 @@
+const axios = require('axios');
+const { scraperLogger, logError } = require('../utils/logger');
+const FixtureService = require('./fixtureService');
+const config = require('../config/config');
+
+const MAX_SKIPPED_URLS = 100;
+
+// An unreachable robots.txt blocks its host, so retry it sooner than a fetched one
+const UNAVAILABLE_ROBOTS_TTL = 5 * 60 * 1000;
+
+/**
+ * Decides whether a URL may be fetched. Hosts on the denylist are never
+ * fetched; otherwise robots.txt is fetched once per host, cached, and its
+ * Disallow, Allow and Crawl-delay rules for our user agent are applied.
+ * Every skipped URL is logged with the reason.
+ */
+class CrawlPolicyService {
+  /**
+   * @param {Object} options
+   * @param {boolean} [options.respectRobots] - Apply robots.txt rules
+   * @param {string} [options.userAgent] - Product token matched against robots.txt User-agent lines
+   * @param {string|string[]} [options.denylist] - Domains never fetched, comma separated or as a list
+   * @param {number} [options.robotsCacheTtl] - Milliseconds a fetched robots.txt is reused for
+   * @param {number} [options.maxCrawlDelay] - Hosts asking for a longer Crawl-delay (seconds) are skipped
+   * @param {FixtureService} [options.fixtures] - Records or replays robots.txt along with the pages
+   */
+  constructor({
+    respectRobots = config.scraping.policy.respectRobots,
+    userAgent = config.scraping.policy.userAgent,
+    denylist = config.scraping.policy.denylist,
+    robotsCacheTtl = config.scraping.policy.robotsCacheTtl,
+    maxCrawlDelay = config.scraping.policy.maxCrawlDelay,
+    fixtures = null
+  } = {}) {
+    this.respectRobots = respectRobots;
+    this.userAgent = userAgent;
+    this.denylist = (Array.isArray(denylist) ? denylist : String(denylist || '').split(','))
+      .map(domain => domain.trim().toLowerCase())
+      .filter(Boolean);
+    this.robotsCacheTtl = robotsCacheTtl;
+    this.maxCrawlDelay = maxCrawlDelay;
+    this.fixtures = fixtures || new FixtureService();
+
+    this.robots = new Map();
+    this.nextFetchByHost = new Map();
+    this.skipped = [];
+  }
+
+  /**
+   * Check a URL against the policy, then wait out the host's Crawl-delay.
+   * Returns false, after logging why, when the URL must be skipped.
+   */
+  async allow(url) {
+    const { allowed, reason, crawlDelay } = await this.check(url);
+    if (!allowed) {
+      this.recordSkip(url, reason);
+      return false;
+    }
+
+    if (crawlDelay > 0) {
+      await this.waitForHost(new URL(url).host, crawlDelay * 1000);
+    }
+    return true;
+  }
+
+  /**
+   * Check a URL against the denylist and robots.txt without waiting
+   * @returns {Promise<{ allowed: boolean, reason: string|null, crawlDelay: number }>}
+   */
+  async check(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return { allowed: false, reason: 'Invalid URL', crawlDelay: 0 };
+    }
+
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      return { allowed: true, reason: null, crawlDelay: 0 };
+    }
+
+    const deniedBy = this.getDenylistMatch(parsed.hostname);
+    if (deniedBy) {
+      return { allowed: false, reason: `Domain ${deniedBy} is on the denylist`, crawlDelay: 0 };
+    }
+
+    if (!this.respectRobots) {
+      return { allowed: true, reason: null, crawlDelay: 0 };
+    }
+
+    const robots = await this.getRobots(parsed);
+    if (robots.unavailable) {
+      return { allowed: false, reason: `robots.txt unavailable (${robots.unavailable})`, crawlDelay: 0 };
+    }
+
+    const rule = this.matchRule(robots.rules, parsed.pathname + parsed.search);
+    if (rule && !rule.allow) {
+      return { allowed: false, reason: `Disallowed by robots.txt rule "${rule.path}"`, crawlDelay: 0 };
+    }
+
+    if (robots.crawlDelay > this.maxCrawlDelay) {
+      return {
+        allowed: false,
+        reason: `robots.txt Crawl-delay of ${robots.crawlDelay}s exceeds the ${this.maxCrawlDelay}s limit`,
+        crawlDelay: 0
+      };
+    }
+
+    return { allowed: true, reason: null, crawlDelay: robots.crawlDelay };
+  }
+
+  getDenylistMatch(hostname) {
+    const host = hostname.toLowerCase();
+    return this.denylist.find(domain => host === domain || host.endsWith(`.${domain}`)) || null;
+  }
+
+  /**
+   * Rules and Crawl-delay that apply to us on a host, from cache or freshly fetched
+   */
+  async getRobots(parsed) {
+    const origin = parsed.origin;
+    const cached = this.robots.get(origin);
+    const ttl = cached && cached.unavailable
+      ? Math.min(this.robotsCacheTtl, UNAVAILABLE_ROBOTS_TTL)
+      : this.robotsCacheTtl;
+    if (cached && cached.fetchedAt && Date.now() - cached.fetchedAt < ttl) {
+      return cached;
+    }
+
+    // Share one fetch between concurrent checks on the same host
+    const pending = cached && cached.pending ? cached.pending : this.fetchRobots(origin);
+    this.robots.set(origin, { ...(cached || {}), pending, fetchedAt: 0 });
+
+    const robots = await pending;
+    this.robots.set(origin, { ...robots, fetchedAt: Date.now() });
+    return robots;
+  }
+
+  async fetchRobots(origin) {
+    const url = `${origin}/robots.txt`;
+
+    try {
+      const { status, body } = await this.loadRobotsFile(url);
+
+      // A missing robots.txt allows everything; a failing one allows nothing
+      if (status >= 500) {
+        return { rules: [], crawlDelay: 0, unavailable: `HTTP ${status}` };
+      }
+      if (status >= 400) {
+        return { rules: [], crawlDelay: 0, unavailable: null };
+      }
+
+      return { ...this.parseRobots(body), unavailable: null };
+    } catch (error) {
+      logError('scraper', error, { context: 'CrawlPolicyService.fetchRobots', url });
+      return { rules: [], crawlDelay: 0, unavailable: error.code || error.message };
+    }
+  }
+
+  async loadRobotsFile(url) {
+    if (this.fixtures.isReplaying()) {
+      const fixture = this.fixtures.lookup('GET', url);
+      return fixture
+        ? { status: fixture.status, body: fixture.body.toString('utf8') }
+        : { status: 404, body: '' };
+    }
+
+    const response = await axios.get(url, {
+      timeout: 10000,
+      responseType: 'text',
+      headers: { 'User-Agent': this.userAgent },
+      validateStatus: () => true
+    });
+    const body = typeof response.data === 'string' ? response.data : '';
+
+    if (this.fixtures.isRecording()) {
+      this.fixtures.record('GET', url, null, {
+        status: response.status,
+        headers: { 'content-type': 'text/plain' },
+        body
+      });
+    }
+
+    return { status: response.status, body };
+  }
+
+  /**
+   * Parse robots.txt and keep the group that best matches our user agent,
+   * falling back to the * group
+   */
+  parseRobots(text) {
+    const groups = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    for (const rawLine of String(text).split(/\r?\n/)) {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      const separator = line.indexOf(':');
+      if (separator === -1) continue;
+
+      const field = line.slice(0, separator).trim().toLowerCase();
+      const value = line.slice(separator + 1).trim();
+
+      if (field === 'user-agent') {
+        if (!lastWasAgent) {
+          current = { agents: [], rules: [], crawlDelay: 0 };
+          groups.push(current);
+        }
+        current.agents.push(value.toLowerCase());
+        lastWasAgent = true;
+        continue;
+      }
+
+      lastWasAgent = false;
+      if (!current) continue;
+
+      if (field === 'allow' || field === 'disallow') {
+        // An empty Disallow allows everything and adds no rule
+        if (value) current.rules.push({ allow: field === 'allow', path: value });
+      } else if (field === 'crawl-delay') {
+        const delay = parseFloat(value);
+        if (!isNaN(delay) && delay > 0) current.crawlDelay = delay;
+      }
+    }
+
+    const token = this.userAgent.toLowerCase();
+    const specific = groups.filter(group =>
+      group.agents.some(agent => agent !== '*' && token.includes(agent))
+    );
+    const matched = specific.length > 0
+      ? specific
+      : groups.filter(group => group.agents.includes('*'));
+
+    return {
+      rules: matched.flatMap(group => group.rules),
+      crawlDelay: Math.max(0, ...matched.map(group => group.crawlDelay))
+    };
+  }
+
+  /**
+   * Longest matching rule wins; Allow wins a tie
+   */
+  matchRule(rules, path) {
+    let best = null;
+
+    for (const rule of rules) {
+      if (!this.pathMatches(rule.path, path)) continue;
+      if (!best ||
+          rule.path.length > best.path.length ||
+          (rule.path.length === best.path.length && rule.allow)) {
+        best = rule;
+      }
+    }
+
+    return best;
+  }
+
+  pathMatches(pattern, path) {
+    const anchored = pattern.endsWith('$');
+    const source = (anchored ? pattern.slice(0, -1) : pattern)
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    return new RegExp(`^${source}${anchored ? '$' : ''}`).test(path);
+  }
+
+  /**
+   * Reserve the next fetch slot on a host and wait for it
+   */
+  async waitForHost(host, delay) {
+    const now = Date.now();
+    const startAt = Math.max(now, this.nextFetchByHost.get(host) || 0);
+    this.nextFetchByHost.set(host, startAt + delay);
+
+    if (startAt > now) {
+      await new Promise(resolve => setTimeout(resolve, startAt - now));
+    }
+  }
+
+  recordSkip(url, reason) {
+    scraperLogger.warn(`Skipping ${url}: ${reason}`);
+    this.skipped.push({ url, reason, skippedAt: new Date().toISOString() });
+    if (this.skipped.length > MAX_SKIPPED_URLS) {
+      this.skipped.shift();
+    }
+  }
+
+  getStatus() {
+    return {
+      respectRobots: this.respectRobots,
+      userAgent: this.userAgent,
+      denylist: this.denylist,
+      hosts: Array.from(this.robots.entries())
+        .filter(([, robots]) => robots.fetchedAt)
+        .map(([origin, robots]) => ({
+          origin,
+          rules: robots.rules.length,
+          crawlDelay: robots.crawlDelay,
+          unavailable: robots.unavailable,
+          fetchedAt: new Date(robots.fetchedAt).toISOString()
+        })),
+      skipped: this.skipped
+    };
+  }
+}
+
+module.exports = CrawlPolicyService;
@@ -1,41 +1,61 @@
 const AgentService = require('./agentService');
+const AgentReviewService = require('./agentReviewService');
+const AgentImportService = require('./agentImportService');
+const AgentExportService = require('./agentExportService');
+const SnapshotService = require('./snapshotService');
+const { getStorage } = require('../storage');
 
 class CSVService {
-  constructor() {
-    this.agentService = new AgentService();
+  /**
+   * @param {BaseStorage} [storage] - Defaults to the shared storage
+   */
+  constructor(storage = getStorage()) {
+    this.agentService = new AgentService(storage);
+    this.reviewQueue = new AgentReviewService(storage);
+    this.imports = new AgentImportService(storage, this.agentService);
+    this.exports = new AgentExportService(this.agentService);
+    this.snapshots = new SnapshotService(storage);
   }
 
   async getAgentsWithEmails() {
-    const { agents } = await this.agentService.getAgents({ withEmails: true });
+    const agents = [];
+    let cursor = null;
+    do {
+      const page = await this.agentService.getAgents({ hasEmail: true, doNotContact: false, limit: 1000, cursor });
+      agents.push(...page.agents);
+      cursor = page.nextCursor;
+    } while (cursor);
     return agents;
   }
 
-  async readAgentsFromCSV() {
-    const { agents } = await this.agentService.getAgents();
-    return agents;
+  async searchAgents(params = {}) {
+    return this.agentService.getAgents(params);
   }
 
-  async addAgents(agentList) {
-    return this.agentService.addAgents(agentList);
+  async addAgents(agentList, options = {}) {
+    return this.agentService.addAgents(agentList, options);
   }
 
   async clearAgents() {
     return this.agentService.clearAgents();
   }
 
-  async removeDuplicates() {
-    return this.agentService.removeDuplicates();
+  async removeDuplicates(options = {}) {
+    const report = await this.agentService.removeDuplicates(options);
+    if (!report.dryRun) {
+      report.queuedForReview = await this.reviewQueue.addPairs(report.reviewPairs);
+    }
+    return report;
   }
 
-  async getCSVStats() {
-    const { agents, total } = await this.agentService.getAgents();
-    const withEmails = agents.filter(a => a.email && a.email.trim() !== '').length;
-    return { total, withEmails };
+  async mergeAgentRecords(ids) {
+    return this.agentService.mergeAgentRecords(ids);
   }
 
-  async backupCSV() {
-    // No-op for Supabase
-    return true;
+  async getCSVStats() {
+    const { total } = await this.agentService.getAgents({ limit: 1 });
+    const { total: withEmails } = await this.agentService.getAgents({ hasEmail: true, limit: 1 });
+    return { total, withEmails };
   }
 }
 
@@ -0,0 +1,279 @@
+const crypto = require('crypto');
+const { emailLogger } = require('../utils/logger');
+const { getStorage } = require('../storage');
+const config = require('../config/config');
+
+// The queue is one state document, rewritten on every change
+const STATE_KEY = 'email_queue';
+const STATUSES = ['queued', 'sending', 'sent', 'failed'];
+// Sent and failed messages kept as the queue's history
+const MAX_FINISHED_MESSAGES = 1000;
+
+/**
+ * Addresses with a message queued or sending, for one campaign or all of them
+ */
+const waitingEmails = (messages, campaignId = null) => new Set(messages
+  .filter(message => (message.status === 'queued' || message.status === 'sending') &&
+    (!campaignId || message.campaignId === campaignId))
+  .map(message => message.email));
+
+/**
+ * Durable queue of outbound campaign emails. Messages are queued by
+ * campaign sends and follow-up runs, and drained one at a time by the
+ * EmailSender worker. A message is marked sending before it is handed to
+ * SMTP, under the owner id of the queue that claimed it and with a lease,
+ * so processes sending from the same queue never take each other's
+ * messages, and one whose lease ran out is known to have been interrupted
+ * and can be settled instead of sent again.
+ */
+class EmailQueueService {
+  /**
+   * @param {BaseStorage} [storage] - Defaults to the shared storage
+   */
+  constructor(storage = getStorage()) {
+    this.storage = storage;
+    this.owner = crypto.randomUUID();
+  }
+
+  async load() {
+    return (await this.storage.getState(STATE_KEY))?.messages || [];
+  }
+
+  /**
+   * Change the stored messages once every earlier change is saved
+   * @param {Function} change - Given the messages to modify; its return value is passed on. It may run more than once
+   */
+  async update(change) {
+    let value;
+    await this.storage.updateState(STATE_KEY, async (stored) => {
+      const messages = stored?.messages || [];
+      value = await change(messages);
+      return { messages: this.prune(messages), lastUpdated: new Date().toISOString() };
+    });
+    return value;
+  }
+
+  /**
+   * Drop the oldest finished messages past MAX_FINISHED_MESSAGES
+   */
+  prune(messages) {
+    const finished = messages.filter(message => message.status === 'sent' || message.status === 'failed');
+    const excess = finished.length - MAX_FINISHED_MESSAGES;
+    if (excess <= 0) return messages;
+
+    const dropped = new Set(finished.slice(0, excess));
+    return messages.filter(message => !dropped.has(message));
+  }
+
+  /**
+   * Queue a campaign's emails, each agent at their step. Agents with a
+   * message for the campaign still waiting are left out.
+   * @param {Object} campaign
+   * @param {{ agent: Object, step: number }[]} deliveries
+   * @returns {Promise<Object[]>} The messages queued
+   */
+  async enqueue(campaign, deliveries) {
+    const added = await this.update((messages) => {
+      const waiting = waitingEmails(messages, campaign.id);
+      const queuedAt = new Date().toISOString();
+      const batch = [];
+
+      for (const { agent, step } of deliveries) {
+        if (waiting.has(agent.email)) continue;
+        waiting.add(agent.email);
+        batch.push({
+          id: crypto.randomUUID(),
+          campaignId: campaign.id,
+          step,
+          agentId: agent.id ?? null,
+          email: agent.email,
+          name: agent.name || null,
+          status: 'queued',
+          queuedAt,
+          sendingAt: null,
+          owner: null,
+          leaseUntil: null,
+          finishedAt: null,
+          messageId: null,
+          error: null
+        });
+      }
+
+      messages.push(...batch);
+      return batch;
+    });
+
+    if (added.length > 0) emailLogger.info(`Queued ${added.length} emails`, { campaign: campaign.id });
+    return added;
+  }
+
+  /**
+   * Addresses with a message queued or sending, for one campaign or all of them
+   */
+  async getWaitingEmails(campaignId = null) {
+    return waitingEmails(await this.load(), campaignId);
+  }
+
+  /**
+   * Mark the oldest queued message that can be sent now as sending, owned by
+   * this queue until its lease of config.email.sendLease ms runs out
+   * @param {Function} [canSend] - Given a message; false leaves it queued
+   * @returns {Promise<Object|null>} null when nothing can be sent
+   */
+  async claimNext(canSend = () => true) {
+    return this.update((messages) => {
+      const message = messages.find(entry => entry.status === 'queued' && canSend(entry));
+      if (!message) return null;
+
+      Object.assign(message, { status: 'sending', sendingAt: new Date().toISOString(), ...this.lease() });
+      return { ...message };
+    });
+  }
+
+  lease() {
+    return { owner: this.owner, leaseUntil: new Date(Date.now() + config.email.sendLease).toISOString() };
+  }
+
+  /**
+   * Take over the messages left sending whose lease ran out, as when the
+   * process sending them stopped, so they can be settled. Messages another
+   * process is still sending keep their lease and are left alone.
+   * @returns {Promise<Object[]>} The messages taken over
+   */
+  async claimExpired() {
+    const now = Date.now();
+    return this.update(messages => messages
+      .filter(entry => entry.status === 'sending' && this.leaseEnd(entry) <= now)
+      .map(entry => ({ ...Object.assign(entry, this.lease()) })));
+  }
+
+  /**
+   * When a sending message's claim runs out; one claimed before leases were
+   * recorded gets the lease counted from when it was claimed
+   */
+  leaseEnd(message) {
+    return message.leaseUntil
+      ? new Date(message.leaseUntil).getTime()
+      : new Date(message.sendingAt).getTime() + config.email.sendLease;
+  }
+
+  /**
+   * The message with this id while this queue still holds its claim
+   */
+  findClaimed(messages, id) {
+    return messages.find(entry => entry.id === id && entry.status === 'sending' && entry.owner === this.owner) || null;
+  }
+
+  /**
+   * Put a claimed message back in the queue, as when the daily limit is
+   * reached before it went out
+   */
+  async release(id) {
+    await this.update((messages) => {
+      const message = this.findClaimed(messages, id);
+      if (message) Object.assign(message, { status: 'queued', sendingAt: null, owner: null, leaseUntil: null });
+    });
+  }
+
+  /**
+   * Record how a message's send ended. A message this queue no longer holds
+   * the claim on, because it was settled after its lease ran out, is left as
+   * it was settled.
+   * @param {string} id
+   * @param {Object} result - From EmailService.sendQueuedEmail
+   */
+  async finish(id, result) {
+    await this.update((messages) => {
+      const message = this.findClaimed(messages, id);
+      if (!message) return;
+
+      Object.assign(message, {
+        status: result.success ? 'sent' : 'failed',
+        finishedAt: new Date().toISOString(),
+        messageId: result.messageId || null,
+        error: result.success ? null : result.error || result.reason || null
+      });
+    });
+  }
+
+  /**
+   * Drop a campaign's messages that have not been sent yet
+   * @returns {Promise<number>} Messages removed
+   */
+  async removeQueued(campaignId) {
+    return this.update((messages) => {
+      const kept = messages.filter(message => !(message.campaignId === campaignId && message.status === 'queued'));
+      const removed = messages.length - kept.length;
+      messages.splice(0, messages.length, ...kept);
+      return removed;
+    });
+  }
+
+  /**
+   * Messages newest first
+   * @param {Object} [filters]
+   * @param {string} [filters.status] - queued, sending, sent or failed
+   * @param {string} [filters.campaignId]
+   */
+  async getMessages({ status = null, campaignId = null } = {}) {
+    return (await this.load())
+      .filter(message => (!status || message.status === status) && (!campaignId || message.campaignId === campaignId))
+      .reverse();
+  }
+
+  /**
+   * Queue depth by status and campaign, and when the queued messages should
+   * be sent at the configured delay between emails and daily limit
+   * @param {Object} options
+   * @param {number} options.remainingToday - Emails the daily limit still allows today
+   */
+  async getStats({ remainingToday }) {
+    const messages = await this.load();
+    const byStatus = STATUSES.reduce((counts, status) => ({ ...counts, [status]: 0 }), {});
+    const byCampaign = {};
+
+    for (const message of messages) {
+      byStatus[message.status]++;
+      if (message.status === 'queued' || message.status === 'sending') {
+        byCampaign[message.campaignId] = (byCampaign[message.campaignId] || 0) + 1;
+      }
+    }
+
+    const depth = byStatus.queued + byStatus.sending;
+    const oldest = messages.find(message => message.status === 'queued');
+    const estimatedDoneAt = this.estimateDoneAt(depth, remainingToday);
+
+    return {
+      depth,
+      byStatus,
+      byCampaign,
+      oldestQueuedAt: oldest?.queuedAt || null,
+      delayMs: config.email.delay,
+      remainingToday,
+      estimatedDoneAt: estimatedDoneAt?.toISOString() || null,
+      etaSeconds: estimatedDoneAt ? Math.max(0, Math.round((estimatedDoneAt - Date.now()) / 1000)) : null
+    };
+  }
+
+  /**
+   * When the last of this many emails should go out, one every
+   * config.email.delay ms, with those past today's limit sent from midnight
+   * on the days after. Campaign daily caps and stopped campaigns are not
+   * counted, so the estimate is the soonest the queue can drain.
+   * @returns {Date|null} null for an empty queue
+   */
+  estimateDoneAt(depth, remainingToday) {
+    if (depth === 0) return null;
+    if (depth <= remainingToday) return new Date(Date.now() + depth * config.email.delay);
+
+    const later = depth - remainingToday;
+    const days = Math.ceil(later / config.email.maxPerDay);
+    const lastDay = later - (days - 1) * config.email.maxPerDay;
+    const start = new Date();
+    start.setHours(0, 0, 0, 0);
+    start.setDate(start.getDate() + days);
+    return new Date(start.getTime() + lastDay * config.email.delay);
+  }
+}
+
+module.exports = EmailQueueService;
@@ -1,21 +1,31 @@
 const nodemailer = require('nodemailer');
-const fs = require('fs');
-const path = require('path');
 const { emailLogger, logEmailAttempt, logError } = require('../utils/logger');
-const { getFirstName, generateSubject, generateEmailBody, isValidEmail } = require('../utils/emailUtils');
+const { isValidEmail } = require('../utils/emailUtils');
+const { getStorage } = require('../storage');
+const EmailTemplateService = require('./emailTemplateService');
+const CampaignService = require('./campaignService');
+const EmailQueueService = require('./emailQueueService');
+const SuppressionService = require('./suppressionService');
 const config = require('../config/config');
 
-const isVercel = !!process.env.VERCEL;
+const EMAIL_LOG_KEY = 'email_log';
 
 class EmailService {
-  constructor() {
+  /**
+   * @param {BaseStorage} [storage] - Defaults to the shared storage
+   */
+  constructor(storage = getStorage()) {
+    this.storage = storage;
+    this.templates = new EmailTemplateService(storage);
+    this.campaigns = new CampaignService(storage);
+    this.queue = new EmailQueueService(storage);
+    this.suppressions = new SuppressionService(storage);
     this.transporter = null;
     this.sentEmails = new Set();
     this.failedEmails = new Set();
     this.dailyCount = 0;
     this.lastResetDate = new Date().toDateString();
-    this.emailLogPath = isVercel ? '/tmp/logs/email_log.json' : 'logs/email_log.json';
-    this.loadEmailLog();
+    this.ready = this.loadEmailLog();
   }
 
   /**
@@ -23,6 +33,7 @@ class EmailService {
    */
   async initialize() {
     try {
+      await this.ready;
       this.transporter = nodemailer.createTransport({
         host: config.smtp.host,
         port: config.smtp.port,
@@ -45,8 +56,14 @@ class EmailService {
 
   /**
    * Send email to a single agent
+   * @param {Object} agent
+   * @param {Object} [options]
+   * @param {string} [options.templateId] - Defaults to the default template
+   * @param {number} [options.variant] - Which subject and body variant to send
+   * @param {Object} [options.sender] - name, email and replyTo to send as instead of the configured sender
+   * @param {boolean} [options.followUp] - A later step of a sequence, sent to an agent already emailed
    */
-  async sendEmailToAgent(agent, subjectIndex = 0) {
+  async sendEmailToAgent(agent, { templateId = null, variant = 0, sender = null, followUp = false } = {}) {
     try {
       // Check daily limit
       if (!this.checkDailyLimit()) {
@@ -60,8 +77,20 @@ class EmailService {
         return { success: false, reason: 'Invalid email' };
       }
 
+      // Respect agents marked do-not-contact
+      if (agent.do_not_contact) {
+        logEmailAttempt(agent.email, agent, 'do_not_contact');
+        return { success: false, reason: 'Do not contact' };
+      }
+
+      // Never email an address or domain on the suppression list
+      if (await this.suppressions.findEntry(agent.email)) {
+        logEmailAttempt(agent.email, agent, 'suppressed');
+        return { success: false, reason: 'Suppressed' };
+      }
+
       // Check if already sent
-      if (this.sentEmails.has(agent.email)) {
+      if (!followUp && this.sentEmails.has(agent.email)) {
         logEmailAttempt(agent.email, agent, 'already_sent');
         return { success: false, reason: 'Already sent' };
       }
@@ -73,26 +102,36 @@ class EmailService {
       }
 
       // Prepare email content
-      const firstName = getFirstName(agent.name);
-      const subject = generateSubject(subjectIndex);
-      const body = generateEmailBody(firstName);
+      const template = await this.templates.resolveTemplate(templateId);
+      if (!template) {
+        return { success: false, reason: 'Template not found' };
+      }
+      const email = this.templates.renderEmail(template, agent, {
+        variant,
+        senderName: sender?.name,
+        unsubscribeUrl: await this.suppressions.getUnsubscribeUrl(agent.email)
+      });
 
       // Send email with retry logic
-      const result = await this.sendEmailWithRetry(agent.email, subject, body, agent);
+      const result = {
+        ...(await this.sendEmailWithRetry(agent.email, email.subject, email.body, agent, 1, { sender })),
+        templateId: email.templateId,
+        templateVersion: email.version,
+        subjectVariant: email.subjectVariant,
+        bodyVariant: email.bodyVariant
+      };
 
       if (result.success) {
         this.sentEmails.add(agent.email);
         this.dailyCount++;
-        this.saveEmailLog();
+        await this.saveEmailLog();
         logEmailAttempt(agent.email, agent, 'success');
       } else {
         this.failedEmails.add(agent.email);
-        this.saveEmailLog();
+        await this.saveEmailLog();
         logEmailAttempt(agent.email, agent, 'failed', result.error);
       }
-
-      // Delay between emails
-      await this.delay(config.email.delay);
+      await this.recordEmailStatus(agent, result.success ? 'sent' : 'failed');
 
       return result;
 
@@ -106,19 +145,45 @@ class EmailService {
   }
 
   /**
-   * Send email with retry logic
+   * Store the outcome on the agent's row so agents can be filtered by email status
    */
-  async sendEmailWithRetry(to, subject, body, agent, attempt = 1) {
+  async recordEmailStatus(agent, status) {
+    if (agent.id === undefined || agent.id === null) return;
+
     try {
+      await this.storage.updateAgent(agent.id, {
+        email_status: status,
+        last_emailed_at: new Date().toISOString()
+      });
+    } catch (error) {
+      logError('email', error, {
+        context: 'EmailService.recordEmailStatus',
+        agent: agent.name
+      });
+    }
+  }
+
+  /**
+   * Send email with retry logic. Every email carries a one-click
+   * unsubscribe link for its recipient in its List-Unsubscribe headers.
+   * @param {Object} [options]
+   * @param {Object} [options.sender] - name, email and replyTo, each defaulting to the configured sender
+   */
+  async sendEmailWithRetry(to, subject, body, agent, attempt = 1, { sender = null } = {}) {
+    try {
+      const unsubscribeUrl = await this.suppressions.getUnsubscribeUrl(to);
       const mailOptions = {
-        from: `"${config.email.fromName}" <${config.email.from}>`,
+        from: `"${sender?.name || config.email.fromName}" <${sender?.email || config.email.from}>`,
+        ...(sender?.replyTo ? { replyTo: sender.replyTo } : {}),
         to: to,
         subject: subject,
         text: body,
         headers: {
           'X-Priority': '3',
           'X-MSMail-Priority': 'Normal',
-          'Importance': 'normal'
+          'Importance': 'normal',
+          'List-Unsubscribe': `<${unsubscribeUrl}>`,
+          'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
         }
       };
 
@@ -139,7 +204,7 @@ class EmailService {
         });
         
         await this.delay(5000 * attempt); // Exponential backoff
-        return this.sendEmailWithRetry(to, subject, body, agent, attempt + 1);
+        return this.sendEmailWithRetry(to, subject, body, agent, attempt + 1, { sender });
       } else {
         logError('email', error, { 
           context: 'EmailService.sendEmailWithRetry', 
@@ -153,47 +218,100 @@ class EmailService {
   }
 
   /**
-   * Send emails to multiple agents
+   * How many emails a campaign can send now: at most maxEmails, within the
+   * daily limit and the campaign's daily cap
+   */
+  async getSendLimit(campaign, maxEmails = null) {
+    await this.ready;
+    this.checkDailyLimit();
+    const remaining = config.email.maxPerDay - this.dailyCount;
+    const { remainingToday } = this.campaigns.getStats(campaign, await this.campaigns.getSends(campaign.id));
+    return Math.max(0, Math.min(maxEmails || config.email.maxPerDay, remaining, remainingToday ?? Infinity));
+  }
+
+  /**
+   * Queue a campaign's emails for the EmailSender worker, each agent at
+   * their step of the campaign
+   * @param {Object} campaign
+   * @param {{ agent: Object, step: number }[]} deliveries
+   * @returns {Promise<Object[]>} The messages queued
+   */
+  async queueEmails(campaign, deliveries) {
+    return this.queue.enqueue(campaign, deliveries);
+  }
+
+  /**
+   * Send one queued message: the template of its step in its campaign, to
+   * the agent as stored now, rotating through the variants. The outcome is
+   * recorded against the campaign unless the daily limit stopped the send.
+   * @param {Object} message - Claimed from the queue
    */
-  async sendBulkEmails(agents, maxEmails = null) {
+  async sendQueuedEmail(message) {
     try {
-      const limit = maxEmails || config.email.maxPerDay;
-      const agentsToEmail = agents.slice(0, limit);
-      
-      emailLogger.info(`Starting bulk email send to ${agentsToEmail.length} agents`);
+      const campaign = await this.campaigns.getCampaign(message.campaignId);
+      if (!campaign) {
+        return { success: false, reason: 'Campaign not found' };
+      }
 
-      const results = [];
-      let subjectIndex = 0;
+      const agent = message.agentId !== null ? await this.campaigns.agentService.getAgent(message.agentId) : null;
+      if (!agent || agent.email !== message.email) {
+        const result = { success: false, reason: 'Agent not found' };
+        await this.campaigns.recordSend(campaign, { id: message.agentId, email: message.email }, result, { step: message.step });
+        return result;
+      }
 
-      for (const agent of agentsToEmail) {
-        const result = await this.sendEmailToAgent(agent, subjectIndex);
-        results.push({ agent, result });
-        
-        subjectIndex = (subjectIndex + 1) % 5; // Rotate subjects
-        
-        // Check if we've hit the daily limit
-        if (this.dailyCount >= config.email.maxPerDay) {
-          emailLogger.warn('Daily email limit reached during bulk send');
-          break;
-        }
+      // Continue the rotation from the campaign's earlier sends
+      const variant = (await this.campaigns.getSends(campaign.id)).length;
+      const result = await this.sendEmailToAgent(agent, {
+        templateId: this.campaigns.getStepTemplateId(campaign, message.step),
+        variant,
+        sender: campaign.sender,
+        followUp: message.step > 1
+      });
+      if (result.reason !== 'Daily limit reached') {
+        await this.campaigns.recordSend(campaign, agent, result, { step: message.step });
       }
+      return result;
 
-      const successCount = results.filter(r => r.result.success).length;
-      const failureCount = results.length - successCount;
+    } catch (error) {
+      logError('email', error, { context: 'EmailService.sendQueuedEmail', messageId: message.id });
+      return { success: false, reason: 'Exception', error: error.message };
+    }
+  }
 
-      emailLogger.info(`Bulk email completed: ${successCount} successful, ${failureCount} failed`);
+  /**
+   * Settle a message a restart left sending. It is counted as sent when the
+   * agent's row shows it went out, and as failed otherwise; it is never sent
+   * again, as the SMTP server may have accepted it before the restart.
+   * @returns {Promise<Object>} The result the message is finished with
+   */
+  async settleInterruptedEmail(message) {
+    const campaign = await this.campaigns.getCampaign(message.campaignId);
+    const recorded = campaign && (await this.campaigns.getSends(campaign.id))
+      .find(send => send.email === message.email && send.step === message.step && send.at >= message.sendingAt);
+    if (recorded) {
+      return { success: recorded.status === 'sent', messageId: recorded.messageId, error: recorded.reason };
+    }
 
-      return {
-        total: results.length,
-        successful: successCount,
-        failed: failureCount,
-        results
-      };
+    const agent = message.agentId !== null ? await this.campaigns.agentService.getAgent(message.agentId) : null;
+    const delivered = agent?.email_status === 'sent' && agent.last_emailed_at >= message.sendingAt;
+    const result = delivered
+      ? { success: true, messageId: null }
+      : { success: false, error: 'Interrupted while sending; not retried in case it was delivered' };
 
-    } catch (error) {
-      logError('email', error, { context: 'EmailService.sendBulkEmails' });
-      throw error;
+    if (campaign) {
+      await this.campaigns.recordSend(campaign, agent || { id: message.agentId, email: message.email }, result, { step: message.step });
     }
+    emailLogger.warn(`Settled interrupted email to ${message.email} as ${delivered ? 'sent' : 'failed'}`, { campaign: message.campaignId });
+    return result;
+  }
+
+  /**
+   * Queue depth and when it should be drained
+   */
+  async getQueueStats() {
+    const { remainingToday } = await this.getEmailStats();
+    return this.queue.getStats({ remainingToday });
   }
 
   /**
@@ -214,7 +332,8 @@ class EmailService {
   /**
    * Get email statistics
    */
-  getEmailStats() {
+  async getEmailStats() {
+    await this.ready;
     return {
       sentToday: this.dailyCount,
       dailyLimit: config.email.maxPerDay,
@@ -225,19 +344,17 @@ class EmailService {
   }
 
   /**
-   * Load email log from file
+   * Load email log from storage
    */
-  loadEmailLog() {
+  async loadEmailLog() {
     try {
-      if (fs.existsSync(this.emailLogPath)) {
-        const data = fs.readFileSync(this.emailLogPath, 'utf8');
-        const log = JSON.parse(data);
-        
+      const log = await this.storage.getState(EMAIL_LOG_KEY);
+      if (log) {
         this.sentEmails = new Set(log.sentEmails || []);
         this.failedEmails = new Set(log.failedEmails || []);
         this.dailyCount = log.dailyCount || 0;
         this.lastResetDate = log.lastResetDate || new Date().toDateString();
-        
+
         emailLogger.info('Email log loaded successfully');
       }
     } catch (error) {
@@ -246,15 +363,10 @@ class EmailService {
   }
 
   /**
-   * Save email log to file
+   * Save email log to storage
    */
-  saveEmailLog() {
+  async saveEmailLog() {
     try {
-      const logDir = path.dirname(this.emailLogPath);
-      if (!fs.existsSync(logDir)) {
-        fs.mkdirSync(logDir, { recursive: true });
-      }
-
       const log = {
         sentEmails: Array.from(this.sentEmails),
         failedEmails: Array.from(this.failedEmails),
@@ -263,7 +375,7 @@ class EmailService {
         lastUpdated: new Date().toISOString()
       };
 
-      fs.writeFileSync(this.emailLogPath, JSON.stringify(log, null, 2));
+      await this.storage.setState(EMAIL_LOG_KEY, log);
     } catch (error) {
       logError('email', error, { context: 'EmailService.saveEmailLog' });
     }
@@ -272,14 +384,15 @@ class EmailService {
   /**
    * Clear email log
    */
-  clearEmailLog() {
+  async clearEmailLog() {
     try {
+      await this.ready;
       this.sentEmails.clear();
       this.failedEmails.clear();
       this.dailyCount = 0;
       this.lastResetDate = new Date().toDateString();
-      this.saveEmailLog();
-      
+      await this.saveEmailLog();
+
       emailLogger.info('Email log cleared successfully');
       return true;
     } catch (error) {
@@ -291,10 +404,11 @@ class EmailService {
   /**
    * Reset daily counter
    */
-  resetDailyCounter() {
+  async resetDailyCounter() {
+    await this.ready;
     this.dailyCount = 0;
     this.lastResetDate = new Date().toDateString();
-    this.saveEmailLog();
+    await this.saveEmailLog();
     emailLogger.info('Daily email counter reset');
   }
 
@@ -0,0 +1,255 @@
+const crypto = require('crypto');
+const { emailLogger } = require('../utils/logger');
+const { buildMergeFields, renderTemplate } = require('../utils/templateUtils');
+const { getStorage } = require('../storage');
+const config = require('../config/config');
+
+// All templates are kept in one state document; there are few and they are small
+const STATE_KEY = 'email_templates';
+
+/**
+ * The pitch emails were sent with before templates were stored. It is used
+ * until a template is saved, and kept as the default after that.
+ */
+const BUILT_IN_TEMPLATE = {
+  id: 'default',
+  name: 'Custom AI tools pitch',
+  description: 'The original pitch with five rotating subjects',
+  subjects: [
+    'Can I build you a custom AI tool?',
+    'Free AI tool for your real estate business?',
+    'Want a custom AI solution for your agency?',
+    'AI automation for real estate agents',
+    'Custom software for your real estate business?'
+  ],
+  bodies: [`Hey {{firstName|there}},
+
+I run an agency where we build custom AI tools and software for real estate agents.
+
+Give me your biggest problem and I'll build a solution for free.
+
+If you like it, you pay. If you don't, send it back and we figure out how to make it better.
+
+Want to try?
+
+– {{senderName}}
+
+---
+Unsubscribe: {{unsubscribeUrl}}`]
+};
+
+/**
+ * Stored email templates. Each edit to a template's subjects or bodies adds
+ * a version; emails are rendered from the latest version unless an earlier
+ * one is asked for. One template is the default, used when a send does not
+ * name one.
+ */
+class EmailTemplateService {
+  /**
+   * @param {BaseStorage} [storage] - Defaults to the shared storage
+   */
+  constructor(storage = getStorage()) {
+    this.storage = storage;
+  }
+
+  async load() {
+    return this.fromStored(await this.storage.getState(STATE_KEY));
+  }
+
+  /**
+   * The stored templates, or the built-in one until a template is saved
+   */
+  fromStored(stored) {
+    if (stored) return stored.templates;
+
+    const createdAt = new Date(0).toISOString();
+    const { subjects, bodies, ...template } = BUILT_IN_TEMPLATE;
+    return [{
+      ...template,
+      isDefault: true,
+      versions: [{ version: 1, subjects, bodies, createdAt }],
+      createdAt,
+      updatedAt: createdAt
+    }];
+  }
+
+  /**
+   * Change the stored templates once every earlier change is saved
+   * @param {Function} change - Given the templates to modify; its return value is passed on
+   */
+  async update(change) {
+    let result;
+    await this.storage.updateState(STATE_KEY, async (stored) => {
+      const templates = this.fromStored(stored);
+      result = await change(templates);
+      return { templates, lastUpdated: new Date().toISOString() };
+    });
+    return result;
+  }
+
+  /**
+   * Every template without its version history
+   */
+  async listTemplates() {
+    return (await this.load()).map(template => this.summarize(template));
+  }
+
+  summarize({ versions, ...template }) {
+    const latest = versions[versions.length - 1];
+    return { ...template, version: latest.version, subjects: latest.subjects, bodies: latest.bodies };
+  }
+
+  /**
+   * @returns {Object|null} The template with its versions, or null when there is none with this id
+   */
+  async getTemplate(id) {
+    return (await this.load()).find(template => template.id === id) || null;
+  }
+
+  async getDefaultTemplate() {
+    const templates = await this.load();
+    return templates.find(template => template.isDefault) || templates[0] || null;
+  }
+
+  /**
+   * The template to send with: the one with this id, or the default
+   * @returns {Object|null} null when no template has this id
+   */
+  async resolveTemplate(id = null) {
+    return id ? this.getTemplate(id) : this.getDefaultTemplate();
+  }
+
+  /**
+   * @returns {Object|null} One version of a template, the latest by default
+   */
+  getVersion(template, version = null) {
+    const { versions } = template;
+    if (version === null || version === undefined) return versions[versions.length - 1];
+    return versions.find(entry => entry.version === Number(version)) || null;
+  }
+
+  /**
+   * Store a template, validated with validateTemplateInput
+   * @returns {Object} The stored template
+   */
+  async createTemplate({ name, description = null, subjects, bodies, isDefault = false }) {
+    const createdAt = new Date().toISOString();
+    const template = {
+      id: crypto.randomUUID(),
+      name,
+      description,
+      isDefault,
+      versions: [{ version: 1, subjects, bodies, createdAt }],
+      createdAt,
+      updatedAt: createdAt
+    };
+
+    await this.update((templates) => {
+      if (isDefault) templates.forEach(entry => { entry.isDefault = false; });
+      templates.push(template);
+    });
+    emailLogger.info(`Created email template ${template.id}`, { name });
+    return template;
+  }
+
+  /**
+   * Apply validated changes to a template. New subjects or bodies are saved
+   * as a new version; the name, description and default flag are not
+   * versioned.
+   * @returns {Object|null} The updated template, or null when there is none with this id
+   */
+  async updateTemplate(id, changes) {
+    const template = await this.update(templates => this.applyChanges(templates, id, changes));
+    if (template) emailLogger.info(`Updated email template ${id}`, { version: this.getVersion(template).version });
+    return template;
+  }
+
+  applyChanges(templates, id, changes) {
+    const template = templates.find(entry => entry.id === id);
+    if (!template) return null;
+
+    const latest = this.getVersion(template);
+    const subjects = changes.subjects || latest.subjects;
+    const bodies = changes.bodies || latest.bodies;
+    const updatedAt = new Date().toISOString();
+
+    if (JSON.stringify([subjects, bodies]) !== JSON.stringify([latest.subjects, latest.bodies])) {
+      template.versions.push({ version: latest.version + 1, subjects, bodies, createdAt: updatedAt });
+    }
+    if (changes.name !== undefined) template.name = changes.name;
+    if (changes.description !== undefined) template.description = changes.description;
+    if (changes.isDefault === true) {
+      templates.forEach(entry => { entry.isDefault = entry === template; });
+    } else if (changes.isDefault === false) {
+      template.isDefault = false;
+    }
+    template.updatedAt = updatedAt;
+    return template;
+  }
+
+  /**
+   * Make an earlier version's subjects and bodies the latest again
+   * @returns {Object|null} The updated template, or null when the template or version does not exist
+   */
+  async restoreVersion(id, version) {
+    const template = await this.update((templates) => {
+      const current = templates.find(entry => entry.id === id);
+      const restored = current && this.getVersion(current, version);
+      return restored ? this.applyChanges(templates, id, { subjects: restored.subjects, bodies: restored.bodies }) : null;
+    });
+    if (template) emailLogger.info(`Restored email template ${id} version ${version}`);
+    return template;
+  }
+
+  /**
+   * @returns {boolean} false when there is no template with this id
+   */
+  async deleteTemplate(id) {
+    const deleted = await this.update((templates) => {
+      const index = templates.findIndex(template => template.id === id);
+      if (index === -1) return false;
+      templates.splice(index, 1);
+      return true;
+    });
+    if (!deleted) return false;
+
+    emailLogger.info(`Deleted email template ${id}`);
+    return true;
+  }
+
+  /**
+   * Render an email for an agent. Variants rotate by index, so sending with
+   * variant 0, 1, 2... cycles through the subjects and bodies independently.
+   * A body that does not show the unsubscribe link, such as one saved before
+   * {{unsubscribeUrl}} existed, gets it as a footer.
+   * @param {Object} template
+   * @param {Object} agent
+   * @param {Object} [options]
+   * @param {number} [options.version] - Defaults to the latest
+   * @param {number} [options.variant]
+   * @param {string} [options.senderName] - Defaults to the configured sender name
+   * @param {string} [options.unsubscribeUrl] - For {{unsubscribeUrl}} or the footer
+   * @returns {{ templateId: string, version: number, subjectVariant: number, bodyVariant: number, subject: string, body: string }}
+   * @throws {Error} When the version does not exist
+   */
+  renderEmail(template, agent, { version = null, variant = 0, senderName = null, unsubscribeUrl = '' } = {}) {
+    const entry = this.getVersion(template, version);
+    if (!entry) throw new Error(`Template ${template.id} has no version ${version}`);
+
+    const fields = buildMergeFields(agent, { senderName: senderName || config.email.fromName, unsubscribeUrl });
+    const subjectVariant = variant % entry.subjects.length;
+    const bodyVariant = variant % entry.bodies.length;
+    const body = renderTemplate(entry.bodies[bodyVariant], fields);
+
+    return {
+      templateId: template.id,
+      version: entry.version,
+      subjectVariant,
+      bodyVariant,
+      subject: renderTemplate(entry.subjects[subjectVariant], fields),
+      body: unsubscribeUrl && !body.includes(unsubscribeUrl) ? `${body.trimEnd()}\n\n---\nUnsubscribe: ${unsubscribeUrl}` : body
+    };
+  }
+}
+
+module.exports = EmailTemplateService;
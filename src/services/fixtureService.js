@@ -0,0 +1,123 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { scraperLogger, logError } = require('../utils/logger');
+const config = require('../config/config');
+
+const MODES = ['off', 'record', 'replay'];
+const MANIFEST_FILE = 'manifest.json';
+
+/**
+ * Stores HTTP responses loaded while scraping so a run can be replayed
+ * offline. Each response body is written to its own file, keyed by a hash
+ * of the request, and described in manifest.json.
+ */
+class FixtureService {
+  /**
+   * @param {Object} options
+   * @param {string} [options.mode] - off, record or replay
+   * @param {string} [options.dir] - Directory holding the fixtures
+   */
+  constructor({ mode = config.scraping.fixtures.mode, dir = config.scraping.fixtures.dir } = {}) {
+    if (!MODES.includes(mode)) {
+      throw new Error(`Invalid fixture mode: ${mode} (expected one of ${MODES.join(', ')})`);
+    }
+
+    this.mode = mode;
+    this.dir = dir;
+    this.manifestPath = path.join(dir, MANIFEST_FILE);
+    this.manifest = {};
+
+    if (this.mode !== 'off') {
+      this.loadManifest();
+    }
+  }
+
+  isEnabled() {
+    return this.mode !== 'off';
+  }
+
+  isRecording() {
+    return this.mode === 'record';
+  }
+
+  isReplaying() {
+    return this.mode === 'replay';
+  }
+
+  getKey(method, url, postData = null) {
+    const request = `${method.toUpperCase()} ${url}${postData ? `\n${postData}` : ''}`;
+    return crypto.createHash('sha1').update(request).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * Find the recorded response for a request
+   * @returns {{ status: number, headers: Object, body: Buffer }|null}
+   */
+  lookup(method, url, postData = null) {
+    const entry = this.manifest[this.getKey(method, url, postData)];
+    if (!entry) return null;
+
+    try {
+      return {
+        status: entry.status,
+        headers: entry.headers,
+        body: fs.readFileSync(path.join(this.dir, entry.file))
+      };
+    } catch (error) {
+      logError('scraper', error, { context: 'FixtureService.lookup', url });
+      return null;
+    }
+  }
+
+  /**
+   * Save a response for a request, replacing any earlier recording
+   */
+  record(method, url, postData, { status = 200, headers = {}, body = '' }) {
+    try {
+      if (!fs.existsSync(this.dir)) {
+        fs.mkdirSync(this.dir, { recursive: true });
+      }
+
+      const key = this.getKey(method, url, postData);
+      const file = `${key}.body`;
+      fs.writeFileSync(path.join(this.dir, file), body);
+
+      this.manifest[key] = {
+        method: method.toUpperCase(),
+        url,
+        status,
+        headers,
+        file,
+        recordedAt: new Date().toISOString()
+      };
+      this.saveManifest();
+
+      scraperLogger.debug(`Recorded fixture for ${url}`, { key, status });
+    } catch (error) {
+      logError('scraper', error, { context: 'FixtureService.record', url });
+    }
+  }
+
+  /**
+   * Load the fixture manifest from disk
+   */
+  loadManifest() {
+    try {
+      if (fs.existsSync(this.manifestPath)) {
+        this.manifest = JSON.parse(fs.readFileSync(this.manifestPath, 'utf8')) || {};
+        scraperLogger.info(`Loaded ${Object.keys(this.manifest).length} fixtures from ${this.dir}`);
+      } else if (this.isReplaying()) {
+        scraperLogger.warn(`No fixture manifest found at ${this.manifestPath}`);
+      }
+    } catch (error) {
+      logError('scraper', error, { context: 'FixtureService.loadManifest' });
+    }
+  }
+
+  saveManifest() {
+    fs.writeFileSync(this.manifestPath, JSON.stringify(this.manifest, null, 2));
+  }
+}
+
+module.exports = FixtureService;
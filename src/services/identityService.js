@@ -0,0 +1,232 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { scraperLogger, logError } = require('../utils/logger');
+const config = require('../config/config');
+
+// Statuses that mean the site is blocking or throttling the current identity
+const BLOCKED_STATUSES = [403, 407, 429];
+
+/**
+ * Hands out scraper identities: a proxy (when configured) plus a matching
+ * user agent and viewport profile. A session keeps one identity until it
+ * has made rotateAfter requests or hit maxFailures failures in a row.
+ * Proxies that keep failing are rested for the cooldown period.
+ */
+class IdentityService {
+  /**
+   * @param {Object} options
+   * @param {string|string[]} [options.proxies] - Proxy URLs, comma separated or as a list
+   * @param {Object[]} [options.profiles] - User agent and viewport profiles; defaults to the profiles file
+   * @param {number} [options.rotateAfter] - Requests before a session should switch identity
+   * @param {number} [options.maxFailures] - Failures in a row before a session rotates and its proxy rests
+   * @param {number} [options.cooldown] - Milliseconds a failing proxy is skipped for
+   */
+  constructor({
+    proxies = config.scraping.identity.proxies,
+    profiles = null,
+    rotateAfter = config.scraping.identity.rotateAfter,
+    maxFailures = config.scraping.identity.maxFailures,
+    cooldown = config.scraping.identity.cooldown
+  } = {}) {
+    this.profiles = profiles || this.loadProfiles(config.scraping.identity.profilesFile);
+    this.rotateAfter = rotateAfter;
+    this.maxFailures = maxFailures;
+    this.cooldown = cooldown;
+    this.proxies = this.parseProxies(proxies);
+    this.nextIndex = 0;
+  }
+
+  /**
+   * Pick the identity for a new scraper session
+   */
+  acquire() {
+    const proxy = this.pickProxy();
+    const profileIndex = proxy ? proxy.index : this.nextIndex++;
+
+    // A proxy always presents the same profile so one IP never switches browsers
+    const profile = this.profiles[profileIndex % this.profiles.length];
+
+    if (proxy) {
+      proxy.activeSessions++;
+    }
+
+    const session = {
+      id: crypto.randomUUID(),
+      proxy: proxy ? proxy.connection : null,
+      profile,
+      requests: 0,
+      consecutiveFailures: 0
+    };
+
+    scraperLogger.info(`Using identity ${profile.id}${proxy ? ` via ${proxy.label}` : ''}`);
+    return session;
+  }
+
+  /**
+   * Return a session's proxy to the pool
+   */
+  release(session) {
+    const proxy = this.findProxy(session);
+    if (proxy && proxy.activeSessions > 0) {
+      proxy.activeSessions--;
+    }
+  }
+
+  recordSuccess(session) {
+    session.requests++;
+    session.consecutiveFailures = 0;
+
+    const proxy = this.findProxy(session);
+    if (proxy) {
+      proxy.requests++;
+      proxy.consecutiveFailures = 0;
+    }
+  }
+
+  recordFailure(session, error) {
+    session.requests++;
+    session.consecutiveFailures++;
+
+    const proxy = this.findProxy(session);
+    if (!proxy) return;
+
+    proxy.requests++;
+    proxy.failures++;
+    proxy.consecutiveFailures++;
+    proxy.lastError = error ? error.message || String(error) : null;
+
+    if (proxy.consecutiveFailures >= this.maxFailures) {
+      proxy.disabledUntil = Date.now() + this.cooldown;
+      proxy.consecutiveFailures = 0;
+      scraperLogger.warn(`Proxy ${proxy.label} failed ${this.maxFailures} times in a row, resting it`, {
+        lastError: proxy.lastError
+      });
+    }
+  }
+
+  /**
+   * Record the outcome of a page load from its HTTP status
+   */
+  recordResponse(session, status) {
+    if (BLOCKED_STATUSES.includes(status)) {
+      this.recordFailure(session, new Error(`HTTP ${status}`));
+    } else {
+      this.recordSuccess(session);
+    }
+  }
+
+  /**
+   * Whether a session has used its identity long enough, or failed too often, to keep it
+   */
+  shouldRotate(session) {
+    if (!session) return false;
+    if (this.proxies.length <= 1 && this.profiles.length <= 1) return false;
+
+    return session.requests >= this.rotateAfter || session.consecutiveFailures >= this.maxFailures;
+  }
+
+  /**
+   * Extra Chrome launch arguments for a session
+   */
+  getLaunchArgs(session) {
+    return session && session.proxy ? [`--proxy-server=${session.proxy.server}`] : [];
+  }
+
+  /**
+   * Proxy health, with credentials left out
+   */
+  getStatus() {
+    const now = Date.now();
+    return {
+      profiles: this.profiles.map(profile => profile.id),
+      rotateAfter: this.rotateAfter,
+      maxFailures: this.maxFailures,
+      proxies: this.proxies.map(proxy => ({
+        proxy: proxy.label,
+        healthy: !proxy.disabledUntil || proxy.disabledUntil <= now,
+        disabledUntil: proxy.disabledUntil > now ? new Date(proxy.disabledUntil).toISOString() : null,
+        activeSessions: proxy.activeSessions,
+        requests: proxy.requests,
+        failures: proxy.failures,
+        lastError: proxy.lastError
+      }))
+    };
+  }
+
+  /**
+   * Choose the healthy proxy with the fewest sessions, or the one that
+   * recovers soonest when every proxy is resting
+   */
+  pickProxy() {
+    if (this.proxies.length === 0) return null;
+
+    const now = Date.now();
+    const healthy = this.proxies.filter(proxy => !proxy.disabledUntil || proxy.disabledUntil <= now);
+    if (healthy.length === 0) {
+      const proxy = [...this.proxies].sort((a, b) => a.disabledUntil - b.disabledUntil)[0];
+      scraperLogger.warn(`All proxies are resting, using ${proxy.label}`);
+      return proxy;
+    }
+
+    // Rotate through proxies with equal load so sessions spread evenly
+    const start = this.nextIndex++ % this.proxies.length;
+    return healthy
+      .map(proxy => ({ proxy, order: (proxy.index - start + this.proxies.length) % this.proxies.length }))
+      .sort((a, b) => a.proxy.activeSessions - b.proxy.activeSessions || a.order - b.order)[0].proxy;
+  }
+
+  findProxy(session) {
+    if (!session || !session.proxy) return null;
+    return this.proxies.find(proxy => proxy.connection === session.proxy) || null;
+  }
+
+  parseProxies(proxies) {
+    const urls = Array.isArray(proxies)
+      ? proxies
+      : String(proxies || '').split(',');
+
+    return urls
+      .map(url => url.trim())
+      .filter(Boolean)
+      .map((url, index) => {
+        const parsed = new URL(url.includes('://') ? url : `http://${url}`);
+        const protocol = parsed.protocol.replace(':', '');
+        return {
+          index,
+          label: `${protocol}://${parsed.host}`,
+          connection: {
+            protocol,
+            host: parsed.hostname,
+            port: parseInt(parsed.port) || (protocol === 'https' ? 443 : 80),
+            server: `${protocol}://${parsed.host}`,
+            username: decodeURIComponent(parsed.username),
+            password: decodeURIComponent(parsed.password)
+          },
+          activeSessions: 0,
+          requests: 0,
+          failures: 0,
+          consecutiveFailures: 0,
+          disabledUntil: 0,
+          lastError: null
+        };
+      });
+  }
+
+  /**
+   * Load identity profiles from a JSON file
+   */
+  loadProfiles(file) {
+    try {
+      const profiles = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (!Array.isArray(profiles) || profiles.length === 0) {
+        throw new Error('Identity profiles file must contain a non-empty list');
+      }
+      return profiles;
+    } catch (error) {
+      logError('scraper', error, { context: 'IdentityService.loadProfiles', file });
+      throw error;
+    }
+  }
+}
+
+module.exports = IdentityService;
@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const CheckpointService = require('./checkpointService');
+const ScraperHealthService = require('./scraperHealthService');
+const IdentityService = require('./identityService');
+const CrawlPolicyService = require('./crawlPolicyService');
+const FixtureService = require('./fixtureService');
+const { logger, logError } = require('../utils/logger');
+const { getStorage } = require('../storage');
+const config = require('../config/config');
+
+const STATE_KEY = 'scrape_jobs';
+const ACTIVE_STATUSES = ['queued', 'running', 'cancelling'];
+const MAX_FINISHED_JOBS = 50;
+
+/**
+ * Runs scrape jobs in the background and keeps their records in storage, so
+ * job history survives a restart. Jobs are read from storage once; await
+ * ready before the first read.
+ */
+class ScrapeJobService {
+  /**
+   * @param {Function} ScraperOrchestrator - Orchestrator class, one instance is created per job
+   * @param {Object} options
+   * @param {number} [options.maxConcurrent] - Number of scrape jobs allowed to run at once
+   * @param {BaseStorage} [options.storage] - Defaults to the shared storage
+   */
+  constructor(ScraperOrchestrator, { maxConcurrent = config.scraping.maxConcurrentJobs, storage = getStorage() } = {}) {
+    this.ScraperOrchestrator = ScraperOrchestrator;
+    this.maxConcurrent = maxConcurrent;
+    this.storage = storage;
+    this.jobs = new Map();
+    this.orchestrators = new Map();
+    this.writing = Promise.resolve();
+    this.ready = this.loadJobs();
+    this.checkpoints = new CheckpointService(storage);
+    this.health = new ScraperHealthService({ storage });
+    this.identities = new IdentityService();
+    // One fixture store for every job, so robots.txt and pages are recorded to and replayed from the same manifest
+    this.fixtures = new FixtureService();
+    this.policy = new CrawlPolicyService({ fixtures: this.fixtures });
+  }
+
+  /**
+   * Get jobs that have not finished yet
+   */
+  getActiveJobs() {
+    return Array.from(this.jobs.values()).filter(job => ACTIVE_STATUSES.includes(job.status));
+  }
+
+  hasCapacity() {
+    return this.getActiveJobs().length < this.maxConcurrent;
+  }
+
+  /**
+   * Create a scrape job and start it in the background
+   */
+  startJob({ sources = null, locations = null, resume = true } = {}) {
+    if (!this.hasCapacity()) {
+      throw new Error(`Maximum of ${this.maxConcurrent} concurrent scrape job(s) reached`);
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      options: { sources, locations, resume },
+      progress: {
+        agentsFound: 0,
+        currentSource: null,
+        currentLocation: null,
+        sources: {}
+      },
+      errors: [],
+      stats: null,
+      agentsCount: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null
+    };
+
+    const orchestrator = new this.ScraperOrchestrator({
+      checkpoints: this.checkpoints,
+      health: this.health,
+      identities: this.identities,
+      policy: this.policy,
+      fixtures: this.fixtures
+    });
+    this.jobs.set(job.id, job);
+    this.orchestrators.set(job.id, orchestrator);
+    this.saveJobs();
+
+    this.runJob(job, orchestrator);
+
+    logger.info(`Scrape job ${job.id} created`, { sources, locations, resume });
+    return this.serialize(job);
+  }
+
+  async runJob(job, orchestrator) {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    this.saveJobs();
+
+    try {
+      const agents = await orchestrator.run({
+        ...job.options,
+        onProgress: (progress) => this.updateProgress(job, progress)
+      });
+
+      job.agentsCount = agents.length;
+      job.status = orchestrator.cancelled ? 'cancelled' : 'completed';
+    } catch (error) {
+      logError('scraper', error, { context: 'ScrapeJobService.runJob', jobId: job.id });
+      job.status = orchestrator.cancelled ? 'cancelled' : 'failed';
+    } finally {
+      job.stats = orchestrator.getStats();
+      job.errors = job.stats.errors.map(error => (error instanceof Error ? error.message : String(error)));
+      job.finishedAt = new Date().toISOString();
+      this.orchestrators.delete(job.id);
+      this.pruneFinishedJobs();
+      this.saveJobs();
+
+      logger.info(`Scrape job ${job.id} ${job.status}`, { agentsCount: job.agentsCount });
+    }
+  }
+
+  updateProgress(job, { source, agentsFound, currentLocation }) {
+    job.progress.sources[source] = { agentsFound, currentLocation };
+    job.progress.currentSource = source;
+    job.progress.currentLocation = currentLocation;
+    job.progress.agentsFound = Object.values(job.progress.sources)
+      .reduce((total, entry) => total + entry.agentsFound, 0);
+    this.saveJobs();
+  }
+
+  /**
+   * Cancel a running job; its scrapers close their browsers
+   */
+  async cancelJob(id) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+
+    const orchestrator = this.orchestrators.get(id);
+    if (!orchestrator || !ACTIVE_STATUSES.includes(job.status)) {
+      return this.serialize(job);
+    }
+
+    job.status = 'cancelling';
+    this.saveJobs();
+    logger.info(`Cancelling scrape job ${id}`);
+    await orchestrator.cancel();
+
+    return this.serialize(job);
+  }
+
+  getJob(id) {
+    const job = this.jobs.get(id);
+    return job ? this.serialize(job) : null;
+  }
+
+  listJobs() {
+    return Array.from(this.jobs.values())
+      .reverse()
+      .map(job => this.serialize(job));
+  }
+
+  /**
+   * Keep only the most recent finished jobs
+   */
+  pruneFinishedJobs() {
+    const finished = Array.from(this.jobs.values()).filter(job => !ACTIVE_STATUSES.includes(job.status));
+    const excess = finished.length - MAX_FINISHED_JOBS;
+    for (let i = 0; i < excess; i++) {
+      this.jobs.delete(finished[i].id);
+    }
+  }
+
+  /**
+   * Load jobs from storage. A job still active there was interrupted by a
+   * restart, since its scrapers only ran in the process that started it.
+   */
+  async loadJobs() {
+    try {
+      const stored = (await this.storage.getState(STATE_KEY))?.jobs || [];
+      const interrupted = stored.filter(job => ACTIVE_STATUSES.includes(job.status));
+      for (const job of interrupted) {
+        job.status = 'failed';
+        job.errors = [...(job.errors || []), 'Interrupted by a restart before it finished'];
+        job.finishedAt = new Date().toISOString();
+      }
+
+      // Jobs started while loading are kept, after the stored ones
+      this.jobs = new Map([...stored.map(job => [job.id, job]), ...this.jobs]);
+      if (interrupted.length > 0) {
+        logger.warn(`Marked ${interrupted.length} interrupted scrape job(s) as failed`);
+        this.saveJobs();
+      }
+    } catch (error) {
+      logError('scraper', error, { context: 'ScrapeJobService.loadJobs' });
+    }
+  }
+
+  /**
+   * Save jobs to storage. Writes are queued so a slow write never lands
+   * after a newer one.
+   */
+  saveJobs() {
+    const jobs = this.serialize(Array.from(this.jobs.values()));
+    this.writing = this.writing
+      .then(() => this.storage.setState(STATE_KEY, { jobs }))
+      .catch(error => logError('scraper', error, { context: 'ScrapeJobService.saveJobs' }));
+    return this.writing;
+  }
+
+  serialize(job) {
+    return JSON.parse(JSON.stringify(job));
+  }
+}
+
+module.exports = ScrapeJobService;
@@ -0,0 +1,198 @@
+const { scraperLogger, logError } = require('../utils/logger');
+const { getStorage } = require('../storage');
+const config = require('../config/config');
+
+const STATE_KEY = 'scraper_health';
+
+/**
+ * Keeps a history of per-source scrape health metrics and flags a run as
+ * degraded when it falls sharply below the recent healthy baseline.
+ * History is read from storage once; await ready before the first read.
+ */
+class ScraperHealthService {
+  /**
+   * @param {Object} [options]
+   * @param {BaseStorage} [options.storage] - Defaults to the shared storage
+   */
+  constructor({
+    storage = getStorage(),
+    historySize = config.scraping.health.historySize,
+    baselineRuns = config.scraping.health.baselineRuns,
+    dropThreshold = config.scraping.health.dropThreshold
+  } = {}) {
+    this.storage = storage;
+    this.historySize = historySize;
+    this.baselineRuns = baselineRuns;
+    this.dropThreshold = dropThreshold;
+    this.history = {};
+    this.writing = Promise.resolve();
+    this.ready = this.loadHistory();
+  }
+
+  /**
+   * Evaluate a finished run against the baseline and store it
+   * @param {string} source - Source id
+   * @param {Object} metrics - Scraper health metrics (see BaseScraper.getHealth)
+   * @param {Object} [context] - Extra run details such as the job error
+   */
+  recordRun(source, metrics, { error = null } = {}) {
+    const runs = this.history[source] || [];
+    const baseline = this.getBaseline(runs);
+    const { status, reasons, selectorChanges } = this.evaluate(metrics, baseline, error);
+
+    const report = {
+      source,
+      status,
+      reasons,
+      selectorChanges,
+      metrics,
+      baseline,
+      error: error ? error.message || String(error) : null,
+      recordedAt: new Date().toISOString()
+    };
+
+    this.history[source] = [...runs, report].slice(-this.historySize);
+    this.saveHistory();
+
+    if (status === 'degraded') {
+      scraperLogger.warn(`Scraper ${source} degraded`, { reasons });
+    }
+
+    return report;
+  }
+
+  /**
+   * Average metrics of the most recent healthy runs
+   */
+  getBaseline(runs) {
+    const healthy = runs.filter(run => run.status === 'healthy').slice(-this.baselineRuns);
+    if (healthy.length === 0) return null;
+
+    const average = (values) => values.reduce((total, value) => total + value, 0) / values.length;
+    const fields = new Set(healthy.flatMap(run => Object.keys(run.metrics.fillRates)));
+
+    const fillRates = {};
+    fields.forEach(field => {
+      fillRates[field] = average(healthy.map(run => run.metrics.fillRates[field] || 0));
+    });
+
+    return {
+      runs: healthy.length,
+      cardsPerPage: average(healthy.map(run => run.metrics.cardsPerPage)),
+      fillRates,
+      topSelectors: this.getTopSelectors(healthy[healthy.length - 1].metrics.selectors)
+    };
+  }
+
+  evaluate(metrics, baseline, error) {
+    const reasons = [];
+
+    if (error) {
+      reasons.push(`Run failed: ${error.message || error}`);
+    }
+
+    if (metrics.cards === 0) {
+      reasons.push('No agent cards found');
+    }
+
+    if (baseline) {
+      const floor = 1 - this.dropThreshold;
+
+      if (metrics.cards > 0 && metrics.cardsPerPage < baseline.cardsPerPage * floor) {
+        reasons.push(`Cards per page dropped from ${baseline.cardsPerPage.toFixed(1)} to ${metrics.cardsPerPage.toFixed(1)}`);
+      }
+
+      for (const [field, rate] of Object.entries(baseline.fillRates)) {
+        const current = metrics.fillRates[field] || 0;
+        if (rate > 0 && current < rate * floor) {
+          reasons.push(`${field} fill rate dropped from ${Math.round(rate * 100)}% to ${Math.round(current * 100)}%`);
+        }
+      }
+    }
+
+    // A different winning selector is worth surfacing even when the numbers hold up
+    const selectorChanges = [];
+    if (baseline) {
+      const current = this.getTopSelectors(metrics.selectors);
+      for (const [list, selector] of Object.entries(baseline.topSelectors)) {
+        if (current[list] && current[list] !== selector) {
+          selectorChanges.push({ list, from: selector, to: current[list] });
+        }
+      }
+    }
+
+    return {
+      status: reasons.length > 0 ? 'degraded' : 'healthy',
+      reasons,
+      selectorChanges
+    };
+  }
+
+  /**
+   * Most frequently matched selector in each fallback list
+   */
+  getTopSelectors(selectors = {}) {
+    const top = {};
+    for (const [list, hits] of Object.entries(selectors)) {
+      const [selector] = Object.entries(hits).sort((a, b) => b[1] - a[1])[0] || [];
+      if (selector) top[list] = selector;
+    }
+    return top;
+  }
+
+  /**
+   * Latest report per source, plus its recent history when a source is given
+   */
+  getReport(source = null) {
+    if (source) {
+      const runs = this.history[source];
+      if (!runs) return null;
+      return {
+        source,
+        latest: runs[runs.length - 1],
+        history: runs.map(({ status, reasons, metrics, recordedAt }) => ({
+          status,
+          reasons,
+          cards: metrics.cards,
+          cardsPerPage: metrics.cardsPerPage,
+          fillRates: metrics.fillRates,
+          recordedAt
+        }))
+      };
+    }
+
+    const sources = {};
+    for (const [id, runs] of Object.entries(this.history)) {
+      sources[id] = runs[runs.length - 1];
+    }
+    return {
+      degraded: Object.values(sources).some(report => report.status === 'degraded'),
+      sources
+    };
+  }
+
+  /**
+   * Load health history from storage
+   */
+  async loadHistory() {
+    try {
+      this.history = (await this.storage.getState(STATE_KEY)) || {};
+    } catch (error) {
+      logError('scraper', error, { context: 'ScraperHealthService.loadHistory' });
+    }
+  }
+
+  /**
+   * Save health history to storage. Writes are queued so a slow write never
+   * lands after a newer one.
+   */
+  saveHistory() {
+    const history = JSON.parse(JSON.stringify(this.history));
+    this.writing = this.writing
+      .then(() => this.storage.setState(STATE_KEY, history))
+      .catch(error => logError('scraper', error, { context: 'ScraperHealthService.saveHistory' }));
+    return this.writing;
+  }
+}
+
+module.exports = ScraperHealthService;
@@ -0,0 +1,261 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const BaseStorage = require('../storage/baseStorage');
+const { getMissingFields } = require('../utils/dedupeUtils');
+const { logger } = require('../utils/logger');
+const { getStorage } = require('../storage');
+const config = require('../config/config');
+
+const EMAIL_LOG_KEY = 'email_log';
+const MANIFEST_FILE = 'manifest.json';
+const AGENTS_FILE = 'agents.ndjson';
+const EMAIL_LOG_FILE = 'email_log.json';
+// Snapshot ids are timestamps, which also keeps them safe to use as directory names
+const SNAPSHOT_ID = /^snapshot-[0-9TZ-]+$/;
+
+const sha256 = (content) => crypto.createHash('sha256').update(content).digest('hex');
+
+/**
+ * Point-in-time snapshots of the agent table and email log. Each snapshot
+ * is a directory named by its timestamp holding the agents as NDJSON, the
+ * email log as JSON and a manifest with counts and checksums. The manifest
+ * is written last, so a snapshot without one is incomplete and ignored.
+ */
+class SnapshotService {
+  /**
+   * @param {BaseStorage} [storage] - Defaults to the shared storage
+   * @param {Object} [options]
+   * @param {string} [options.dir] - Directory snapshots are written to
+   */
+  constructor(storage = getStorage(), { dir = config.backups.dir } = {}) {
+    this.storage = storage;
+    this.dir = dir;
+  }
+
+  /**
+   * Write a snapshot of the current agents and email log, then apply the
+   * retention policy
+   * @param {Object} [options]
+   * @param {string} [options.label] - Why the snapshot was taken, such as "manual" or "pre-restore"
+   * @returns {Object} The snapshot's manifest
+   */
+  async createSnapshot({ label = 'manual' } = {}) {
+    const agents = await this.storage.getAllAgents();
+    const emailLog = await this.storage.getState(EMAIL_LOG_KEY);
+
+    const createdAt = new Date();
+    let id = `snapshot-${createdAt.toISOString().replace(/[:.]/g, '-')}`;
+    for (let suffix = 1; fs.existsSync(path.join(this.dir, id)); suffix++) {
+      id = `snapshot-${createdAt.toISOString().replace(/[:.]/g, '-')}-${suffix}`;
+    }
+
+    const snapshotDir = path.join(this.dir, id);
+    fs.mkdirSync(snapshotDir, { recursive: true });
+
+    const agentsContent = agents.map(agent => JSON.stringify(agent)).join('\n');
+    const emailLogContent = JSON.stringify(emailLog, null, 2);
+    fs.writeFileSync(path.join(snapshotDir, AGENTS_FILE), agentsContent);
+    fs.writeFileSync(path.join(snapshotDir, EMAIL_LOG_FILE), emailLogContent);
+
+    const manifest = {
+      id,
+      label,
+      createdAt: createdAt.toISOString(),
+      storageDriver: this.storage.constructor.name,
+      agentCount: agents.length,
+      emailLog: {
+        sent: (emailLog?.sentEmails || []).length,
+        failed: (emailLog?.failedEmails || []).length
+      },
+      files: {
+        agents: { name: AGENTS_FILE, sha256: sha256(agentsContent) },
+        emailLog: { name: EMAIL_LOG_FILE, sha256: sha256(emailLogContent) }
+      }
+    };
+    fs.writeFileSync(path.join(snapshotDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+
+    logger.info(`Created snapshot ${id} with ${agents.length} agents`, { label });
+    const deleted = this.applyRetention();
+    return { ...manifest, deletedSnapshots: deleted };
+  }
+
+  /**
+   * Manifests of all complete snapshots, newest first
+   */
+  listSnapshots() {
+    if (!fs.existsSync(this.dir)) return [];
+
+    return fs.readdirSync(this.dir)
+      .filter(name => SNAPSHOT_ID.test(name))
+      .map(name => this.getSnapshot(name))
+      .filter(Boolean)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.id.localeCompare(a.id));
+  }
+
+  /**
+   * @returns {Object|null} A snapshot's manifest, or null when there is no complete snapshot with this id
+   */
+  getSnapshot(id) {
+    if (!SNAPSHOT_ID.test(String(id))) return null;
+    const manifestPath = path.join(this.dir, id, MANIFEST_FILE);
+    if (!fs.existsSync(manifestPath)) return null;
+    return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  }
+
+  /**
+   * Read a snapshot's files, checking them against the manifest's checksums
+   * @returns {{ manifest: Object, agents: Object[], emailLog: Object|null }}
+   */
+  readSnapshot(manifest) {
+    const snapshotDir = path.join(this.dir, manifest.id);
+    const agentsContent = fs.readFileSync(path.join(snapshotDir, manifest.files.agents.name), 'utf8');
+    const emailLogContent = fs.readFileSync(path.join(snapshotDir, manifest.files.emailLog.name), 'utf8');
+
+    if (sha256(agentsContent) !== manifest.files.agents.sha256 ||
+      sha256(emailLogContent) !== manifest.files.emailLog.sha256) {
+      throw new Error(`Snapshot ${manifest.id} is corrupt: its files do not match the manifest`);
+    }
+
+    return {
+      manifest,
+      agents: agentsContent ? agentsContent.split('\n').map(line => JSON.parse(line)) : [],
+      emailLog: JSON.parse(emailLogContent)
+    };
+  }
+
+  /**
+   * Compare the agents of two snapshots by id. Either side may be null for
+   * the current data.
+   * @returns {Object} Ids added and removed, and changed agents with each changed field's values
+   */
+  async diffSnapshots(fromManifest, toManifest = null) {
+    const load = async (manifest) => (manifest ? this.readSnapshot(manifest).agents : this.storage.getAllAgents());
+    const fromAgents = new Map((await load(fromManifest)).map(agent => [String(agent.id), agent]));
+    const toAgents = new Map((await load(toManifest)).map(agent => [String(agent.id), agent]));
+
+    const added = [];
+    const changed = [];
+    for (const [id, agent] of toAgents) {
+      const before = fromAgents.get(id);
+      if (!before) {
+        added.push(agent.id);
+        continue;
+      }
+
+      const fields = {};
+      for (const field of BaseStorage.AGENT_FIELDS) {
+        const [from, to] = [before[field] ?? null, agent[field] ?? null];
+        if (JSON.stringify(from) !== JSON.stringify(to)) fields[field] = { from, to };
+      }
+      if (Object.keys(fields).length > 0) changed.push({ id: agent.id, fields });
+    }
+    const removed = Array.from(fromAgents.keys())
+      .filter(id => !toAgents.has(id))
+      .map(id => fromAgents.get(id).id);
+
+    return {
+      from: fromManifest ? fromManifest.id : 'current',
+      to: toManifest ? toManifest.id : 'current',
+      added: added.length,
+      removed: removed.length,
+      changed: changed.length,
+      unchanged: toAgents.size - added.length - changed.length,
+      addedIds: added,
+      removedIds: removed,
+      changes: changed
+    };
+  }
+
+  /**
+   * Restore a snapshot. A full restore replaces every agent and the email
+   * log with the snapshot's. A merge keeps current data: agents missing
+   * now are added back with their ids unless one with the same identity key
+   * exists, agents on both sides only have empty fields filled in, and the
+   * email log gains the snapshot's addresses.
+   * A snapshot of the current data is taken first, unless dryRun is set.
+   * @param {Object} manifest
+   * @param {Object} [options]
+   * @param {string} [options.mode] - full or merge
+   * @param {boolean} [options.dryRun] - Report what would change without writing
+   * @returns {Object} Counts of agents restored, filled in and deleted, and the safety snapshot's id
+   */
+  async restoreSnapshot(manifest, { mode = 'full', dryRun = false } = {}) {
+    const { agents, emailLog } = this.readSnapshot(manifest);
+    const current = await this.storage.getAllAgents();
+    const currentById = new Map(current.map(agent => [String(agent.id), agent]));
+
+    const report = { snapshotId: manifest.id, mode, dryRun, safetySnapshotId: null };
+    let missing;
+    let updates = [];
+
+    if (mode === 'full') {
+      missing = agents;
+      report.deleted = current.length;
+    } else {
+      // An agent deleted and ingested again since has a new id but the same identity key
+      const currentKeys = new Set(current.map(agent => agent.identity_key).filter(Boolean));
+      const absent = agents.filter(agent => !currentById.has(String(agent.id)));
+      missing = absent.filter(agent => !agent.identity_key || !currentKeys.has(agent.identity_key));
+      report.alreadyPresent = absent.length - missing.length;
+      updates = agents
+        .filter(agent => currentById.has(String(agent.id)))
+        .map(agent => ({ id: agent.id, fields: getMissingFields(currentById.get(String(agent.id)), [agent]) }))
+        .filter(update => Object.keys(update.fields).length > 0);
+      report.deleted = 0;
+    }
+    report.restored = missing.length;
+    report.filledIn = updates.length;
+
+    if (dryRun) return report;
+
+    report.safetySnapshotId = (await this.createSnapshot({ label: `pre-restore of ${manifest.id}` })).id;
+
+    if (mode === 'full') {
+      await this.storage.clearAgents();
+      await this.storage.restoreAgents(agents);
+      await this.storage.setState(EMAIL_LOG_KEY, emailLog || { sentEmails: [], failedEmails: [], dailyCount: 0 });
+    } else {
+      await this.storage.restoreAgents(missing);
+      for (const { id, fields } of updates) {
+        await this.storage.updateAgent(id, fields);
+      }
+      if (emailLog) {
+        const currentLog = await this.storage.getState(EMAIL_LOG_KEY) || {};
+        const union = (key) => Array.from(new Set([...(currentLog[key] || []), ...(emailLog[key] || [])]));
+        await this.storage.setState(EMAIL_LOG_KEY, {
+          ...currentLog,
+          sentEmails: union('sentEmails'),
+          failedEmails: union('failedEmails'),
+          lastUpdated: new Date().toISOString()
+        });
+      }
+    }
+
+    logger.info(`Restored snapshot ${manifest.id} (${mode})`, report);
+    return report;
+  }
+
+  /**
+   * Delete snapshots past the retention policy: beyond the newest
+   * maxSnapshots or older than maxAgeDays. The newest is always kept.
+   * @returns {string[]} Ids of the deleted snapshots
+   */
+  applyRetention() {
+    const { maxSnapshots, maxAgeDays } = config.backups;
+    const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+
+    const expired = this.listSnapshots()
+      .filter((manifest, index) => index > 0 && (index >= maxSnapshots || new Date(manifest.createdAt).getTime() < cutoff));
+
+    for (const manifest of expired) {
+      fs.rmSync(path.join(this.dir, manifest.id), { recursive: true, force: true });
+    }
+    if (expired.length > 0) {
+      logger.info(`Deleted ${expired.length} snapshots past retention`);
+    }
+    return expired.map(manifest => manifest.id);
+  }
+}
+
+module.exports = SnapshotService;
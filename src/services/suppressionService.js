@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const stream = require('stream');
+const csvParser = require('csv-parser');
+const { createObjectCsvStringifier } = require('csv-writer');
+const { emailLogger } = require('../utils/logger');
+const { parseSuppression, createUnsubscribeToken, verifyUnsubscribeToken } = require('../utils/suppressionUtils');
+const { getStorage } = require('../storage');
+const config = require('../config/config');
+
+// The list is one state document; the generated link secret is kept in another
+const STATE_KEY = 'email_suppressions';
+const SECRET_KEY = 'unsubscribe_secret';
+// Columns read from an imported CSV, in order of preference
+const IMPORT_COLUMNS = ['email', 'domain', 'value', 'address'];
+const NO_PUBLIC_URL = 'PUBLIC_URL is not set, so emails cannot carry an unsubscribe link';
+
+/**
+ * Global suppression list of email addresses and whole domains that are
+ * never emailed, whatever the campaign. Agents join it through the signed
+ * unsubscribe link in every email, or are added through the API.
+ */
+class SuppressionService {
+  /**
+   * @param {BaseStorage} [storage] - Defaults to the shared storage
+   */
+  constructor(storage = getStorage()) {
+    this.storage = storage;
+    this.secret = config.email.unsubscribeSecret || null;
+  }
+
+  async load() {
+    return (await this.storage.getState(STATE_KEY))?.entries || [];
+  }
+
+  /**
+   * Change the stored entries once every earlier change is saved
+   * @param {Function} change - Given the entries to modify; returns whether it changed them, and nothing is saved when it did not
+   */
+  async update(change) {
+    await this.storage.updateState(STATE_KEY, async (stored) => {
+      const entries = stored?.entries || [];
+      return await change(entries) ? { entries, lastUpdated: new Date().toISOString() } : undefined;
+    });
+  }
+
+  /**
+   * The key unsubscribe links are signed with: UNSUBSCRIBE_SECRET, or one
+   * generated and stored on first use so links keep working across restarts.
+   * When two processes generate one at once, the first stored is kept and
+   * used by both.
+   */
+  async getSecret() {
+    if (this.secret) return this.secret;
+
+    const stored = await this.storage.updateState(SECRET_KEY, current => (current?.secret ? undefined : {
+      secret: crypto.randomBytes(32).toString('hex'),
+      createdAt: new Date().toISOString()
+    }));
+    this.secret = stored.secret;
+    return this.secret;
+  }
+
+  /**
+   * One-click unsubscribe link for an address, under PUBLIC_URL
+   */
+  async getUnsubscribeUrl(email) {
+    if (!config.server.publicUrl) throw new Error(NO_PUBLIC_URL);
+    const token = createUnsubscribeToken(email, await this.getSecret());
+    return `${config.server.publicUrl.replace(/\/$/, '')}/unsubscribe/${token}`;
+  }
+
+  /**
+   * @returns {Promise<string|null>} The address an unsubscribe token was made for, or null when it is not valid
+   */
+  async verifyToken(token) {
+    return verifyUnsubscribeToken(token, await this.getSecret());
+  }
+
+  /**
+   * Entries newest first
+   * @param {Object} [filters]
+   * @param {string} [filters.type] - email or domain
+   * @param {string} [filters.q] - Part of the address or domain
+   */
+  async listEntries({ type = null, q = null } = {}) {
+    const search = q ? String(q).trim().toLowerCase() : null;
+    return (await this.load())
+      .filter(entry => (!type || entry.type === type) && (!search || entry.value.includes(search)))
+      .reverse();
+  }
+
+  /**
+   * The entry suppressing an address, by the address itself or its domain
+   * @returns {Promise<Object|null>}
+   */
+  async findEntry(email) {
+    const address = String(email ?? '').trim().toLowerCase();
+    const domain = address.split('@')[1];
+    const entries = await this.load();
+    return entries.find(entry => entry.type === 'email' && entry.value === address) ||
+      entries.find(entry => entry.type === 'domain' && domain && (domain === entry.value || domain.endsWith(`.${entry.value}`))) ||
+      null;
+  }
+
+  /**
+   * Add addresses and domains to the list
+   * @param {string[]} values
+   * @param {Object} [options]
+   * @param {string} [options.reason]
+   * @param {string} [options.source] - api, import or unsubscribe_link
+   * @returns {Promise<{ added: Object[], existing: string[], invalid: string[] }>}
+   */
+  async addEntries(values, { reason = null, source = 'api' } = {}) {
+    const createdAt = new Date().toISOString();
+    let result;
+
+    await this.update((entries) => {
+      // Built afresh each time, as the change is applied again when another process saved first
+      result = { added: [], existing: [], invalid: [] };
+      const known = new Set(entries.map(entry => entry.value));
+      for (const input of values) {
+        const parsed = parseSuppression(input);
+        if (!parsed) {
+          result.invalid.push(String(input));
+        } else if (known.has(parsed.value)) {
+          result.existing.push(parsed.value);
+        } else {
+          known.add(parsed.value);
+          result.added.push({ ...parsed, reason, source, createdAt });
+        }
+      }
+      entries.push(...result.added);
+      return result.added.length > 0;
+    });
+
+    if (result.added.length > 0) {
+      emailLogger.info(`Suppressed ${result.added.length} addresses and domains`, { source });
+    }
+    return result;
+  }
+
+  /**
+   * @returns {Promise<boolean>} false when the value is not on the list
+   */
+  async removeEntry(value) {
+    const parsed = parseSuppression(value);
+    let removed = false;
+    await this.update((entries) => {
+      const index = entries.findIndex(entry => entry.value === parsed?.value);
+      if (index === -1) return false;
+      entries.splice(index, 1);
+      removed = true;
+      return true;
+    });
+    if (!removed) return false;
+
+    emailLogger.info(`Removed ${parsed.value} from the suppression list`);
+    return true;
+  }
+
+  /**
+   * Values from an uploaded CSV: its email, domain, value or address
+   * column, or else its first column. A file without a header row is read
+   * whole, its first line included.
+   * @returns {Promise<string[]>}
+   */
+  parseImport(buffer) {
+    return new Promise((resolve, reject) => {
+      let column = null;
+      const values = [];
+      const bufferStream = new stream.PassThrough();
+      bufferStream.end(buffer);
+      bufferStream.pipe(csvParser())
+        .on('headers', (headers) => {
+          const normalized = headers.map(header => header.trim().toLowerCase());
+          const known = IMPORT_COLUMNS.find(name => normalized.includes(name));
+          column = headers[known ? normalized.indexOf(known) : 0];
+          if (!known && parseSuppression(column)) values.push(column);
+        })
+        .on('data', (row) => {
+          if (row[column]) values.push(row[column]);
+        })
+        .on('end', () => resolve(values))
+        .on('error', reject);
+    });
+  }
+
+  /**
+   * The whole list as CSV
+   */
+  async exportCsv() {
+    const stringifier = createObjectCsvStringifier({
+      header: ['value', 'type', 'reason', 'source', 'createdAt'].map(id => ({ id, title: id }))
+    });
+    const entries = await this.load();
+    return stringifier.getHeaderString() + stringifier.stringifyRecords(entries);
+  }
+}
+
+SuppressionService.NO_PUBLIC_URL = NO_PUBLIC_URL;
+
+module.exports = SuppressionService;
@@ -0,0 +1,168 @@
+// Agent columns every backend stores; id and created_at are assigned on insert.
+// The details from phone to specialties are filled in when a source shows them.
+// identity_key, sources, first_seen_at and last_seen_at are kept by ingestion;
+// email_status and last_emailed_at by the email service.
+const AGENT_FIELDS = [
+  'name', 'email', 'company', 'city', 'state', 'profile_url', 'do_not_contact',
+  'phone', 'license_number', 'brokerage_address', 'website', 'social_links',
+  'years_experience', 'sales_volume', 'specialties',
+  'identity_key', 'sources', 'first_seen_at', 'last_seen_at',
+  'email_status', 'last_emailed_at'
+];
+
+// Times updateState applies a change before giving up on a key other writers keep changing
+const MAX_STATE_ATTEMPTS = 10;
+
+/**
+ * Interface every storage backend implements. Agents are rows with an id
+ * assigned on insert; state holds JSON documents by key, such as the email
+ * log and scrape checkpoints. All methods are async.
+ */
+class BaseStorage {
+  constructor() {
+    // Pending updateState calls by key, so each waits for the one before it
+    this.stateUpdates = new Map();
+  }
+
+  /**
+   * Keep only the agent columns, dropping anything else on the record
+   */
+  toAgentRecord(agent) {
+    const record = {};
+    for (const field of AGENT_FIELDS) {
+      if (agent[field] !== undefined) record[field] = agent[field];
+    }
+    return record;
+  }
+
+  async close() {}
+
+  // Abstract methods to be implemented by child classes
+
+  /**
+   * Find agents matching a query from parseAgentQuery: search terms, filters,
+   * sort and either an offset or a cursor. total counts every match.
+   * @returns {Promise<{ agents: Object[], total: number }>}
+   */
+  async getAgents(query) {
+    throw new Error('getAgents() method must be implemented by child class');
+  }
+
+  async getAllAgents() {
+    throw new Error('getAllAgents() method must be implemented by child class');
+  }
+
+  async getAgentsByIds(ids) {
+    throw new Error('getAgentsByIds() method must be implemented by child class');
+  }
+
+  async getAgentsByIdentityKeys(keys) {
+    throw new Error('getAgentsByIdentityKeys() method must be implemented by child class');
+  }
+
+  /**
+   * Agents whose profile_url is exactly one of these
+   */
+  async getAgentsByProfileUrls(urls) {
+    throw new Error('getAgentsByProfileUrls() method must be implemented by child class');
+  }
+
+  /**
+   * @returns {Promise<Object[]>} The inserted agents with their ids
+   */
+  async addAgents(agents) {
+    throw new Error('addAgents() method must be implemented by child class');
+  }
+
+  /**
+   * Insert agents keeping their ids and created_at, as saved in a snapshot.
+   * Ids must not be in use.
+   */
+  async restoreAgents(agents) {
+    throw new Error('restoreAgents() method must be implemented by child class');
+  }
+
+  async updateAgent(id, updates) {
+    throw new Error('updateAgent() method must be implemented by child class');
+  }
+
+  /**
+   * Apply the same updates to several agents
+   */
+  async updateAgents(ids, updates) {
+    throw new Error('updateAgents() method must be implemented by child class');
+  }
+
+  async deleteAgents(ids) {
+    throw new Error('deleteAgents() method must be implemented by child class');
+  }
+
+  async clearAgents() {
+    throw new Error('clearAgents() method must be implemented by child class');
+  }
+
+  /**
+   * @returns {Promise<*>} The stored document, or null when there is none
+   */
+  async getState(key) {
+    throw new Error('getState() method must be implemented by child class');
+  }
+
+  async setState(key, value) {
+    throw new Error('setState() method must be implemented by child class');
+  }
+
+  /**
+   * A state document with its version, which every save of the key increments
+   * @returns {Promise<{ value: *, version: number }|null>} null when the key was never saved
+   */
+  async getStateEntry(key) {
+    throw new Error('getStateEntry() method must be implemented by child class');
+  }
+
+  /**
+   * Save a state document only if it is still at this version, or was never
+   * saved when version is null
+   * @returns {Promise<boolean>} false when another writer saved it first
+   */
+  async replaceState(key, value, version) {
+    throw new Error('replaceState() method must be implemented by child class');
+  }
+
+  /**
+   * Read, change and save a state document. Updates of the same key in this
+   * process wait for each other; one saved by another process in between is
+   * detected by its version, and the change is applied again to what it saved.
+   * @param {string} key
+   * @param {Function} change - Given the stored document, or null; returns the document to save, or undefined to leave it. It may run more than once
+   * @returns {Promise<*>} The document as saved
+   */
+  updateState(key, change) {
+    const previous = this.stateUpdates.get(key) || Promise.resolve();
+    const update = previous.then(async () => {
+      for (let attempt = 1; ; attempt++) {
+        const entry = await this.getStateEntry(key);
+        const current = entry ? entry.value : null;
+        const next = await change(current);
+        if (next === undefined) return current;
+        if (await this.replaceState(key, next, entry ? entry.version : null)) return next;
+
+        if (attempt >= MAX_STATE_ATTEMPTS) {
+          throw new Error(`State ${key} was changed by another writer on each of ${attempt} attempts`);
+        }
+        await new Promise(resolve => setTimeout(resolve, Math.random() * 50 * attempt));
+      }
+    });
+
+    const settled = update.catch(() => {});
+    this.stateUpdates.set(key, settled);
+    settled.then(() => {
+      if (this.stateUpdates.get(key) === settled) this.stateUpdates.delete(key);
+    });
+    return update;
+  }
+}
+
+BaseStorage.AGENT_FIELDS = AGENT_FIELDS;
+
+module.exports = BaseStorage;
@@ -0,0 +1,52 @@
+/**
+ * Storage backends for agents, the email log and job state.
+ *
+ * Services take a storage instance in their constructor and default to the
+ * shared one, created on first use from config.storage.driver. Tests and
+ * offline runs can pass their own, or call setStorage() before creating
+ * services.
+ */
+const config = require('../config/config');
+
+const DRIVERS = {
+  supabase: () => require('./supabaseStorage'),
+  sqlite: () => require('./sqliteStorage'),
+  memory: () => require('./memoryStorage')
+};
+
+let sharedStorage = null;
+
+/**
+ * Create a storage backend
+ * @param {string} [driver] - supabase, sqlite or memory
+ * @param {Object} [options] - Passed to the backend constructor
+ */
+function createStorage(driver = config.storage.driver, options = {}) {
+  const loadDriver = DRIVERS[driver];
+  if (!loadDriver) {
+    throw new Error(`Unknown storage driver "${driver}" (expected one of: ${Object.keys(DRIVERS).join(', ')})`);
+  }
+
+  const Storage = loadDriver();
+  return new Storage(options);
+}
+
+/**
+ * The storage shared by every service, created on first use
+ */
+function getStorage() {
+  if (!sharedStorage) {
+    sharedStorage = createStorage();
+  }
+  return sharedStorage;
+}
+
+function setStorage(storage) {
+  sharedStorage = storage;
+}
+
+module.exports = {
+  createStorage,
+  getStorage,
+  setStorage
+};
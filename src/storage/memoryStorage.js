@@ -0,0 +1,113 @@
+const BaseStorage = require('./baseStorage');
+const { matchesAgentQuery, compareAgents } = require('../utils/agentQueryUtils');
+
+/**
+ * Keeps everything in process memory. Nothing survives a restart, which
+ * makes it suitable for tests and offline dry runs.
+ */
+class MemoryStorage extends BaseStorage {
+  constructor() {
+    super();
+    this.agents = [];
+    this.nextId = 1;
+    this.state = new Map();
+  }
+
+  async getAgents(query) {
+    const matching = this.agents
+      .filter(agent => matchesAgentQuery(agent, query))
+      .sort((a, b) => compareAgents(a, b, query));
+
+    const start = query.cursor
+      ? matching.findIndex(agent => compareAgents(agent, { [query.sort]: query.cursor.value, id: query.cursor.id }, query) > 0)
+      : query.offset;
+
+    return {
+      agents: (start === -1 ? [] : matching.slice(start, start + query.limit)).map(agent => structuredClone(agent)),
+      total: matching.length
+    };
+  }
+
+  async getAllAgents() {
+    return this.agents.map(agent => structuredClone(agent));
+  }
+
+  async getAgentsByIds(ids) {
+    const wanted = new Set(ids.map(String));
+    return this.agents.filter(agent => wanted.has(String(agent.id))).map(agent => structuredClone(agent));
+  }
+
+  async getAgentsByIdentityKeys(keys) {
+    const wanted = new Set(keys);
+    return this.agents.filter(agent => wanted.has(agent.identity_key)).map(agent => structuredClone(agent));
+  }
+
+  async getAgentsByProfileUrls(urls) {
+    const wanted = new Set(urls);
+    return this.agents.filter(agent => wanted.has(agent.profile_url)).map(agent => structuredClone(agent));
+  }
+
+  async addAgents(agents) {
+    const createdAt = new Date().toISOString();
+    const inserted = agents.map(agent => ({
+      id: this.nextId++,
+      ...structuredClone(this.toAgentRecord(agent)),
+      created_at: createdAt
+    }));
+    this.agents.push(...inserted);
+    return inserted.map(agent => structuredClone(agent));
+  }
+
+  async restoreAgents(agents) {
+    for (const agent of agents) {
+      this.agents.push({ id: agent.id, ...structuredClone(this.toAgentRecord(agent)), created_at: agent.created_at });
+      this.nextId = Math.max(this.nextId, Number(agent.id) + 1);
+    }
+    this.agents.sort((a, b) => a.id - b.id);
+  }
+
+  async updateAgent(id, updates) {
+    const agent = this.agents.find(entry => String(entry.id) === String(id));
+    if (agent) Object.assign(agent, structuredClone(this.toAgentRecord(updates)));
+  }
+
+  async updateAgents(ids, updates) {
+    for (const id of ids) {
+      await this.updateAgent(id, updates);
+    }
+  }
+
+  async deleteAgents(ids) {
+    const deleted = new Set(ids.map(String));
+    this.agents = this.agents.filter(agent => !deleted.has(String(agent.id)));
+  }
+
+  async clearAgents() {
+    this.agents = [];
+    return true;
+  }
+
+  async getState(key) {
+    return this.state.has(key) ? JSON.parse(this.state.get(key).value) : null;
+  }
+
+  async setState(key, value) {
+    const version = this.state.has(key) ? this.state.get(key).version + 1 : 1;
+    this.state.set(key, { value: JSON.stringify(value), version });
+  }
+
+  async getStateEntry(key) {
+    if (!this.state.has(key)) return null;
+    const { value, version } = this.state.get(key);
+    return { value: JSON.parse(value), version };
+  }
+
+  async replaceState(key, value, version) {
+    const stored = this.state.get(key);
+    if ((stored ? stored.version : null) !== version) return false;
+    this.state.set(key, { value: JSON.stringify(value), version: (version || 0) + 1 });
+    return true;
+  }
+}
+
+module.exports = MemoryStorage;
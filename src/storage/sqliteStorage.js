@@ -0,0 +1,306 @@
+const fs = require('fs');
+const path = require('path');
+const BaseStorage = require('./baseStorage');
+const { logger } = require('../utils/logger');
+const config = require('../config/config');
+
+// Stay well under SQLite's limit on bound parameters per statement
+const BATCH_SIZE = 500;
+
+// Agent columns holding lists or objects, stored as JSON text
+const JSON_FIELDS = ['sources', 'social_links', 'specialties'];
+// Agent columns holding flags, stored as 1 or 0
+const BOOLEAN_FIELDS = ['do_not_contact'];
+// Column types other than TEXT, so numbers sort and compare as numbers
+const COLUMN_TYPES = {
+  do_not_contact: 'INTEGER',
+  years_experience: 'INTEGER',
+  sales_volume: 'REAL'
+};
+
+const whereClause = (conditions) => (conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '');
+
+/**
+ * Stores agents and state in a local SQLite file, so the whole pipeline can
+ * run without a Supabase project. Agent columns missing from an existing
+ * database are added on open.
+ */
+class SqliteStorage extends BaseStorage {
+  /**
+   * @param {Object} options
+   * @param {string} [options.file] - Database file, or ':memory:'
+   */
+  constructor({ file = config.storage.sqlitePath } = {}) {
+    super();
+    // Loaded here so the native module is only needed when this driver is used
+    const Database = require('better-sqlite3');
+
+    if (file !== ':memory:') {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+    }
+
+    this.file = file;
+    this.db = new Database(file);
+    this.db.pragma('journal_mode = WAL');
+    this.migrate();
+  }
+
+  migrate() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS agents (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        created_at TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS app_state (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL,
+        version INTEGER NOT NULL DEFAULT 0,
+        updated_at TEXT NOT NULL
+      );
+    `);
+
+    const stateColumns = new Set(this.db.prepare('PRAGMA table_info(app_state)').all().map(column => column.name));
+    if (!stateColumns.has('version')) {
+      this.db.exec('ALTER TABLE app_state ADD COLUMN version INTEGER NOT NULL DEFAULT 0');
+      logger.info('Added version column to SQLite app_state table');
+    }
+
+    const columns = new Set(this.db.prepare('PRAGMA table_info(agents)').all().map(column => column.name));
+    for (const field of BaseStorage.AGENT_FIELDS) {
+      if (!columns.has(field)) {
+        this.db.exec(`ALTER TABLE agents ADD COLUMN ${field} ${COLUMN_TYPES[field] || 'TEXT'}`);
+        logger.info(`Added ${field} column to SQLite agents table`);
+      }
+    }
+    this.db.exec('CREATE INDEX IF NOT EXISTS agents_email ON agents (email)');
+    this.db.exec('CREATE INDEX IF NOT EXISTS agents_identity_key ON agents (identity_key)');
+    this.db.exec('CREATE INDEX IF NOT EXISTS agents_profile_url ON agents (profile_url)');
+  }
+
+  /**
+   * Agent record to column values, with lists as JSON text and flags as 1 or 0
+   */
+  toRow(agent) {
+    const row = this.toAgentRecord(agent);
+    for (const field of JSON_FIELDS) {
+      if (row[field] !== undefined && row[field] !== null) row[field] = JSON.stringify(row[field]);
+    }
+    for (const field of BOOLEAN_FIELDS) {
+      if (typeof row[field] === 'boolean') row[field] = row[field] ? 1 : 0;
+    }
+    return row;
+  }
+
+  fromRow(row) {
+    for (const field of JSON_FIELDS) {
+      if (typeof row[field] === 'string') row[field] = JSON.parse(row[field]);
+    }
+    for (const field of BOOLEAN_FIELDS) {
+      if (row[field] !== null && row[field] !== undefined) row[field] = Number(row[field]) === 1;
+    }
+    return row;
+  }
+
+  /**
+   * Select agents in batches of ids or keys matched against a column
+   */
+  selectIn(column, values) {
+    const agents = [];
+    for (let i = 0; i < values.length; i += BATCH_SIZE) {
+      const batch = values.slice(i, i + BATCH_SIZE);
+      agents.push(...this.db
+        .prepare(`SELECT * FROM agents WHERE ${column} IN (${batch.map(() => '?').join(', ')}) ORDER BY id`)
+        .all(...batch));
+    }
+    return agents.map(row => this.fromRow(row));
+  }
+
+  async getAgents(query) {
+    const { conditions, params } = this.buildConditions(query);
+    const { total } = this.db
+      .prepare(`SELECT COUNT(*) AS total FROM agents ${whereClause(conditions)}`)
+      .get(...params);
+
+    const direction = query.order === 'desc' ? 'DESC' : 'ASC';
+    const pageConditions = [...conditions];
+    const pageParams = [...params];
+
+    if (query.cursor) {
+      const operator = query.order === 'desc' ? '<' : '>';
+      const { value, id } = query.cursor;
+      if (value === null) {
+        pageConditions.push(`(${query.sort} IS NULL AND id ${operator} ?)`);
+        pageParams.push(id);
+      } else {
+        pageConditions.push(`(${query.sort} ${operator} ? OR (${query.sort} = ? AND id ${operator} ?) OR ${query.sort} IS NULL)`);
+        pageParams.push(value, value, id);
+      }
+    }
+
+    const agents = this.db
+      .prepare(`
+        SELECT * FROM agents
+        ${whereClause(pageConditions)}
+        ORDER BY ${query.sort} IS NULL, ${query.sort} ${direction}, id ${direction}
+        LIMIT ? OFFSET ?
+      `)
+      .all(...pageParams, query.limit, query.cursor ? 0 : query.offset)
+      .map(row => this.fromRow(row));
+
+    return { agents, total };
+  }
+
+  /**
+   * SQL conditions and their parameters for a query's filters
+   */
+  buildConditions(query) {
+    const conditions = [];
+    const params = [];
+
+    for (const term of query.search) {
+      conditions.push("(LOWER(COALESCE(name, '')) LIKE ? OR LOWER(COALESCE(company, '')) LIKE ?)");
+      params.push(`%${term}%`, `%${term}%`);
+    }
+    if (query.states) {
+      conditions.push(`LOWER(TRIM(state)) IN (${query.states.map(() => '?').join(', ')})`);
+      params.push(...query.states);
+    }
+    if (query.city) {
+      conditions.push('LOWER(TRIM(city)) = ?');
+      params.push(query.city);
+    }
+    if (query.source) {
+      conditions.push('EXISTS (SELECT 1 FROM json_each(agents.sources) WHERE json_each.value = ?)');
+      params.push(query.source);
+    }
+    if (query.specialty) {
+      conditions.push('EXISTS (SELECT 1 FROM json_each(agents.specialties) WHERE json_each.value = ?)');
+      params.push(query.specialty);
+    }
+    if (query.hasEmail === true) {
+      conditions.push("email LIKE '%@%'");
+    } else if (query.hasEmail === false) {
+      conditions.push("(email IS NULL OR email NOT LIKE '%@%')");
+    }
+    if (query.doNotContact === true) {
+      conditions.push('do_not_contact = 1');
+    } else if (query.doNotContact === false) {
+      conditions.push('(do_not_contact IS NULL OR do_not_contact != 1)');
+    }
+    if (query.emailStatus === 'none') {
+      conditions.push("(email_status IS NULL OR email_status = '')");
+    } else if (query.emailStatus) {
+      conditions.push('email_status = ?');
+      params.push(query.emailStatus);
+    }
+    for (const { field, bound, value } of query.ranges) {
+      conditions.push(`${field} ${bound === 'from' ? '>=' : '<='} ?`);
+      params.push(value);
+    }
+
+    return { conditions, params };
+  }
+
+  async getAllAgents() {
+    return this.db.prepare('SELECT * FROM agents ORDER BY id').all().map(row => this.fromRow(row));
+  }
+
+  async getAgentsByIds(ids) {
+    return this.selectIn('id', ids);
+  }
+
+  async getAgentsByIdentityKeys(keys) {
+    return this.selectIn('identity_key', keys);
+  }
+
+  async getAgentsByProfileUrls(urls) {
+    return this.selectIn('profile_url', urls);
+  }
+
+  async addAgents(agents) {
+    const createdAt = new Date().toISOString();
+    const insert = this.db.transaction(rows => rows.map(row => {
+      const fields = [...Object.keys(row), 'created_at'];
+      return this.db
+        .prepare(`INSERT INTO agents (${fields.join(', ')}) VALUES (${fields.map(() => '?').join(', ')}) RETURNING *`)
+        .get(...fields.map(field => (field === 'created_at' ? createdAt : row[field])));
+    }));
+
+    return insert(agents.map(agent => this.toRow(agent))).map(row => this.fromRow(row));
+  }
+
+  async restoreAgents(agents) {
+    const insert = this.db.transaction(rows => rows.forEach(row => {
+      const fields = Object.keys(row);
+      this.db
+        .prepare(`INSERT INTO agents (${fields.join(', ')}) VALUES (${fields.map(() => '?').join(', ')})`)
+        .run(...fields.map(field => row[field]));
+    }));
+
+    insert(agents.map(agent => ({ id: agent.id, created_at: agent.created_at, ...this.toRow(agent) })));
+  }
+
+  async updateAgent(id, updates) {
+    await this.updateAgents([id], updates);
+  }
+
+  async updateAgents(ids, updates) {
+    const row = this.toRow(updates);
+    const fields = Object.keys(row);
+    if (fields.length === 0) return;
+
+    const update = this.db.prepare(`UPDATE agents SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`);
+    this.db.transaction(() => {
+      ids.forEach(id => update.run(...fields.map(field => row[field]), id));
+    })();
+  }
+
+  async deleteAgents(ids) {
+    for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+      const batch = ids.slice(i, i + BATCH_SIZE);
+      this.db.prepare(`DELETE FROM agents WHERE id IN (${batch.map(() => '?').join(', ')})`).run(...batch);
+    }
+  }
+
+  async clearAgents() {
+    this.db.prepare('DELETE FROM agents').run();
+    return true;
+  }
+
+  async getState(key) {
+    const row = this.db.prepare('SELECT value FROM app_state WHERE key = ?').get(key);
+    return row ? JSON.parse(row.value) : null;
+  }
+
+  async setState(key, value) {
+    this.db
+      .prepare(`
+        INSERT INTO app_state (key, value, version, updated_at) VALUES (?, ?, 1, ?)
+        ON CONFLICT (key) DO UPDATE SET value = excluded.value, version = app_state.version + 1, updated_at = excluded.updated_at
+      `)
+      .run(key, JSON.stringify(value), new Date().toISOString());
+  }
+
+  async getStateEntry(key) {
+    const row = this.db.prepare('SELECT value, version FROM app_state WHERE key = ?').get(key);
+    return row ? { value: JSON.parse(row.value), version: row.version } : null;
+  }
+
+  async replaceState(key, value, version) {
+    const updatedAt = new Date().toISOString();
+    const { changes } = version === null
+      ? this.db
+        .prepare('INSERT INTO app_state (key, value, version, updated_at) VALUES (?, ?, 1, ?) ON CONFLICT (key) DO NOTHING')
+        .run(key, JSON.stringify(value), updatedAt)
+      : this.db
+        .prepare('UPDATE app_state SET value = ?, version = version + 1, updated_at = ? WHERE key = ? AND version = ?')
+        .run(JSON.stringify(value), updatedAt, key, version);
+    return changes === 1;
+  }
+
+  async close() {
+    this.db.close();
+  }
+}
+
+module.exports = SqliteStorage;
@@ -0,0 +1,259 @@
+const { createClient } = require('@supabase/supabase-js');
+const BaseStorage = require('./baseStorage');
+const config = require('../config/config');
+
+const AGENTS_TABLE = 'agents';
+const STATE_TABLE = 'app_state';
+const PAGE_SIZE = 1000;
+// Ids or keys per request, keeping .in() filters within URL length limits
+const BATCH_SIZE = 500;
+// Postgres error code for a duplicate primary key
+const UNIQUE_VIOLATION = '23505';
+
+// Values inside PostgREST or() filters are quoted so commas and dots are literal
+const quoteValue = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+const escapeLike = (value) => String(value).replace(/[%_\\]/g, '\\$&');
+
+/**
+ * Stores agents in the Supabase agents table and state documents in an
+ * app_state table keyed by name
+ */
+class SupabaseStorage extends BaseStorage {
+  /**
+   * @param {Object} options
+   * @param {string} [options.url] - Supabase project URL
+   * @param {string} [options.key] - Service role key
+   */
+  constructor({ url = config.storage.supabaseUrl, key = config.storage.supabaseKey } = {}) {
+    super();
+    if (!url || !key) {
+      throw new Error('Supabase storage requires SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY');
+    }
+    this.supabase = createClient(url, key);
+  }
+
+  async getAgents(query) {
+    const ascending = query.order !== 'desc';
+    let request = this.applyFilters(this.supabase.from(AGENTS_TABLE).select('*', { count: 'exact' }), query);
+
+    if (query.cursor) {
+      const operator = ascending ? 'gt' : 'lt';
+      const { value, id } = query.cursor;
+      request = value === null
+        ? request.is(query.sort, null).filter('id', operator, id)
+        : request.or([
+          `${query.sort}.${operator}.${quoteValue(value)}`,
+          `and(${query.sort}.eq.${quoteValue(value)},id.${operator}.${id})`,
+          `${query.sort}.is.null`
+        ].join(','));
+    }
+
+    const offset = query.cursor ? 0 : query.offset;
+    const { data, error, count } = await request
+      .order(query.sort, { ascending, nullsFirst: false })
+      .order('id', { ascending })
+      .range(offset, offset + query.limit - 1);
+    if (error) throw error;
+
+    // With a cursor the count above only covers rows after it
+    if (!query.cursor) {
+      return { agents: data, total: count };
+    }
+    const { error: countError, count: total } = await this.applyFilters(
+      this.supabase.from(AGENTS_TABLE).select('id', { count: 'exact', head: true }),
+      query
+    );
+    if (countError) throw countError;
+    return { agents: data, total };
+  }
+
+  /**
+   * Add a query's filters to a Supabase request
+   */
+  applyFilters(request, query) {
+    for (const term of query.search) {
+      request = request.or(`name.ilike.${quoteValue(`*${term}*`)},company.ilike.${quoteValue(`*${term}*`)}`);
+    }
+    if (query.states) {
+      request = request.or(query.states.map(state => `state.ilike.${quoteValue(escapeLike(state))}`).join(','));
+    }
+    if (query.city) {
+      request = request.ilike('city', escapeLike(query.city));
+    }
+    if (query.source) {
+      request = request.filter('sources', 'cs', JSON.stringify([query.source]));
+    }
+    if (query.specialty) {
+      request = request.filter('specialties', 'cs', JSON.stringify([query.specialty]));
+    }
+    if (query.hasEmail === true) {
+      request = request.ilike('email', '%@%');
+    } else if (query.hasEmail === false) {
+      request = request.or('email.is.null,email.not.ilike.*@*');
+    }
+    if (query.doNotContact === true) {
+      request = request.is('do_not_contact', true);
+    } else if (query.doNotContact === false) {
+      request = request.or('do_not_contact.is.null,do_not_contact.is.false');
+    }
+    if (query.emailStatus === 'none') {
+      request = request.or('email_status.is.null,email_status.eq.""');
+    } else if (query.emailStatus) {
+      request = request.eq('email_status', query.emailStatus);
+    }
+    for (const { field, bound, value } of query.ranges) {
+      request = bound === 'from' ? request.gte(field, value) : request.lte(field, value);
+    }
+    return request;
+  }
+
+  /**
+   * Read the whole table, a page at a time
+   */
+  async getAllAgents() {
+    const agents = [];
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      const { data, error } = await this.supabase
+        .from(AGENTS_TABLE)
+        .select('*')
+        .order('id', { ascending: true })
+        .range(offset, offset + PAGE_SIZE - 1);
+      if (error) throw error;
+      agents.push(...data);
+      if (data.length < PAGE_SIZE) return agents;
+    }
+  }
+
+  async getAgentsByIds(ids) {
+    if (ids.length === 0) return [];
+    const { data, error } = await this.supabase.from(AGENTS_TABLE).select('*').in('id', ids);
+    if (error) throw error;
+    return data;
+  }
+
+  async getAgentsByIdentityKeys(keys) {
+    const agents = [];
+    for (let i = 0; i < keys.length; i += BATCH_SIZE) {
+      const { data, error } = await this.supabase
+        .from(AGENTS_TABLE)
+        .select('*')
+        .in('identity_key', keys.slice(i, i + BATCH_SIZE));
+      if (error) throw error;
+      agents.push(...data);
+    }
+    return agents;
+  }
+
+  async getAgentsByProfileUrls(urls) {
+    const agents = [];
+    for (let i = 0; i < urls.length; i += BATCH_SIZE) {
+      const { data, error } = await this.supabase
+        .from(AGENTS_TABLE)
+        .select('*')
+        .in('profile_url', urls.slice(i, i + BATCH_SIZE));
+      if (error) throw error;
+      agents.push(...data);
+    }
+    return agents;
+  }
+
+  async addAgents(agents) {
+    const { data, error } = await this.supabase
+      .from(AGENTS_TABLE)
+      .insert(agents.map(agent => this.toAgentRecord(agent)))
+      .select();
+    if (error) throw error;
+    return data;
+  }
+
+  async restoreAgents(agents) {
+    for (let i = 0; i < agents.length; i += BATCH_SIZE) {
+      const { error } = await this.supabase
+        .from(AGENTS_TABLE)
+        .insert(agents.slice(i, i + BATCH_SIZE).map(agent => ({
+          id: agent.id,
+          created_at: agent.created_at,
+          ...this.toAgentRecord(agent)
+        })));
+      if (error) throw error;
+    }
+  }
+
+  async updateAgent(id, updates) {
+    const record = this.toAgentRecord(updates);
+    if (Object.keys(record).length === 0) return;
+    const { error } = await this.supabase.from(AGENTS_TABLE).update(record).eq('id', id);
+    if (error) throw error;
+  }
+
+  async updateAgents(ids, updates) {
+    const record = this.toAgentRecord(updates);
+    if (Object.keys(record).length === 0) return;
+    for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+      const { error } = await this.supabase
+        .from(AGENTS_TABLE)
+        .update(record)
+        .in('id', ids.slice(i, i + BATCH_SIZE));
+      if (error) throw error;
+    }
+  }
+
+  async deleteAgents(ids) {
+    for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+      const { error } = await this.supabase
+        .from(AGENTS_TABLE)
+        .delete()
+        .in('id', ids.slice(i, i + BATCH_SIZE));
+      if (error) throw error;
+    }
+  }
+
+  async clearAgents() {
+    const { error } = await this.supabase.from(AGENTS_TABLE).delete().neq('id', 0);
+    if (error) throw error;
+    return true;
+  }
+
+  async getState(key) {
+    const { data, error } = await this.supabase.from(STATE_TABLE).select('value').eq('key', key).maybeSingle();
+    if (error) throw error;
+    return data ? data.value : null;
+  }
+
+  /**
+   * An upsert cannot increment the version, so a save goes through
+   * updateState like any other change
+   */
+  async setState(key, value) {
+    await this.updateState(key, () => value);
+  }
+
+  async getStateEntry(key) {
+    const { data, error } = await this.supabase.from(STATE_TABLE).select('value, version').eq('key', key).maybeSingle();
+    if (error) throw error;
+    return data ? { value: data.value, version: data.version } : null;
+  }
+
+  async replaceState(key, value, version) {
+    const updatedAt = new Date().toISOString();
+    if (version === null) {
+      const { error } = await this.supabase.from(STATE_TABLE).insert({ key, value, version: 1, updated_at: updatedAt });
+      // Another writer created the key first
+      if (error?.code === UNIQUE_VIOLATION) return false;
+      if (error) throw error;
+      return true;
+    }
+
+    const { data, error } = await this.supabase
+      .from(STATE_TABLE)
+      .update({ value, version: version + 1, updated_at: updatedAt })
+      .eq('key', key)
+      .eq('version', version)
+      .select('key');
+    if (error) throw error;
+    return data.length === 1;
+  }
+}
+
+module.exports = SupabaseStorage;
@@ -0,0 +1,123 @@
+/**
+ * Parsers for the agent detail fields scraped from cards and profile pages,
+ * where values arrive as display text such as "12 years" or "$4.5M"
+ */
+
+// Social networks recognized in profile links, by domain
+const SOCIAL_NETWORKS = {
+  'facebook.com': 'facebook',
+  'linkedin.com': 'linkedin',
+  'instagram.com': 'instagram',
+  'twitter.com': 'twitter',
+  'x.com': 'twitter',
+  'youtube.com': 'youtube',
+  'tiktok.com': 'tiktok'
+};
+
+const MONEY_UNITS = { k: 1e3, thousand: 1e3, m: 1e6, mm: 1e6, million: 1e6, b: 1e9, billion: 1e9 };
+
+/**
+ * US numbers as "(512) 555-0100"; anything else is kept as written
+ */
+const formatPhone = (value) => {
+  const text = String(value ?? '').replace(/^tel:/i, '').trim();
+  const digits = text.replace(/\D/g, '');
+  const national = digits.length === 11 && digits.startsWith('1') ? digits.slice(1) : digits;
+  if (national.length !== 10) return text;
+  return `(${national.slice(0, 3)}) ${national.slice(3, 6)}-${national.slice(6)}`;
+};
+
+/**
+ * First whole number in text such as "15+ years" or "Since 2009: 15 yrs"
+ * preferring one followed by "year"
+ */
+const parseYears = (value) => {
+  if (typeof value === 'number') return Number.isInteger(value) && value >= 0 ? value : null;
+  const text = String(value ?? '');
+  const match = text.match(/(\d+)\s*\+?\s*(?:years?|yrs?)/i) || text.match(/\d+/);
+  if (!match) return null;
+  const years = parseInt(match[1] || match[0]);
+  // A four-digit number is a year licensed, not a count
+  return years < 100 ? years : null;
+};
+
+/**
+ * Dollar amount in text such as "$12.5M", "1.2 billion" or "$850,000"
+ */
+const parseMoney = (value) => {
+  if (typeof value === 'number') return value >= 0 ? value : null;
+  const match = String(value ?? '').replace(/,/g, '').match(/(\d+(?:\.\d+)?)\s*(thousand|million|billion|mm|k|m|b)?\b/i);
+  if (!match) return null;
+  const unit = match[2] ? MONEY_UNITS[match[2].toLowerCase()] : 1;
+  return Math.round(parseFloat(match[1]) * unit);
+};
+
+/**
+ * Lowercased, de-duplicated entries from a list or text separated by
+ * commas, semicolons, bullets or line breaks
+ */
+const parseList = (value) => {
+  const entries = Array.isArray(value) ? value : String(value ?? '').split(/[,;\n|•]+/);
+  return Array.from(new Set(entries
+    .map(entry => String(entry).trim().toLowerCase())
+    .filter(Boolean)));
+};
+
+const getSocialNetwork = (url) => {
+  try {
+    const host = new URL(url).hostname.replace(/^www\./, '');
+    const domain = Object.keys(SOCIAL_NETWORKS).find(entry => host === entry || host.endsWith(`.${entry}`));
+    return domain ? SOCIAL_NETWORKS[domain] : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Social profile URLs keyed by network, from an object of them or from text
+ * holding URLs. Links to other sites are dropped.
+ */
+const parseSocialLinks = (value) => {
+  const urls = value && typeof value === 'object' && !Array.isArray(value)
+    ? Object.values(value)
+    : [].concat(value ?? []).join('\n').match(/https?:\/\/[^\s"'<>]+/gi) || [];
+
+  return urls.reduce((links, url) => {
+    const network = getSocialNetwork(String(url).trim());
+    if (network && !links[network]) links[network] = String(url).trim();
+    return links;
+  }, {});
+};
+
+/**
+ * Clean the detail fields present on a scraped or imported agent. Fields
+ * that are missing or hold nothing usable are left out.
+ */
+const cleanAgentDetails = (agent) => {
+  const details = {
+    phone: agent.phone ? formatPhone(agent.phone) : '',
+    license_number: String(agent.license_number ?? '').replace(/^(license|lic\.?)\s*(#|no\.?|number)?\s*:?\s*/i, '').trim(),
+    brokerage_address: String(agent.brokerage_address ?? '').replace(/\s+/g, ' ').trim(),
+    website: String(agent.website ?? '').trim(),
+    social_links: parseSocialLinks(agent.social_links),
+    years_experience: parseYears(agent.years_experience),
+    sales_volume: parseMoney(agent.sales_volume),
+    specialties: parseList(agent.specialties)
+  };
+
+  return Object.entries(details).reduce((cleaned, [field, value]) => {
+    const empty = value === null || value === '' ||
+      (Array.isArray(value) ? value.length === 0 : typeof value === 'object' && Object.keys(value).length === 0);
+    if (!empty) cleaned[field] = value;
+    return cleaned;
+  }, {});
+};
+
+module.exports = {
+  formatPhone,
+  parseYears,
+  parseMoney,
+  parseList,
+  parseSocialLinks,
+  cleanAgentDetails
+};
@@ -0,0 +1,200 @@
+const { US_STATES, getStateCode } = require('./locationUtils');
+
+// Fields agents can be sorted on; id breaks ties and makes cursors stable
+const SORT_FIELDS = [
+  'id', 'name', 'company', 'city', 'state', 'years_experience', 'sales_volume',
+  'created_at', 'first_seen_at', 'last_seen_at'
+];
+const EMAIL_STATUSES = ['sent', 'failed', 'replied', 'none'];
+const MAX_LIMIT = 1000;
+const DEFAULT_LIMIT = 100;
+
+// Date range parameters and the column each one bounds
+const DATE_RANGES = {
+  createdFrom: ['created_at', 'from'],
+  createdTo: ['created_at', 'to'],
+  lastSeenFrom: ['last_seen_at', 'from'],
+  lastSeenTo: ['last_seen_at', 'to']
+};
+
+const parseBoolean = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  return undefined;
+};
+
+/**
+ * Opaque cursor pointing just past an agent in a sort order
+ */
+const encodeCursor = (agent, sort) => Buffer
+  .from(JSON.stringify({ value: agent[sort] ?? null, id: agent.id }))
+  .toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!decoded || decoded.id === undefined || !('value' in decoded)) return null;
+    return decoded;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Search terms every agent must match in its name or company. Characters
+ * with meaning in LIKE patterns or PostgREST filters are dropped.
+ */
+const parseSearchTerms = (value) => String(value || '')
+  .toLowerCase()
+  .split(/\s+/)
+  .map(term => term.replace(/[^\p{L}\p{N}@.'&-]/gu, ''))
+  .filter(Boolean);
+
+/**
+ * Validate and normalize agent query parameters, as sent to GET /api/agents
+ * or passed by services. withEmails is accepted as an alias of hasEmail.
+ * @returns {{ query: Object|null, error: string|null }}
+ */
+const parseAgentQuery = (params = {}) => {
+  const query = {
+    search: parseSearchTerms(params.q),
+    states: null,
+    city: params.city ? String(params.city).trim().toLowerCase() : null,
+    source: params.source ? String(params.source).trim() : null,
+    specialty: params.specialty ? String(params.specialty).trim().toLowerCase() : null,
+    hasEmail: parseBoolean(params.hasEmail ?? params.withEmails),
+    doNotContact: parseBoolean(params.doNotContact),
+    emailStatus: params.emailStatus || null,
+    ranges: [],
+    sort: params.sort || 'id',
+    order: params.order || 'asc',
+    limit: params.limit === undefined || params.limit === '' ? DEFAULT_LIMIT : parseInt(params.limit),
+    offset: params.offset === undefined || params.offset === '' ? 0 : parseInt(params.offset),
+    cursor: null
+  };
+
+  if (params.state) {
+    // Match agents stored with either the state code or the full name
+    const code = getStateCode(String(params.state));
+    query.states = code ? [code.toLowerCase(), US_STATES[code].toLowerCase()] : [String(params.state).trim().toLowerCase()];
+  }
+
+  if (query.hasEmail === undefined) {
+    return { query: null, error: 'hasEmail must be true or false' };
+  }
+  if (query.doNotContact === undefined) {
+    return { query: null, error: 'doNotContact must be true or false' };
+  }
+  if (query.emailStatus && !EMAIL_STATUSES.includes(query.emailStatus)) {
+    return { query: null, error: `emailStatus must be one of: ${EMAIL_STATUSES.join(', ')}` };
+  }
+  if (!SORT_FIELDS.includes(query.sort)) {
+    return { query: null, error: `sort must be one of: ${SORT_FIELDS.join(', ')}` };
+  }
+  if (!['asc', 'desc'].includes(query.order)) {
+    return { query: null, error: 'order must be asc or desc' };
+  }
+  if (isNaN(query.limit) || query.limit < 1 || query.limit > MAX_LIMIT) {
+    return { query: null, error: `limit must be between 1 and ${MAX_LIMIT}` };
+  }
+  if (isNaN(query.offset) || query.offset < 0) {
+    return { query: null, error: 'offset must be a non-negative number' };
+  }
+
+  for (const [param, [field, bound]] of Object.entries(DATE_RANGES)) {
+    if (!params[param]) continue;
+    const date = new Date(params[param]);
+    if (isNaN(date.getTime())) {
+      return { query: null, error: `${param} must be a date` };
+    }
+    query.ranges.push({ field, bound, value: date.toISOString() });
+  }
+
+  if (params.cursor) {
+    query.cursor = decodeCursor(params.cursor);
+    if (!query.cursor) {
+      return { query: null, error: 'cursor is invalid' };
+    }
+    if (query.offset > 0) {
+      return { query: null, error: 'Use either cursor or offset, not both' };
+    }
+  }
+
+  return { query, error: null };
+};
+
+const isMissing = (value) => value === null || value === undefined;
+
+/**
+ * Whether an agent matches a parsed query's filters (the cursor is not applied)
+ */
+const matchesAgentQuery = (agent, query) => {
+  const lower = (value) => String(value ?? '').toLowerCase();
+
+  if (query.search.length > 0) {
+    const text = `${lower(agent.name)} ${lower(agent.company)}`;
+    if (!query.search.every(term => text.includes(term))) return false;
+  }
+  if (query.states && !query.states.includes(lower(agent.state).trim())) return false;
+  if (query.city && lower(agent.city).trim() !== query.city) return false;
+  if (query.source && !(agent.sources || []).includes(query.source)) return false;
+  if (query.specialty && !(agent.specialties || []).includes(query.specialty)) return false;
+
+  if (query.hasEmail !== null) {
+    const hasEmail = lower(agent.email).includes('@');
+    if (hasEmail !== query.hasEmail) return false;
+  }
+  if (query.doNotContact !== null && Boolean(agent.do_not_contact) !== query.doNotContact) return false;
+  if (query.emailStatus) {
+    const status = agent.email_status || 'none';
+    if (status !== query.emailStatus) return false;
+  }
+
+  for (const { field, bound, value } of query.ranges) {
+    if (isMissing(agent[field]) || agent[field] === '') return false;
+    const time = new Date(agent[field]).toISOString();
+    if (bound === 'from' ? time < value : time > value) return false;
+  }
+
+  return true;
+};
+
+/**
+ * Whether a parsed query narrows the agents at all, ignoring sort and paging
+ */
+const hasFilters = (query) => query.search.length > 0 ||
+  query.states !== null ||
+  query.city !== null ||
+  query.source !== null ||
+  query.specialty !== null ||
+  query.hasEmail !== null ||
+  query.doNotContact !== null ||
+  query.emailStatus !== null ||
+  query.ranges.length > 0;
+
+/**
+ * Compare two agents in a query's sort order: missing values last in either
+ * direction, then by id, as the SQL backends order them
+ */
+const compareAgents = (a, b, { sort, order }) => {
+  const direction = order === 'desc' ? -1 : 1;
+  const valueA = a[sort];
+  const valueB = b[sort];
+
+  if (isMissing(valueA) !== isMissing(valueB)) return isMissing(valueA) ? 1 : -1;
+  if (!isMissing(valueA) && valueA !== valueB) {
+    if (typeof valueA === 'number' && typeof valueB === 'number') return (valueA - valueB) * direction;
+    return (String(valueA) < String(valueB) ? -1 : 1) * direction;
+  }
+  return (Number(a.id) - Number(b.id)) * direction;
+};
+
+module.exports = {
+  SORT_FIELDS,
+  parseAgentQuery,
+  matchesAgentQuery,
+  hasFilters,
+  compareAgents,
+  encodeCursor
+};
@@ -0,0 +1,140 @@
+const { isValidEmail } = require('./emailUtils');
+const { isEmpty } = require('./dedupeUtils');
+const { formatPhone, parseList, parseSocialLinks } = require('./agentFieldUtils');
+
+/**
+ * Agent fields that can be edited through the API and the type each takes.
+ * Everything else on a record is kept by ingestion, merging or the email
+ * service. Identity fields change which agent a record is, so they can only
+ * be edited one agent at a time.
+ */
+const EDITABLE_FIELDS = {
+  name: { type: 'string', required: true },
+  email: { type: 'email', identity: true },
+  company: { type: 'string' },
+  city: { type: 'string' },
+  state: { type: 'string' },
+  profile_url: { type: 'url', identity: true },
+  do_not_contact: { type: 'boolean' },
+  phone: { type: 'phone' },
+  license_number: { type: 'string' },
+  brokerage_address: { type: 'string' },
+  website: { type: 'url' },
+  social_links: { type: 'links' },
+  years_experience: { type: 'integer' },
+  sales_volume: { type: 'number' },
+  specialties: { type: 'list' }
+};
+
+const MAX_LENGTH = 500;
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Check a field's value against its type
+ * @returns {string|null} The problem with the value, or null when it is valid
+ */
+const validateField = (field, value) => {
+  const { type, required } = EDITABLE_FIELDS[field];
+
+  if (type === 'boolean') {
+    return typeof value === 'boolean' ? null : `${field} must be true or false`;
+  }
+  if (isEmpty(value)) {
+    return required ? `${field} cannot be empty` : null;
+  }
+  if (type === 'integer') {
+    return Number.isInteger(value) && value >= 0 ? null : `${field} must be a whole number of at least 0`;
+  }
+  if (type === 'number') {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0 ? null : `${field} must be a number of at least 0`;
+  }
+  if (type === 'list') {
+    return Array.isArray(value) && value.every(entry => typeof entry === 'string' && entry.length <= MAX_LENGTH)
+      ? null
+      : `${field} must be a list of strings`;
+  }
+  if (type === 'links') {
+    if (typeof value !== 'object' || Array.isArray(value)) return `${field} must be an object of network names to URLs`;
+    const urls = Object.values(value);
+    if (urls.some(url => typeof url !== 'string' || !isHttpUrl(url.trim()))) return `${field} values must be http or https URLs`;
+    return Object.keys(parseSocialLinks(value)).length === urls.length
+      ? null
+      : `${field} must link to Facebook, LinkedIn, Instagram, Twitter, YouTube or TikTok profiles, one per network`;
+  }
+  if (typeof value !== 'string') return `${field} must be a string`;
+  if (type === 'phone' && value.replace(/\D/g, '').length < 7) return `${field} must be a phone number`;
+  if (value.length > MAX_LENGTH) return `${field} must be at most ${MAX_LENGTH} characters`;
+  if (type === 'email' && !isValidEmail(value)) return `${field} must be a valid email address`;
+  if (type === 'url' && !isHttpUrl(value.trim())) return `${field} must be an http or https URL`;
+  return null;
+};
+
+/**
+ * Validate and normalize updates to one or many agents. Strings are trimmed,
+ * phones formatted, specialties lowercased and emptied optional fields
+ * become null.
+ * @param {Object} updates - Field values keyed by field name
+ * @param {Object} [options]
+ * @param {boolean} [options.bulk] - Reject identity fields, which cannot be shared by several agents
+ * @returns {{ updates: Object|null, error: string|null }}
+ */
+const validateAgentUpdates = (updates, { bulk = false } = {}) => {
+  if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
+    return { updates: null, error: 'updates must be an object' };
+  }
+
+  const fields = Object.keys(updates);
+  if (fields.length === 0) {
+    return { updates: null, error: 'No fields to update' };
+  }
+
+  const unknown = fields.filter(field => !EDITABLE_FIELDS[field]);
+  if (unknown.length > 0) {
+    return {
+      updates: null,
+      error: `Unknown or read-only field(s): ${unknown.join(', ')}. Editable fields: ${Object.keys(EDITABLE_FIELDS).join(', ')}`
+    };
+  }
+
+  if (bulk) {
+    const identity = fields.filter(field => EDITABLE_FIELDS[field].identity);
+    if (identity.length > 0) {
+      return { updates: null, error: `${identity.join(', ')} can only be changed one agent at a time` };
+    }
+  }
+
+  const normalized = {};
+  for (const field of fields) {
+    const error = validateField(field, updates[field]);
+    if (error) return { updates: null, error };
+
+    const { type } = EDITABLE_FIELDS[field];
+    const value = updates[field];
+    if (isEmpty(value)) {
+      normalized[field] = type === 'boolean' ? value : null;
+    } else if (type === 'phone') {
+      normalized[field] = formatPhone(value);
+    } else if (type === 'list') {
+      normalized[field] = parseList(value);
+    } else if (type === 'links') {
+      normalized[field] = parseSocialLinks(value);
+    } else {
+      normalized[field] = typeof value === 'string' ? value.trim() : value;
+    }
+  }
+
+  return { updates: normalized, error: null };
+};
+
+module.exports = {
+  EDITABLE_FIELDS,
+  isHttpUrl,
+  validateAgentUpdates
+};
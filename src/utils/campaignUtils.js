@@ -0,0 +1,159 @@
+const { parseAgentQuery } = require('./agentQueryUtils');
+const { isValidEmail } = require('./emailUtils');
+
+/**
+ * Agent search parameters a campaign audience can filter on. Agents without
+ * an email or marked do-not-contact are never in an audience, and the
+ * paging and sort parameters do not apply.
+ */
+const AUDIENCE_PARAMS = [
+  'q', 'state', 'city', 'source', 'specialty', 'emailStatus',
+  'createdFrom', 'createdTo', 'lastSeenFrom', 'lastSeenTo'
+];
+
+const CAMPAIGN_FIELDS = ['name', 'description', 'audience', 'templateId', 'sender', 'dailyCap', 'followUps'];
+const MAX_FOLLOW_UPS = 5;
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * @returns {{ audience: Object|null, error: string|null }}
+ */
+const validateAudience = (audience) => {
+  if (!isObject(audience)) return { audience: null, error: 'audience must be an object of agent search parameters' };
+
+  const unknown = Object.keys(audience).filter(param => !AUDIENCE_PARAMS.includes(param));
+  if (unknown.length > 0) {
+    return { audience: null, error: `audience: unknown parameter(s) ${unknown.join(', ')}. Parameters: ${AUDIENCE_PARAMS.join(', ')}` };
+  }
+
+  const { error } = parseAgentQuery(audience);
+  if (error) return { audience: null, error: `audience: ${error}` };
+
+  // Keep the parameters as given, so the audience reads like a search URL
+  const cleaned = Object.entries(audience).reduce((params, [param, value]) => {
+    if (value !== null && value !== '') params[param] = value;
+    return params;
+  }, {});
+  return { audience: cleaned, error: null };
+};
+
+/**
+ * @returns {{ sender: Object|null, error: string|null }} null for the configured sender
+ */
+const validateSender = (sender) => {
+  if (sender === null) return { sender: null, error: null };
+  if (!isObject(sender)) return { sender: null, error: 'sender must be an object with name, email and replyTo' };
+
+  const unknown = Object.keys(sender).filter(key => !['name', 'email', 'replyTo'].includes(key));
+  if (unknown.length > 0) return { sender: null, error: `sender: unknown field(s) ${unknown.join(', ')}` };
+
+  const cleaned = {};
+  for (const [key, value] of Object.entries(sender)) {
+    if (value === null || value === '') continue;
+    if (typeof value !== 'string') return { sender: null, error: `sender.${key} must be a string` };
+    if (key !== 'name' && !isValidEmail(value)) return { sender: null, error: `sender.${key} must be a valid email address` };
+    cleaned[key] = value.trim();
+  }
+  return { sender: Object.keys(cleaned).length > 0 ? cleaned : null, error: null };
+};
+
+/**
+ * @returns {{ followUps: Object[]|null, error: string|null }}
+ */
+const validateFollowUps = (followUps) => {
+  if (!Array.isArray(followUps)) return { followUps: null, error: 'followUps must be a list of { templateId, afterBusinessDays }' };
+  if (followUps.length > MAX_FOLLOW_UPS) return { followUps: null, error: `A campaign can have at most ${MAX_FOLLOW_UPS} follow-ups` };
+
+  const cleaned = [];
+  for (const [index, followUp] of followUps.entries()) {
+    if (!isObject(followUp)) return { followUps: null, error: `followUps[${index}] must be an object` };
+    const { templateId, afterBusinessDays } = followUp;
+    if (typeof templateId !== 'string' || templateId === '') {
+      return { followUps: null, error: `followUps[${index}].templateId is required` };
+    }
+    if (!Number.isInteger(afterBusinessDays) || afterBusinessDays < 1 || afterBusinessDays > 60) {
+      return { followUps: null, error: `followUps[${index}].afterBusinessDays must be a whole number from 1 to 60` };
+    }
+    cleaned.push({ templateId, afterBusinessDays });
+  }
+  return { followUps: cleaned, error: null };
+};
+
+/**
+ * A date a number of business days after another, skipping Saturdays and
+ * Sundays. The time of day is kept.
+ */
+const addBusinessDays = (date, days) => {
+  const result = new Date(date);
+  let remaining = days;
+  while (remaining > 0) {
+    result.setDate(result.getDate() + 1);
+    if (result.getDay() !== 0 && result.getDay() !== 6) remaining--;
+  }
+  return result;
+};
+
+/**
+ * Validate a campaign created or edited through the API. Whether the
+ * templates exist is checked by the caller.
+ * @param {Object} input
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - Only validate the keys present, for edits
+ * @returns {{ campaign: Object|null, error: string|null }}
+ */
+const validateCampaignInput = (input, { partial = false } = {}) => {
+  if (!isObject(input)) return { campaign: null, error: 'Body must be a JSON object' };
+
+  const unknown = Object.keys(input).filter(key => !CAMPAIGN_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    return { campaign: null, error: `Unknown field(s): ${unknown.join(', ')}. Fields: ${CAMPAIGN_FIELDS.join(', ')}` };
+  }
+
+  const campaign = {};
+  if (!partial || input.name !== undefined) {
+    if (typeof input.name !== 'string' || input.name.trim() === '') return { campaign: null, error: 'name is required' };
+    campaign.name = input.name.trim();
+  }
+  if (input.description !== undefined) {
+    if (input.description !== null && typeof input.description !== 'string') {
+      return { campaign: null, error: 'description must be a string' };
+    }
+    campaign.description = input.description?.trim() || null;
+  }
+  if (!partial || input.audience !== undefined) {
+    const { audience, error } = validateAudience(input.audience ?? {});
+    if (error) return { campaign: null, error };
+    campaign.audience = audience;
+  }
+  if (input.templateId !== undefined) {
+    if (input.templateId !== null && (typeof input.templateId !== 'string' || input.templateId === '')) {
+      return { campaign: null, error: 'templateId must be a template id, or null for the default template' };
+    }
+    campaign.templateId = input.templateId;
+  }
+  if (input.sender !== undefined) {
+    const { sender, error } = validateSender(input.sender);
+    if (error) return { campaign: null, error };
+    campaign.sender = sender;
+  }
+  if (input.dailyCap !== undefined) {
+    if (input.dailyCap !== null && (!Number.isInteger(input.dailyCap) || input.dailyCap < 1)) {
+      return { campaign: null, error: 'dailyCap must be a whole number of at least 1, or null for no cap' };
+    }
+    campaign.dailyCap = input.dailyCap;
+  }
+  if (input.followUps !== undefined) {
+    const { followUps, error } = validateFollowUps(input.followUps ?? []);
+    if (error) return { campaign: null, error };
+    campaign.followUps = followUps;
+  }
+
+  return { campaign, error: null };
+};
+
+module.exports = {
+  AUDIENCE_PARAMS,
+  addBusinessDays,
+  validateCampaignInput
+};
@@ -0,0 +1,190 @@
+const { getStateCode } = require('./locationUtils');
+
+// Columns that identify a stored row rather than describe the agent
+const RECORD_FIELDS = ['id', 'created_at'];
+
+// Ingestion history, combined across records instead of filled in
+const HISTORY_FIELDS = ['sources', 'first_seen_at', 'last_seen_at'];
+
+const normalizeText = (value) => String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Lowercased, trimmed email, or '' when there is none
+ */
+const normalizeEmail = (email) => normalizeText(email);
+
+/**
+ * Key matching agents on name, city, state and company, or null when the
+ * name is missing or there is neither a city nor a company (a name alone,
+ * or a name and state, would match unrelated agents)
+ */
+const getProfileKey = (agent) => {
+  const name = normalizeText(agent.name);
+  if (!name || (!normalizeText(agent.city) && !normalizeText(agent.company))) return null;
+  const state = getStateCode(agent.state) || normalizeText(agent.state);
+  return [name, normalizeText(agent.city), state, normalizeText(agent.company)].join('|');
+};
+
+const isEmpty = (value) => {
+  if (value === null || value === undefined) return true;
+  if (Array.isArray(value)) return value.length === 0;
+  if (typeof value === 'object') return Object.keys(value).length === 0;
+  return String(value).trim() === '';
+};
+
+/**
+ * Group agents that are the same person: matching normalized email first,
+ * then matching name + city + state + company. Matches chain, so a record
+ * sharing an email with one agent and a profile with another joins both.
+ * A profile match never joins records with different emails, even through
+ * a chain; those pairs are returned for review instead.
+ * @returns {{ groups: Array<{ agents: Object[], matchedOn: string[] }>, reviewPairs: Object[] }} Groups with more than one agent
+ */
+const findDuplicateGroups = (agents) => {
+  const parent = agents.map((agent, index) => index);
+  const matchedOn = agents.map(() => new Set());
+  // A member of each group that has an email, or -1; a group only ever holds one email
+  const emailMember = agents.map((agent, index) => (normalizeEmail(agent.email) ? index : -1));
+  const conflicts = [];
+
+  const find = (index) => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+
+  const union = (a, b, reason) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA !== rootB) {
+      const memberA = emailMember[rootA];
+      const memberB = emailMember[rootB];
+      if (memberA !== -1 && memberB !== -1 &&
+        normalizeEmail(agents[memberA].email) !== normalizeEmail(agents[memberB].email)) {
+        conflicts.push([memberA, memberB]);
+        return;
+      }
+      parent[rootB] = rootA;
+      if (memberA === -1) emailMember[rootA] = memberB;
+      matchedOn[rootB].forEach(value => matchedOn[rootA].add(value));
+    }
+    matchedOn[rootA].add(reason);
+  };
+
+  const byEmail = new Map();
+  const byProfile = new Map();
+
+  agents.forEach((agent, index) => {
+    const email = normalizeEmail(agent.email);
+    if (email) {
+      if (byEmail.has(email)) union(byEmail.get(email), index, 'email');
+      else byEmail.set(email, index);
+    }
+
+    const profileKey = getProfileKey(agent);
+    if (profileKey) {
+      if (byProfile.has(profileKey)) union(byProfile.get(profileKey), index, 'profile');
+      else byProfile.set(profileKey, index);
+    }
+  });
+
+  const groups = new Map();
+  agents.forEach((agent, index) => {
+    const root = find(index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(agent);
+  });
+
+  const reviewed = new Set();
+  return {
+    groups: Array.from(groups.entries())
+      .filter(([, members]) => members.length > 1)
+      .map(([root, members]) => ({ agents: members, matchedOn: Array.from(matchedOn[root]) })),
+    reviewPairs: conflicts
+      .filter(([a, b]) => {
+        const key = [a, b].sort((x, y) => x - y).join('|');
+        if (reviewed.has(key)) return false;
+        reviewed.add(key);
+        return true;
+      })
+      .map(([a, b]) => ({ a: agents[a], b: agents[b], score: 1, signals: { profile: 1 } }))
+  };
+};
+
+/**
+ * Oldest record first: by created_at, then by id
+ */
+const compareAge = (a, b) => {
+  const createdA = a.created_at ? new Date(a.created_at).getTime() : Infinity;
+  const createdB = b.created_at ? new Date(b.created_at).getTime() : Infinity;
+  if (createdA !== createdB) return createdA - createdB;
+  return Number(a.id) - Number(b.id);
+};
+
+/**
+ * Merge a group of duplicates into its oldest record. Non-empty values win;
+ * when several records have one, the oldest record's value is kept. Sources
+ * are combined and the seen dates widened to cover every record.
+ * @returns {{ kept: Object, removed: Object[], updates: Object }} updates holds only changed fields
+ */
+const mergeAgents = (agents) => {
+  const sorted = [...agents].sort(compareAge);
+  const [kept, ...removed] = sorted;
+  return { kept, removed, updates: { ...getMissingFields(kept, removed), ...mergeHistory(kept, removed) } };
+};
+
+/**
+ * Combined sources and the earliest first_seen_at and latest last_seen_at,
+ * for the fields that differ from the primary record
+ */
+const mergeHistory = (primary, others) => {
+  const updates = {};
+  const records = [primary, ...others];
+
+  const sources = Array.from(new Set(records.flatMap(agent => agent.sources || [])));
+  if (sources.length > (primary.sources || []).length) {
+    updates.sources = sources;
+  }
+
+  const firstSeen = records.map(agent => agent.first_seen_at).filter(Boolean).sort()[0];
+  if (firstSeen && firstSeen !== primary.first_seen_at) {
+    updates.first_seen_at = firstSeen;
+  }
+
+  const lastSeen = records.map(agent => agent.last_seen_at).filter(Boolean).sort().pop();
+  if (lastSeen && lastSeen !== primary.last_seen_at) {
+    updates.last_seen_at = lastSeen;
+  }
+
+  return updates;
+};
+
+/**
+ * Values the other records can fill in where the primary record is empty,
+ * taking the first non-empty value in order
+ */
+const getMissingFields = (primary, others) => {
+  const updates = {};
+
+  for (const agent of others) {
+    for (const [field, value] of Object.entries(agent)) {
+      if (RECORD_FIELDS.includes(field) || HISTORY_FIELDS.includes(field) || isEmpty(value)) continue;
+      if (isEmpty(primary[field]) && isEmpty(updates[field])) {
+        updates[field] = value;
+      }
+    }
+  }
+
+  return updates;
+};
+
+module.exports = {
+  isEmpty,
+  normalizeEmail,
+  getProfileKey,
+  findDuplicateGroups,
+  mergeAgents,
+  getMissingFields
+};
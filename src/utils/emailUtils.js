@@ -1,6 +1,11 @@
 const axios = require('axios');
 const cheerio = require('cheerio');
 const { logError } = require('./logger');
+const { US_STATES } = require('./locationUtils');
+const { cleanAgentDetails } = require('./agentFieldUtils');
+const CrawlPolicyService = require('../services/crawlPolicyService');
+
+let defaultPolicy = null;
 
 // Email validation regex
 const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -66,26 +71,77 @@ const extractEmailsFromHTML = (html) => {
   return Array.from(emails);
 };
 
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+/**
+ * Axios options that present a scraper identity: its user agent and proxy
+ */
+const getRequestOptions = (identity = null) => {
+  const options = {
+    timeout: 10000,
+    headers: {
+      'User-Agent': identity ? identity.profile.userAgent : DEFAULT_USER_AGENT,
+      'Accept-Language': identity && identity.profile.acceptLanguage ? identity.profile.acceptLanguage : 'en-US,en;q=0.9'
+    }
+  };
+
+  if (identity && identity.proxy) {
+    const { protocol, host, port, username, password } = identity.proxy;
+    options.proxy = {
+      protocol,
+      host,
+      port,
+      ...(username ? { auth: { username, password } } : {})
+    };
+  }
+
+  return options;
+};
+
 /**
- * Crawl a website for emails
+ * Fetch a page's HTML, going through fixtures when recording or replaying
  */
-const crawlForEmails = async (url, maxDepth = 2) => {
+const fetchPage = async (url, fixtures = null, identity = null) => {
+  if (fixtures && fixtures.isReplaying()) {
+    const fixture = fixtures.lookup('GET', url);
+    if (!fixture) {
+      throw new Error(`No fixture recorded for ${url}`);
+    }
+    return fixture.body.toString('utf8');
+  }
+
+  const response = await axios.get(url, getRequestOptions(identity));
+
+  if (fixtures && fixtures.isRecording()) {
+    fixtures.record('GET', url, null, {
+      status: response.status,
+      headers: { 'content-type': response.headers['content-type'] || 'text/html' },
+      body: typeof response.data === 'string' ? response.data : JSON.stringify(response.data)
+    });
+  }
+
+  return response.data;
+};
+
+/**
+ * Crawl a website for emails, as the given scraper identity when one is passed.
+ * Pages the crawl policy does not allow are skipped.
+ */
+const crawlForEmails = async (url, maxDepth = 2, { fixtures = null, identity = null, policy = null } = {}) => {
   const emails = new Set();
   const visited = new Set();
+  const crawlPolicy = policy || defaultPolicy || (defaultPolicy = new CrawlPolicyService());
   
   const crawl = async (currentUrl, depth = 0) => {
     if (depth > maxDepth || visited.has(currentUrl)) return;
     visited.add(currentUrl);
     
     try {
-      const response = await axios.get(currentUrl, {
-        timeout: 10000,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-        }
-      });
+      if (!(await crawlPolicy.allow(currentUrl))) return;
+
+      const html = await fetchPage(currentUrl, fixtures, identity);
       
-      const foundEmails = extractEmailsFromHTML(response.data);
+      const foundEmails = extractEmailsFromHTML(html);
       foundEmails.forEach(email => emails.add(email));
       
       // If we found emails, no need to go deeper
@@ -93,7 +149,7 @@ const crawlForEmails = async (url, maxDepth = 2) => {
       
       // Look for contact page links
       if (depth === 0) {
-        const $ = cheerio.load(response.data);
+        const $ = cheerio.load(html);
         const contactLinks = [];
         
         $('a').each((i, el) => {
@@ -126,42 +182,8 @@ const crawlForEmails = async (url, maxDepth = 2) => {
 };
 
 /**
- * Generate email subject with rotation
- */
-const generateSubject = (index = 0) => {
-  const subjects = [
-    'Can I build you a custom AI tool?',
-    'Free AI tool for your real estate business?',
-    'Want a custom AI solution for your agency?',
-    'AI automation for real estate agents',
-    'Custom software for your real estate business?'
-  ];
-  
-  return subjects[index % subjects.length];
-};
-
-/**
- * Generate email body with personalization
- */
-const generateEmailBody = (firstName) => {
-  return `Hey ${firstName},
-
-I run an agency where we build custom AI tools and software for real estate agents.
-
-Give me your biggest problem and I'll build a solution for free.
-
-If you like it, you pay. If you don't, send it back and we figure out how to make it better.
-
-Want to try?
-
-– Nadav
-
----
-Reply STOP to opt out`;
-};
-
-/**
- * Clean and normalize agent data
+ * Clean and normalize agent data. Detail fields such as phone and
+ * specialties are kept only when they hold a value.
  */
 const cleanAgentData = (agent) => {
   return {
@@ -170,7 +192,8 @@ const cleanAgentData = (agent) => {
     city: agent.city?.trim() || '',
     state: agent.state?.trim() || '',
     company: agent.company?.trim() || '',
-    profile_url: agent.profile_url?.trim() || ''
+    profile_url: agent.profile_url?.trim() || '',
+    ...cleanAgentDetails(agent)
   };
 };
 
@@ -178,16 +201,8 @@ const cleanAgentData = (agent) => {
  * Filter US-based agents
  */
 const isUSAgent = (agent) => {
-  const usStates = [
-    'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'FL', 'GA',
-    'HI', 'ID', 'IL', 'IN', 'IA', 'KS', 'KY', 'LA', 'ME', 'MD',
-    'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ',
-    'NM', 'NY', 'NC', 'ND', 'OH', 'OK', 'OR', 'PA', 'RI', 'SC',
-    'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY'
-  ];
-  
   const state = agent.state?.toUpperCase().trim();
-  return usStates.includes(state);
+  return !!state && Object.prototype.hasOwnProperty.call(US_STATES, state);
 };
 
 module.exports = {
@@ -195,8 +210,7 @@ module.exports = {
   getFirstName,
   extractEmailsFromHTML,
   crawlForEmails,
-  generateSubject,
-  generateEmailBody,
+  getRequestOptions,
   cleanAgentData,
   isUSAgent
 }; 
\ No newline at end of file
@@ -0,0 +1,167 @@
+const { cleanAgentData, isValidEmail } = require('./emailUtils');
+const { getStateCode } = require('./locationUtils');
+const { isHttpUrl } = require('./agentSchema');
+
+/**
+ * Agent fields a CSV column can be mapped onto, with the headers each is
+ * recognized by. Headers are compared lowercased with everything but letters
+ * and digits removed, so "E-mail Address" matches "emailaddress". first_name
+ * and last_name are joined into name.
+ */
+const IMPORT_FIELDS = {
+  name: ['name', 'fullname', 'agentname', 'agent', 'realtor', 'realtorname', 'contactname'],
+  first_name: ['firstname', 'first', 'givenname'],
+  last_name: ['lastname', 'last', 'surname', 'familyname'],
+  email: ['email', 'emailaddress', 'mail', 'agentemail', 'contactemail'],
+  company: ['company', 'companyname', 'brokerage', 'broker', 'office', 'officename', 'agency', 'firm'],
+  city: ['city', 'town', 'officecity'],
+  state: ['state', 'st', 'province', 'region', 'officestate'],
+  profile_url: ['profileurl', 'profile', 'profilelink', 'url', 'link', 'listingurl'],
+  phone: ['phone', 'phonenumber', 'telephone', 'mobile', 'cell', 'cellphone', 'officephone'],
+  license_number: ['license', 'licensenumber', 'licenseno', 'licenseid', 'realestatelicense'],
+  brokerage_address: ['brokerageaddress', 'officeaddress', 'address', 'streetaddress'],
+  website: ['website', 'websiteurl', 'web', 'homepage', 'site'],
+  social_links: ['sociallinks', 'social', 'socialmedia'],
+  years_experience: ['yearsexperience', 'experience', 'yearsinbusiness', 'yearslicensed', 'years'],
+  sales_volume: ['salesvolume', 'volume', 'totalsales', 'annualsales'],
+  specialties: ['specialties', 'specialty', 'specializations', 'expertise']
+};
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Suggest which agent field each column holds. Each field is given to the
+ * first column recognized as it; other columns map to null and are ignored.
+ * @param {string[]} columns - CSV headers in file order
+ * @returns {Object} Field or null keyed by column
+ */
+const suggestMapping = (columns) => {
+  const mapping = {};
+  const taken = new Set();
+
+  for (const column of columns) {
+    const header = normalizeHeader(column);
+    const field = Object.keys(IMPORT_FIELDS).find(candidate => !taken.has(candidate) && IMPORT_FIELDS[candidate].includes(header));
+    mapping[column] = field || null;
+    if (field) taken.add(field);
+  }
+
+  return mapping;
+};
+
+/**
+ * Check a mapping chosen for a file's columns
+ * @returns {string|null} The problem with the mapping, or null when it can be used
+ */
+const validateMapping = (mapping, columns) => {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return 'mapping must be an object of column names to agent fields';
+  }
+
+  const unknownColumns = Object.keys(mapping).filter(column => !columns.includes(column));
+  if (unknownColumns.length > 0) {
+    return `Unknown column(s): ${unknownColumns.join(', ')}`;
+  }
+
+  const fields = Object.values(mapping).filter(field => field !== null && field !== '');
+  const unknownFields = fields.filter(field => !IMPORT_FIELDS[field]);
+  if (unknownFields.length > 0) {
+    return `Unknown field(s): ${unknownFields.join(', ')}. Fields: ${Object.keys(IMPORT_FIELDS).join(', ')}`;
+  }
+
+  const repeated = fields.filter((field, index) => fields.indexOf(field) !== index);
+  if (repeated.length > 0) {
+    return `More than one column is mapped to ${Array.from(new Set(repeated)).join(', ')}`;
+  }
+
+  if (!fields.includes('name') && !fields.includes('first_name')) {
+    return 'Map a column to name, or to first_name and last_name';
+  }
+  return null;
+};
+
+// Agent fields a row's values can be corrected on before it is imported
+const FIXABLE_FIELDS = [
+  'name', 'email', 'company', 'city', 'state', 'profile_url',
+  'phone', 'license_number', 'brokerage_address', 'website', 'social_links',
+  'years_experience', 'sales_volume', 'specialties'
+];
+
+/**
+ * Check corrections to rows, keyed by row number
+ * @returns {string|null} The problem with the fixes, or null when they can be applied
+ */
+const validateFixes = (fixes, rowNumbers) => {
+  if (!fixes || typeof fixes !== 'object' || Array.isArray(fixes)) {
+    return 'fixes must be an object of row numbers to field values';
+  }
+
+  for (const [row, values] of Object.entries(fixes)) {
+    if (!rowNumbers.includes(Number(row))) return `fixes: row ${row} is not in the file`;
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      return `fixes: row ${row} must be an object of field values`;
+    }
+    const unknown = Object.keys(values).filter(field => !FIXABLE_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      return `fixes: unknown field(s) ${unknown.join(', ')} in row ${row}. Fields: ${FIXABLE_FIELDS.join(', ')}`;
+    }
+    if (Object.values(values).some(value => value !== null && typeof value !== 'string')) {
+      return `fixes: values in row ${row} must be strings`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Build an agent from a CSV row with a mapping and any corrections for the
+ * row, cleaned with cleanAgentData
+ */
+const applyMapping = (row, mapping, fix = {}) => {
+  const values = {};
+  for (const [column, field] of Object.entries(mapping)) {
+    if (field) values[field] = row[column];
+  }
+  if (!values.name && (values.first_name || values.last_name)) {
+    values.name = [values.first_name, values.last_name].map(part => part?.trim()).filter(Boolean).join(' ');
+  }
+
+  const agent = cleanAgentData({ ...values, ...fix });
+  // Keep states as codes where they are recognized, as the scrapers store them
+  agent.state = getStateCode(agent.state) || agent.state;
+  return agent;
+};
+
+/**
+ * Problems that stop an agent from being imported (errors) and ones worth
+ * knowing about that do not (warnings)
+ */
+const validateImportedAgent = (agent) => {
+  const errors = [];
+  const warnings = [];
+
+  if (!agent.name) errors.push('name is missing');
+  if (agent.email && !isValidEmail(agent.email)) errors.push(`email "${agent.email}" is not a valid address`);
+  if (agent.profile_url && !isHttpUrl(agent.profile_url)) errors.push(`profile_url "${agent.profile_url}" is not an http or https URL`);
+  if (agent.website && !isHttpUrl(agent.website)) errors.push(`website "${agent.website}" is not an http or https URL`);
+
+  if (!agent.email && !agent.profile_url) {
+    warnings.push('No email or profile URL, so a later import cannot match this agent');
+  }
+  if (agent.phone && agent.phone.replace(/\D/g, '').length < 7) {
+    warnings.push(`phone "${agent.phone}" does not look like a phone number`);
+  }
+  if (agent.state && !getStateCode(agent.state)) {
+    warnings.push(`state "${agent.state}" is not a US state`);
+  }
+
+  return { errors, warnings };
+};
+
+module.exports = {
+  IMPORT_FIELDS,
+  suggestMapping,
+  validateMapping,
+  validateFixes,
+  applyMapping,
+  validateImportedAgent
+};
@@ -0,0 +1,136 @@
+/**
+ * US state codes mapped to their names
+ */
+const US_STATES = {
+  AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California',
+  CO: 'Colorado', CT: 'Connecticut', DE: 'Delaware', FL: 'Florida', GA: 'Georgia',
+  HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois', IN: 'Indiana', IA: 'Iowa',
+  KS: 'Kansas', KY: 'Kentucky', LA: 'Louisiana', ME: 'Maine', MD: 'Maryland',
+  MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota', MS: 'Mississippi', MO: 'Missouri',
+  MT: 'Montana', NE: 'Nebraska', NV: 'Nevada', NH: 'New Hampshire', NJ: 'New Jersey',
+  NM: 'New Mexico', NY: 'New York', NC: 'North Carolina', ND: 'North Dakota', OH: 'Ohio',
+  OK: 'Oklahoma', OR: 'Oregon', PA: 'Pennsylvania', RI: 'Rhode Island', SC: 'South Carolina',
+  SD: 'South Dakota', TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont',
+  VA: 'Virginia', WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming'
+};
+
+const ZIP_REGEX = /^\d{5}(-\d{4})?$/;
+const CITY_REGEX = /^([^,]+),\s*([A-Za-z]{2})$/;
+
+/**
+ * Resolve a state code or full state name to its code
+ */
+const getStateCode = (value) => {
+  if (!value || typeof value !== 'string') return null;
+  const input = value.trim();
+  if (US_STATES[input.toUpperCase()]) return input.toUpperCase();
+
+  const code = Object.keys(US_STATES).find(key => US_STATES[key].toLowerCase() === input.toLowerCase());
+  return code || null;
+};
+
+/**
+ * Parse a single location string into a search target.
+ * Accepts "City, ST", a state code or name, or a ZIP code.
+ */
+const parseLocation = (value, type = null) => {
+  if (!value || typeof value !== 'string') return null;
+  const input = value.trim();
+
+  if ((!type || type === 'zip') && ZIP_REGEX.test(input)) {
+    const zip = input.slice(0, 5);
+    return { type: 'zip', query: zip, label: zip, zip };
+  }
+
+  if (!type || type === 'state') {
+    const state = getStateCode(input);
+    if (state) {
+      return { type: 'state', query: US_STATES[state], label: state, state };
+    }
+  }
+
+  if (!type || type === 'city') {
+    const match = input.match(CITY_REGEX);
+    if (match && US_STATES[match[2].toUpperCase()]) {
+      const city = match[1].trim();
+      const state = match[2].toUpperCase();
+      return { type: 'city', query: `${city}, ${state}`, label: `${city}, ${state}`, city, state };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Normalize location input into an ordered list of search targets.
+ * Input is either an array of location strings, a semicolon separated
+ * string, or an object with cities, states and zipCodes arrays.
+ * Duplicates are dropped and invalid entries are reported in errors.
+ */
+const normalizeLocations = (input) => {
+  const locations = [];
+  const errors = [];
+  const seen = new Set();
+
+  let entries = [];
+  if (typeof input === 'string') {
+    entries = input.split(';').map(value => [value, null]);
+  } else if (Array.isArray(input)) {
+    entries = input.map(value => [value, null]);
+  } else if (input && typeof input === 'object') {
+    const groups = [['cities', 'city'], ['states', 'state'], ['zipCodes', 'zip']];
+    for (const [key, type] of groups) {
+      if (input[key] === undefined) continue;
+      if (!Array.isArray(input[key])) {
+        errors.push(`${key} must be an array`);
+        continue;
+      }
+      entries.push(...input[key].map(value => [value, type]));
+    }
+  } else if (input !== undefined && input !== null) {
+    errors.push('locations must be an array, a string or an object of cities, states and zipCodes');
+  }
+
+  for (const [value, type] of entries) {
+    if (typeof value === 'string' && value.trim() === '') continue;
+
+    const location = parseLocation(value, type);
+    if (!location) {
+      errors.push(`Invalid ${type || 'location'}: ${value}`);
+      continue;
+    }
+
+    const key = `${location.type}:${location.label}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    locations.push(location);
+  }
+
+  return { locations, errors };
+};
+
+/**
+ * Check whether an agent falls inside a search target
+ */
+const agentMatchesLocation = (agent, location) => {
+  const state = agent.state?.toUpperCase().trim();
+  switch (location.type) {
+    case 'city':
+      return state === location.state && agent.city?.trim().toLowerCase() === location.city.toLowerCase();
+    case 'state':
+      return state === location.state;
+    case 'zip':
+      // Agent records carry no ZIP code to compare against
+      return false;
+    default:
+      return false;
+  }
+};
+
+module.exports = {
+  US_STATES,
+  getStateCode,
+  parseLocation,
+  normalizeLocations,
+  agentMatchesLocation
+};
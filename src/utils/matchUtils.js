@@ -0,0 +1,469 @@
+const { getStateCode } = require('./locationUtils');
+const { normalizeEmail, getProfileKey } = require('./dedupeUtils');
+
+/**
+ * Formal first names and their common nicknames. A nickname may belong to
+ * several names ("Jon" is short for both John and Jonathan).
+ */
+const NICKNAMES = {
+  alexander: ['alex', 'al', 'xander'],
+  alexandra: ['alex', 'lexi', 'sandra'],
+  andrew: ['andy', 'drew'],
+  anthony: ['tony'],
+  barbara: ['barb', 'barbie'],
+  benjamin: ['ben', 'benny'],
+  catherine: ['cathy', 'kate', 'katie', 'cat'],
+  charles: ['charlie', 'chuck', 'chas'],
+  christina: ['chris', 'tina', 'christy'],
+  christine: ['chris', 'tina', 'christy'],
+  christopher: ['chris', 'topher'],
+  cynthia: ['cindy'],
+  daniel: ['dan', 'danny'],
+  david: ['dave', 'davey'],
+  deborah: ['deb', 'debbie'],
+  donald: ['don', 'donnie'],
+  edward: ['ed', 'eddie', 'ted'],
+  elizabeth: ['liz', 'beth', 'betsy', 'eliza', 'lizzie', 'betty'],
+  gregory: ['greg'],
+  james: ['jim', 'jimmy', 'jamie'],
+  jennifer: ['jen', 'jenny'],
+  jeffrey: ['jeff'],
+  jessica: ['jess', 'jessie'],
+  john: ['jon', 'johnny', 'jack'],
+  jonathan: ['jon', 'jonny', 'nathan'],
+  joseph: ['joe', 'joey'],
+  judith: ['judy'],
+  katherine: ['kathy', 'kate', 'katie', 'kat'],
+  kenneth: ['ken', 'kenny'],
+  kimberly: ['kim'],
+  lawrence: ['larry'],
+  margaret: ['maggie', 'meg', 'peggy'],
+  matthew: ['matt'],
+  michael: ['mike', 'mikey', 'mick'],
+  nicholas: ['nick', 'nicky'],
+  pamela: ['pam'],
+  patricia: ['pat', 'patty', 'trish'],
+  patrick: ['pat', 'paddy'],
+  rebecca: ['becky', 'becca'],
+  richard: ['rick', 'rich', 'ricky', 'dick'],
+  robert: ['rob', 'bob', 'bobby', 'robbie'],
+  ronald: ['ron', 'ronnie'],
+  samantha: ['sam', 'sammy'],
+  samuel: ['sam', 'sammy'],
+  stephen: ['steve'],
+  steven: ['steve'],
+  susan: ['sue', 'susie'],
+  thomas: ['tom', 'tommy'],
+  timothy: ['tim', 'timmy'],
+  victoria: ['vicky', 'tori'],
+  william: ['will', 'bill', 'billy', 'liam']
+};
+
+// Every name a first name can stand for, built from NICKNAMES
+const NAME_VARIANTS = Object.entries(NICKNAMES).reduce((variants, [name, nicknames]) => {
+  [name, ...nicknames].forEach(variant => {
+    if (!variants[variant]) variants[variant] = new Set([variant]);
+    variants[variant].add(name);
+    nicknames.forEach(nickname => variants[variant].add(nickname));
+  });
+  return variants;
+}, {});
+
+/**
+ * Brokerage abbreviations and alternate spellings, mapped to one name
+ */
+const BROKERAGE_ALIASES = {
+  'kw': 'keller williams',
+  'keller williams': 'keller williams',
+  'cb': 'coldwell banker',
+  'coldwell banker': 'coldwell banker',
+  'c21': 'century 21',
+  'century 21': 'century 21',
+  'century twenty one': 'century 21',
+  're max': 'remax',
+  'remax': 'remax',
+  'bhhs': 'berkshire hathaway homeservices',
+  'berkshire hathaway': 'berkshire hathaway homeservices',
+  'berkshire hathaway homeservices': 'berkshire hathaway homeservices',
+  'era': 'era',
+  'exp': 'exp',
+  'compass': 'compass',
+  'sothebys': 'sothebys international',
+  'sothebys international': 'sothebys international',
+  'redfin': 'redfin',
+  'howard hanna': 'howard hanna',
+  'better homes and gardens': 'better homes and gardens',
+  'bhgre': 'better homes and gardens'
+};
+
+// Words that vary between listings of the same brokerage
+const BROKERAGE_STOP_WORDS = [
+  'realty', 'realtors', 'realtor', 'real', 'estate', 'group', 'team', 'inc', 'llc', 'co',
+  'company', 'brokerage', 'brokers', 'homes', 'properties', 'the', 'and', 'of', 'associates'
+];
+
+// Email domains shared by unrelated people, so a matching domain says nothing
+const FREE_EMAIL_DOMAINS = [
+  'gmail.com', 'yahoo.com', 'hotmail.com', 'outlook.com', 'aol.com', 'icloud.com',
+  'me.com', 'msn.com', 'live.com', 'comcast.net', 'att.net', 'protonmail.com'
+];
+
+const NAME_SUFFIXES = ['jr', 'sr', 'ii', 'iii', 'iv', 'mr', 'mrs', 'ms', 'dr'];
+
+// Weight of each signal in the fuzzy score. A signal missing on either side
+// counts as MISSING_SIGNAL_SCORE, so a bare name match lands in review rather
+// than auto-merging.
+const WEIGHTS = {
+  name: 0.5,
+  brokerage: 0.2,
+  phone: 0.15,
+  location: 0.1,
+  emailDomain: 0.05
+};
+const MISSING_SIGNAL_SCORE = 0.5;
+
+// Agents in different states are different people even with the same name
+const DIFFERENT_STATE_MAX_SCORE = 0.6;
+
+// Candidate blocks larger than this are skipped rather than compared pair by pair
+const MAX_BLOCK_SIZE = 200;
+
+const tokenize = (value) => String(value || '')
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/&/g, ' and ')
+  .replace(/[^a-z0-9\s]/g, ' ')
+  .split(/\s+/)
+  .filter(Boolean);
+
+/**
+ * Jaro-Winkler similarity between two strings, from 0 to 1
+ */
+const jaroWinkler = (a, b) => {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const range = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const matchedA = new Array(a.length).fill(false);
+  const matchedB = new Array(b.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    const start = Math.max(0, i - range);
+    const end = Math.min(b.length - 1, i + range);
+    for (let j = start; j <= end; j++) {
+      if (matchedB[j] || a[i] !== b[j]) continue;
+      matchedA[i] = true;
+      matchedB[j] = true;
+      matches++;
+      break;
+    }
+  }
+
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (!matchedA[i]) continue;
+    while (!matchedB[k]) k++;
+    if (a[i] !== b[k]) transpositions++;
+    k++;
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+  let prefix = 0;
+  while (prefix < 4 && a[prefix] && a[prefix] === b[prefix]) prefix++;
+
+  return jaro + prefix * 0.1 * (1 - jaro);
+};
+
+/**
+ * First and last name tokens, without titles and suffixes
+ */
+const parseName = (name) => {
+  const tokens = tokenize(name).filter(token => !NAME_SUFFIXES.includes(token));
+  if (tokens.length === 0) return null;
+  return { first: tokens[0], last: tokens[tokens.length - 1], tokens };
+};
+
+const firstNameSimilarity = (a, b) => {
+  if (a === b) return 1;
+
+  const variants = NAME_VARIANTS[a];
+  if (variants && variants.has(b)) return 1;
+  if (NAME_VARIANTS[b] && NAME_VARIANTS[b].has(a)) return 1;
+
+  // An initial matches any name starting with it
+  if ((a.length === 1 && b.startsWith(a)) || (b.length === 1 && a.startsWith(b))) return 0.8;
+
+  return jaroWinkler(a, b);
+};
+
+/**
+ * Name similarity weighing the last name more than the first, with
+ * nicknames and initials counting as matching first names
+ */
+const nameSimilarity = (nameA, nameB) => {
+  const a = parseName(nameA);
+  const b = parseName(nameB);
+  if (!a || !b) return null;
+
+  if (a.tokens.length === 1 || b.tokens.length === 1) {
+    return jaroWinkler(a.tokens.join(' '), b.tokens.join(' '));
+  }
+
+  const last = jaroWinkler(a.last, b.last);
+  const first = firstNameSimilarity(a.first, b.first);
+
+  // Different last names rule the pair out however close the first names are
+  if (last < 0.85) return last * 0.5;
+
+  return last * 0.6 + first * 0.4;
+};
+
+/**
+ * Brokerage name reduced to its distinctive words, with aliases resolved
+ */
+const normalizeBrokerage = (company) => {
+  const tokens = tokenize(company);
+  const joined = tokens.join(' ');
+  if (BROKERAGE_ALIASES[joined]) return BROKERAGE_ALIASES[joined];
+
+  const core = tokens.filter(token => !BROKERAGE_STOP_WORDS.includes(token)).join(' ');
+  if (BROKERAGE_ALIASES[core]) return BROKERAGE_ALIASES[core];
+
+  // Aliases often lead the name, as in "KW Metro Center"
+  const alias = Object.keys(BROKERAGE_ALIASES)
+    .filter(key => core === key || core.startsWith(`${key} `))
+    .sort((x, y) => y.length - x.length)[0];
+  return alias ? BROKERAGE_ALIASES[alias] : core;
+};
+
+const brokerageSimilarity = (companyA, companyB) => {
+  const a = normalizeBrokerage(companyA);
+  const b = normalizeBrokerage(companyB);
+  if (!a || !b) return null;
+  if (a === b) return 1;
+  if (a.startsWith(b) || b.startsWith(a)) return 0.9;
+  return jaroWinkler(a, b);
+};
+
+/**
+ * Last ten digits of a phone number, or '' when it has fewer
+ */
+const normalizePhone = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length >= 10 ? digits.slice(-10) : '';
+};
+
+/**
+ * Host without www plus path, lowercased and without query or trailing slash
+ */
+const normalizeProfileUrl = (url) => {
+  if (!url) return '';
+  try {
+    const parsed = new URL(url);
+    return `${parsed.hostname.replace(/^www\./, '')}${parsed.pathname.replace(/\/+$/, '')}`.toLowerCase();
+  } catch (error) {
+    return String(url).trim().toLowerCase();
+  }
+};
+
+/**
+ * Stable key an agent is stored under: the normalized email, otherwise the
+ * source and normalized profile URL. Null when the agent has neither.
+ */
+const getIdentityKey = (agent, source) => {
+  const email = normalizeEmail(agent.email);
+  if (email) return `email:${email}`;
+
+  const profileUrl = normalizeProfileUrl(agent.profile_url);
+  if (profileUrl && source) return `profile:${source}|${profileUrl}`;
+
+  return null;
+};
+
+const getEmailDomain = (email) => {
+  const domain = normalizeEmail(email).split('@')[1] || '';
+  return FREE_EMAIL_DOMAINS.includes(domain) ? '' : domain;
+};
+
+const locationSimilarity = (a, b) => {
+  const stateA = getStateCode(a.state) || tokenize(a.state).join(' ');
+  const stateB = getStateCode(b.state) || tokenize(b.state).join(' ');
+  if (!stateA || !stateB) return null;
+  if (stateA !== stateB) return 0;
+
+  const cityA = tokenize(a.city).join(' ');
+  const cityB = tokenize(b.city).join(' ');
+  if (!cityA || !cityB) return 0.7;
+  return cityA === cityB ? 1 : 0.5;
+};
+
+/**
+ * Score how likely two agent records are the same person, from 0 to 1.
+ * A shared email, profile URL or identical name, city, state and company is
+ * decisive; otherwise name, brokerage, phone, location and email domain are
+ * weighed together. Records with different emails are flagged with
+ * emailConflict, and are never merged without review however they score.
+ * @returns {{ score: number, matchedOn: string, signals: Object, emailConflict: boolean }}
+ */
+const scorePair = (a, b) => {
+  const emailA = normalizeEmail(a.email);
+  const emailB = normalizeEmail(b.email);
+  if (emailA && emailA === emailB) {
+    return { score: 1, matchedOn: 'email', signals: { email: 1 }, emailConflict: false };
+  }
+  const emailConflict = Boolean(emailA && emailB);
+
+  const urlA = normalizeProfileUrl(a.profile_url);
+  if (urlA && urlA === normalizeProfileUrl(b.profile_url)) {
+    return { score: 1, matchedOn: 'profileUrl', signals: { profileUrl: 1 }, emailConflict };
+  }
+
+  const profileKey = getProfileKey(a);
+  if (profileKey && profileKey === getProfileKey(b)) {
+    return { score: 1, matchedOn: 'profile', signals: { profile: 1 }, emailConflict };
+  }
+
+  const phoneA = normalizePhone(a.phone);
+  const phoneB = normalizePhone(b.phone);
+  const domainA = getEmailDomain(a.email);
+  const domainB = getEmailDomain(b.email);
+
+  const signals = {
+    name: nameSimilarity(a.name, b.name),
+    brokerage: brokerageSimilarity(a.company, b.company),
+    phone: phoneA && phoneB ? (phoneA === phoneB ? 1 : 0) : null,
+    location: locationSimilarity(a, b),
+    emailDomain: domainA && domainB ? (domainA === domainB ? 1 : 0) : null
+  };
+
+  if (signals.name === null) {
+    return { score: 0, matchedOn: 'fuzzy', signals, emailConflict };
+  }
+
+  let score = Object.entries(WEIGHTS).reduce((total, [signal, weight]) =>
+    total + (signals[signal] === null ? MISSING_SIGNAL_SCORE : signals[signal]) * weight, 0);
+
+  if (signals.location === 0) {
+    score = Math.min(score, DIFFERENT_STATE_MAX_SCORE);
+  }
+
+  return { score: Math.round(score * 1000) / 1000, matchedOn: 'fuzzy', signals, emailConflict };
+};
+
+/**
+ * Keys that put agents worth comparing into the same block, so only pairs
+ * sharing a block are scored
+ */
+const getBlockingKeys = (agent) => {
+  const keys = [];
+  const email = normalizeEmail(agent.email);
+  const phone = normalizePhone(agent.phone);
+  const url = normalizeProfileUrl(agent.profile_url);
+  const name = parseName(agent.name);
+
+  if (email) keys.push(`email:${email}`);
+  if (phone) keys.push(`phone:${phone}`);
+  if (url) keys.push(`url:${url}`);
+  if (name) keys.push(`name:${name.last.slice(0, 4)}|${getStateCode(agent.state) || ''}`);
+  return keys;
+};
+
+/**
+ * Find agents that are the same person. Pairs scoring at or above
+ * autoMergeThreshold are grouped for merging (matches chain); pairs between
+ * reviewThreshold and autoMergeThreshold are returned for manual review, as
+ * are pairs that would merge records, or groups, with different emails.
+ * @param {Object[]} agents
+ * @param {Object} thresholds
+ * @param {number} thresholds.autoMergeThreshold
+ * @param {number} thresholds.reviewThreshold
+ * @returns {{ groups: Array<{ agents: Object[], matchedOn: string[] }>, reviewPairs: Array<{ a: Object, b: Object, score: number, signals: Object }> }}
+ */
+const resolveEntities = (agents, { autoMergeThreshold, reviewThreshold }) => {
+  const blocks = new Map();
+  agents.forEach((agent, index) => {
+    getBlockingKeys(agent).forEach(key => {
+      if (!blocks.has(key)) blocks.set(key, []);
+      blocks.get(key).push(index);
+    });
+  });
+
+  const parent = agents.map((agent, index) => index);
+  const matchedOn = agents.map(() => new Set());
+  // Emails in each group, by its root, so a chain of matches never joins two
+  const emails = agents.map(agent => new Set([normalizeEmail(agent.email)].filter(Boolean)));
+  const find = (index) => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+
+  const compared = new Set();
+  const borderline = [];
+
+  for (const members of blocks.values()) {
+    if (members.length < 2 || members.length > MAX_BLOCK_SIZE) continue;
+
+    for (let i = 0; i < members.length; i++) {
+      for (let j = i + 1; j < members.length; j++) {
+        const pairKey = `${members[i]}|${members[j]}`;
+        if (compared.has(pairKey)) continue;
+        compared.add(pairKey);
+
+        const result = scorePair(agents[members[i]], agents[members[j]]);
+        const rootA = find(members[i]);
+        const rootB = find(members[j]);
+        const conflict = result.emailConflict || (rootA !== rootB && emails[rootA].size > 0 && emails[rootB].size > 0 &&
+          ![...emails[rootB]].every(email => emails[rootA].has(email)));
+
+        if (result.score >= autoMergeThreshold && !conflict) {
+          if (rootA !== rootB) {
+            parent[rootB] = rootA;
+            matchedOn[rootB].forEach(value => matchedOn[rootA].add(value));
+            emails[rootB].forEach(email => emails[rootA].add(email));
+          }
+          matchedOn[rootA].add(result.matchedOn);
+        } else if (result.score >= reviewThreshold) {
+          borderline.push({ a: members[i], b: members[j], ...result });
+        }
+      }
+    }
+  }
+
+  const groups = new Map();
+  agents.forEach((agent, index) => {
+    const root = find(index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(agent);
+  });
+
+  return {
+    groups: Array.from(groups.entries())
+      .filter(([, members]) => members.length > 1)
+      .map(([root, members]) => ({ agents: members, matchedOn: Array.from(matchedOn[root]) })),
+    // A borderline pair already merged through other matches needs no review
+    reviewPairs: borderline
+      .filter(pair => find(pair.a) !== find(pair.b))
+      .map(({ a, b, score, signals }) => ({ a: agents[a], b: agents[b], score, signals }))
+  };
+};
+
+module.exports = {
+  jaroWinkler,
+  nameSimilarity,
+  normalizeBrokerage,
+  normalizePhone,
+  normalizeProfileUrl,
+  getIdentityKey,
+  getBlockingKeys,
+  scorePair,
+  resolveEntities
+};
@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+const { isValidEmail } = require('./emailUtils');
+
+const DOMAIN_REGEX = /^(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}$/;
+
+/**
+ * Read a suppression list entry: an email address, or a whole domain
+ * written as "example.com" or "@example.com"
+ * @returns {{ value: string, type: string }|null} null when it is neither
+ */
+const parseSuppression = (input) => {
+  const value = String(input ?? '').trim().toLowerCase().replace(/^mailto:/, '');
+  if (value.startsWith('@')) return DOMAIN_REGEX.test(value.slice(1)) ? { value: value.slice(1), type: 'domain' } : null;
+  if (value.includes('@')) return isValidEmail(value) ? { value, type: 'email' } : null;
+  return DOMAIN_REGEX.test(value) ? { value, type: 'domain' } : null;
+};
+
+const sign = (payload, secret) => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+/**
+ * A token naming an email address, signed so unsubscribe links cannot be
+ * made for other addresses
+ */
+const createUnsubscribeToken = (email, secret) => {
+  const payload = Buffer.from(String(email).trim().toLowerCase()).toString('base64url');
+  return `${payload}.${sign(payload, secret)}`;
+};
+
+/**
+ * @returns {string|null} The email address, or null when the token is malformed or its signature does not match
+ */
+const verifyUnsubscribeToken = (token, secret) => {
+  const [payload, signature, ...rest] = String(token ?? '').split('.');
+  if (!payload || !signature || rest.length > 0) return null;
+
+  const expected = Buffer.from(sign(payload, secret));
+  const given = Buffer.from(signature);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+
+  const email = Buffer.from(payload, 'base64url').toString('utf8');
+  return isValidEmail(email) ? email : null;
+};
+
+/**
+ * A bare page for the unsubscribe link, with a button posting back to it when confirm is set
+ */
+const renderUnsubscribePage = (message, { confirm = false } = {}) => {
+  const text = message.replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+  return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>Unsubscribe</title></head>
+<body style="font-family: sans-serif; max-width: 480px; margin: 80px auto; text-align: center;">
+  <p>${text}</p>
+  ${confirm ? '<form method="post"><button type="submit" style="padding: 10px 20px;">Unsubscribe</button></form>' : ''}
+</body>
+</html>`;
+};
+
+module.exports = {
+  parseSuppression,
+  createUnsubscribeToken,
+  verifyUnsubscribeToken,
+  renderUnsubscribePage
+};
@@ -0,0 +1,207 @@
+const BaseStorage = require('../storage/baseStorage');
+const { US_STATES } = require('./locationUtils');
+
+/**
+ * Email templates are plain text with merge fields:
+ *
+ *   {{firstName}}                 the agent's first name, or nothing
+ *   {{firstName|there}}           with a fallback when the agent has none
+ *   {{#if city}}...{{/if}}        only when the agent has a city
+ *   {{#if city}}...{{else}}...{{/if}}
+ *
+ * Every stored agent field is a merge field under its camelCase name
+ * ({{profileUrl}}, {{yearsExperience}}), alongside the derived fields below.
+ */
+const DERIVED_FIELDS = ['firstName', 'lastName', 'stateName', 'topSpecialty', 'senderName', 'unsubscribeUrl'];
+// Objects such as social_links have no text form
+const OBJECT_FIELDS = ['social_links'];
+
+const toCamelCase = (field) => field.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
+
+const MERGE_FIELDS = [
+  ...BaseStorage.AGENT_FIELDS.filter(field => !OBJECT_FIELDS.includes(field)).map(toCamelCase),
+  ...DERIVED_FIELDS
+];
+
+const TAG = /\{\{\s*(#if|\/if|else)?\s*([^}]*?)\s*\}\}/g;
+const MAX_TEMPLATE_LENGTH = 20000;
+
+/**
+ * "luxury homes, condos and land"
+ */
+const joinWords = (items) => (items.length > 1
+  ? `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`
+  : items.join(''));
+
+/**
+ * "$12.5M", "$850K"
+ */
+const formatMoney = (amount) => {
+  const units = [[1e9, 'B'], [1e6, 'M'], [1e3, 'K']];
+  const [size, suffix] = units.find(([unitSize]) => amount >= unitSize) || [1, ''];
+  return `$${parseFloat((amount / size).toFixed(1))}${suffix}`;
+};
+
+/**
+ * The text of each merge field for an agent. Missing values are empty strings.
+ * @param {Object} agent
+ * @param {Object} [options]
+ * @param {string} [options.senderName] - Name the email is signed with
+ * @param {string} [options.unsubscribeUrl] - The agent's one-click unsubscribe link
+ */
+const buildMergeFields = (agent, { senderName = '', unsubscribeUrl = '' } = {}) => {
+  const fields = {};
+  for (const field of BaseStorage.AGENT_FIELDS) {
+    if (OBJECT_FIELDS.includes(field)) continue;
+    const value = agent[field];
+    fields[toCamelCase(field)] = Array.isArray(value) ? joinWords(value) : String(value ?? '').trim();
+  }
+
+  const nameParts = String(agent.name ?? '').trim().split(/\s+/).filter(Boolean);
+  const stateCode = String(agent.state ?? '').trim().toUpperCase();
+  const specialties = Array.isArray(agent.specialties) ? agent.specialties : [];
+
+  return {
+    ...fields,
+    salesVolume: typeof agent.sales_volume === 'number' ? formatMoney(agent.sales_volume) : fields.salesVolume,
+    firstName: nameParts[0] || '',
+    lastName: nameParts.length > 1 ? nameParts[nameParts.length - 1] : '',
+    stateName: US_STATES[stateCode] || fields.state,
+    topSpecialty: specialties[0] || '',
+    senderName,
+    unsubscribeUrl
+  };
+};
+
+/**
+ * Parse template text into text, field and conditional nodes
+ * @returns {{ nodes: Object[]|null, error: string|null }}
+ */
+const parseTemplate = (text) => {
+  const nodes = [];
+  // Each open block with the branch being filled; the first frame is the template itself
+  const stack = [{ block: null, branch: nodes }];
+  let lastIndex = 0;
+
+  for (const match of String(text).matchAll(TAG)) {
+    const [tag, keyword, expression] = match;
+    const frame = stack[stack.length - 1];
+    if (match.index > lastIndex) frame.branch.push({ type: 'text', value: text.slice(lastIndex, match.index) });
+    lastIndex = match.index + tag.length;
+
+    if (keyword === '#if') {
+      if (!MERGE_FIELDS.includes(expression)) return { nodes: null, error: `Unknown merge field in ${tag}` };
+      const block = { type: 'if', field: expression, then: [], else: [] };
+      frame.branch.push(block);
+      stack.push({ block, branch: block.then });
+    } else if (keyword === 'else') {
+      if (!frame.block || frame.branch === frame.block.else) return { nodes: null, error: '{{else}} outside an {{#if}} block' };
+      frame.branch = frame.block.else;
+    } else if (keyword === '/if') {
+      if (!frame.block) return { nodes: null, error: '{{/if}} without an {{#if}}' };
+      stack.pop();
+    } else {
+      const [field, ...fallback] = expression.split('|');
+      const name = field.trim();
+      if (!MERGE_FIELDS.includes(name)) {
+        return { nodes: null, error: `Unknown merge field {{${name}}}. Fields: ${MERGE_FIELDS.join(', ')}` };
+      }
+      frame.branch.push({ type: 'field', field: name, fallback: fallback.join('|').trim() });
+    }
+  }
+
+  const frame = stack[stack.length - 1];
+  if (frame.block) return { nodes: null, error: `{{#if ${frame.block.field}}} is never closed` };
+  if (lastIndex < text.length) frame.branch.push({ type: 'text', value: text.slice(lastIndex) });
+  return { nodes, error: null };
+};
+
+const renderNodes = (nodes, fields) => nodes.map((node) => {
+  if (node.type === 'text') return node.value;
+  if (node.type === 'field') return fields[node.field] || node.fallback;
+  return renderNodes(fields[node.field] ? node.then : node.else, fields);
+}).join('');
+
+/**
+ * Fill in a template's merge fields. Blank lines left by empty conditional
+ * blocks are collapsed.
+ * @throws {Error} When the template does not parse
+ */
+const renderTemplate = (text, fields) => {
+  const { nodes, error } = parseTemplate(text);
+  if (error) throw new Error(error);
+  return renderNodes(nodes, fields)
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+/**
+ * Check a list of subject or body variants; a single string is one variant
+ * @returns {{ variants: string[]|null, error: string|null }}
+ */
+const validateVariants = (field, value) => {
+  const variants = typeof value === 'string' ? [value] : value;
+  if (!Array.isArray(variants) || variants.length === 0) {
+    return { variants: null, error: `${field} must be a non-empty list of strings` };
+  }
+
+  for (const [index, variant] of variants.entries()) {
+    if (typeof variant !== 'string' || variant.trim() === '') return { variants: null, error: `${field}[${index}] must be a non-empty string` };
+    if (variant.length > MAX_TEMPLATE_LENGTH) return { variants: null, error: `${field}[${index}] is longer than ${MAX_TEMPLATE_LENGTH} characters` };
+    const { error } = parseTemplate(variant);
+    if (error) return { variants: null, error: `${field}[${index}]: ${error}` };
+  }
+  return { variants: variants.map(variant => variant.trim()), error: null };
+};
+
+/**
+ * Validate a template created or edited through the API
+ * @param {Object} input - name, description, subjects, bodies and isDefault
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - Only validate the keys present, for edits
+ * @returns {{ template: Object|null, error: string|null }}
+ */
+const validateTemplateInput = (input, { partial = false } = {}) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { template: null, error: 'Body must be a JSON object' };
+  }
+
+  const allowed = ['name', 'description', 'subjects', 'bodies', 'isDefault'];
+  const unknown = Object.keys(input).filter(key => !allowed.includes(key));
+  if (unknown.length > 0) {
+    return { template: null, error: `Unknown field(s): ${unknown.join(', ')}. Fields: ${allowed.join(', ')}` };
+  }
+
+  const template = {};
+  if (!partial || input.name !== undefined) {
+    if (typeof input.name !== 'string' || input.name.trim() === '') return { template: null, error: 'name is required' };
+    template.name = input.name.trim();
+  }
+  if (input.description !== undefined) {
+    if (input.description !== null && typeof input.description !== 'string') {
+      return { template: null, error: 'description must be a string' };
+    }
+    template.description = input.description?.trim() || null;
+  }
+  for (const field of ['subjects', 'bodies']) {
+    if (partial && input[field] === undefined) continue;
+    const { variants, error } = validateVariants(field, input[field]);
+    if (error) return { template: null, error };
+    template[field] = variants;
+  }
+  if (input.isDefault !== undefined) {
+    if (typeof input.isDefault !== 'boolean') return { template: null, error: 'isDefault must be a boolean' };
+    template.isDefault = input.isDefault;
+  }
+
+  return { template, error: null };
+};
+
+module.exports = {
+  MERGE_FIELDS,
+  buildMergeFields,
+  parseTemplate,
+  renderTemplate,
+  validateTemplateInput
+};
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { findDuplicateGroups } = require('../src/utils/dedupeUtils');
+
+const agent = (id, email) => ({ id, name: 'Maria Martinez', city: 'Austin', state: 'TX', company: 'Acme Realty', email });
+
+test('findDuplicateGroups merges records with the same profile when at most one has an email', () => {
+  const { groups, reviewPairs } = findDuplicateGroups([agent(1, 'mm@a.com'), agent(2, null)]);
+
+  assert.strictEqual(groups.length, 1);
+  assert.deepStrictEqual(groups[0].agents.map(entry => entry.id), [1, 2]);
+  assert.deepStrictEqual(reviewPairs, []);
+});
+
+test('findDuplicateGroups sends records with the same profile but different emails to review', () => {
+  const { groups, reviewPairs } = findDuplicateGroups([agent(1, 'mm@a.com'), agent(2, 'MM@b.com')]);
+
+  assert.deepStrictEqual(groups, []);
+  assert.strictEqual(reviewPairs.length, 1);
+  assert.deepStrictEqual([reviewPairs[0].a.id, reviewPairs[0].b.id], [1, 2]);
+});
+
+test('findDuplicateGroups does not chain different emails through a record without one', () => {
+  const { groups, reviewPairs } = findDuplicateGroups([agent(1, 'mm@a.com'), agent(2, null), agent(3, 'mm@b.com')]);
+
+  assert.strictEqual(groups.length, 1);
+  assert.deepStrictEqual(groups[0].agents.map(entry => entry.id), [1, 2]);
+  assert.deepStrictEqual([reviewPairs[0].a.id, reviewPairs[0].b.id], [1, 3]);
+});
+
+test('findDuplicateGroups still merges matching emails', () => {
+  const { groups } = findDuplicateGroups([agent(1, 'mm@a.com'), { id: 2, name: 'M. Martinez', email: ' MM@a.com ' }]);
+
+  assert.strictEqual(groups.length, 1);
+  assert.deepStrictEqual(groups[0].matchedOn, ['email']);
+});